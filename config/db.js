@@ -1,4 +1,17 @@
 const mongoose = require("mongoose");
+const { REPLICA_SET_REQUIRED_MESSAGE } = require("../utils/transaction");
+
+// Stock and repayment writes run in transactions; warn early instead of failing on first request.
+const warnIfTransactionsUnsupported = async () => {
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== "isdbgrid") {
+      console.warn(`MongoDB is not a replica set. ${REPLICA_SET_REQUIRED_MESSAGE}`);
+    }
+  } catch (error) {
+    console.warn("Could not determine MongoDB topology", error.message);
+  }
+};
 
 const connectDB = async () => {
   try {
@@ -8,6 +21,8 @@ const connectDB = async () => {
     console.error("DB connection failed", error);
     process.exit(1);
   }
+
+  await warnIfTransactionsUnsupported();
 };
 
 module.exports = connectDB;
@@ -0,0 +1,341 @@
+const StockAdjustment = require("../models/stockAdjustment");
+const Inventory = require("../models/inventory");
+const StockLot = require("../models/stockLot");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { changeStock } = require("../utils/stockLedger");
+const { runInTransaction } = require("../utils/transaction");
+const { getLatestUnitCost } = require("../utils/procurementCost");
+const { assertPeriodsOpen } = require("../utils/periodLocks");
+const {
+  reconcileOpeningLot,
+  createLot,
+  consumeLotsFifo,
+  allocationCost
+} = require("../utils/stockLots");
+const { roundMoney } = require("../utils/helpers");
+
+const DEFAULT_APPROVAL_THRESHOLD_KG = 100;
+
+// Adjustments larger than this (in absolute kg) wait for Director approval before touching stock.
+const getApprovalThresholdKg = () => {
+  const configured = Number(process.env.ADJUSTMENT_APPROVAL_THRESHOLD_KG);
+  return Number.isFinite(configured) && configured >= 0
+    ? configured
+    : DEFAULT_APPROVAL_THRESHOLD_KG;
+};
+
+const managerBranchGuard = (req, res, targetBranch) => {
+  return ensureBranchAccess(req, res, {
+    targetBranch,
+    missingMessage: "Manager branch assignment is required",
+    mismatchMessage: "Manager can only adjust stock for assigned branch"
+  });
+};
+
+// Applies an adjustment's stock change inside the caller's transaction; throws to abort it.
+const applyAdjustmentStock = async ({ adjustment, actor, session }) => {
+  const key = {
+    produceName: adjustment.produceName,
+    produceType: adjustment.produceType,
+    branch: adjustment.branch
+  };
+  const adjustmentKg = Number(adjustment.adjustmentKg);
+  if (adjustmentKg < 0) {
+    await reconcileOpeningLot({ key, session });
+  }
+
+  const inventory = await changeStock({
+    filter: { _id: adjustment.inventory },
+    deltaKg: adjustment.adjustmentKg,
+    requireStock: true,
+    movement: {
+      movementType: "Adjustment",
+      sourceType: "Adjustment",
+      sourceId: adjustment._id,
+      actor,
+      note: adjustment.reason
+    },
+    session
+  });
+
+  if (!inventory) {
+    const error = new Error("Insufficient stock to apply adjustment");
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (adjustmentKg < 0) {
+    // Losses are valued at the cost of the lots they actually came from.
+    const lots = await consumeLotsFifo({
+      key,
+      quantityKg: Math.abs(adjustmentKg),
+      lotId: adjustment.lot,
+      session
+    });
+    adjustment.lots = lots;
+    adjustment.lossValue = allocationCost(lots);
+    adjustment.unitCost = roundMoney(adjustment.lossValue / Math.abs(adjustmentKg));
+    await adjustment.save({ session });
+  } else {
+    // Stock found on recount becomes its own lot at the latest procurement cost.
+    await createLot({
+      inventory,
+      sourceType: "Adjustment",
+      sourceId: adjustment._id,
+      quantityKg: adjustmentKg,
+      unitCost: adjustment.unitCost,
+      session
+    });
+  }
+
+  return inventory;
+};
+
+const createStockAdjustment = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  if (!managerBranchGuard(req, res, req.body.branch)) {
+    return;
+  }
+
+  const key = {
+    produceName: req.body.produceName,
+    produceType: req.body.produceType,
+    branch: req.user.branch
+  };
+  const inventory = await Inventory.findOne(key);
+  if (!inventory) {
+    return res.status(404).json({ message: "Inventory record not found for adjustment" });
+  }
+
+  const adjustmentKg = Number(req.body.adjustmentKg);
+  const requiresApproval = Math.abs(adjustmentKg) > getApprovalThresholdKg();
+
+  let lot = null;
+  if (req.body.lotId) {
+    if (adjustmentKg > 0) {
+      return res.status(400).json({ message: "lotId applies only to stock losses" });
+    }
+    lot = await StockLot.findOne({ _id: req.body.lotId, inventory: inventory._id });
+    if (!lot) {
+      return res.status(404).json({ message: "Stock lot not found for this inventory record" });
+    }
+    if (Number(lot.remainingKg) < Math.abs(adjustmentKg)) {
+      return res.status(409).json({
+        message: "Lot does not hold enough stock for this adjustment",
+        remainingKg: lot.remainingKg
+      });
+    }
+  }
+
+  try {
+    await assertPeriodsOpen({ branch: key.branch, dates: [new Date()] });
+
+    const unitCost = lot ? Number(lot.unitCost) : await getLatestUnitCost(key);
+    const result = await runInTransaction(async (session) => {
+      const [adjustment] = await StockAdjustment.create(
+        [
+          {
+            inventory: inventory._id,
+            ...key,
+            adjustmentKg,
+            reason: req.body.reason,
+            notes: req.body.notes,
+            lot: lot ? lot._id : undefined,
+            status: requiresApproval ? "PendingApproval" : "Applied",
+            unitCost,
+            lossValue: adjustmentKg < 0 ? Math.abs(adjustmentKg) * unitCost : 0,
+            requestedBy: req.user.id,
+            requestedByName: req.user.username,
+            appliedAt: requiresApproval ? undefined : new Date()
+          }
+        ],
+        { session }
+      );
+
+      if (requiresApproval) {
+        return { adjustment, inventory: null };
+      }
+
+      const updated = await applyAdjustmentStock({ adjustment, actor: req.user, session });
+      return { adjustment, inventory: updated };
+    });
+
+    return res.status(requiresApproval ? 202 : 201).json(result);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to record stock adjustment" });
+  }
+};
+
+const listStockAdjustments = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (req.user.role === "Director") {
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+  } else {
+    if (!managerBranchGuard(req, res, req.query.branch)) {
+      return;
+    }
+    query.branch = req.user.branch;
+  }
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+  if (req.query.reason) {
+    query.reason = req.query.reason;
+  }
+
+  const adjustments = await StockAdjustment.find(query).sort({ createdAt: -1 });
+  return res.status(200).json(adjustments);
+};
+
+const reviewStockAdjustment = async ({ req, res, decision }) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  try {
+    const result = await runInTransaction(async (session) => {
+      const review = {
+        status: decision,
+        reviewedBy: req.user.id,
+        reviewedByName: req.user.username,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      };
+      if (decision === "Applied") {
+        review.appliedAt = review.reviewedAt;
+      }
+
+      const adjustment = await StockAdjustment.findOneAndUpdate(
+        { _id: req.params.id, status: "PendingApproval" },
+        { $set: review },
+        { new: true, session }
+      );
+      if (!adjustment) {
+        return null;
+      }
+
+      if (decision !== "Applied") {
+        return { adjustment, inventory: null };
+      }
+
+      // Approval changes stock now, on behalf of the month the adjustment was requested in.
+      await assertPeriodsOpen({
+        branch: adjustment.branch,
+        dates: [adjustment.createdAt, review.appliedAt],
+        session
+      });
+
+      const inventory = await applyAdjustmentStock({ adjustment, actor: req.user, session });
+      return { adjustment, inventory };
+    });
+
+    if (!result) {
+      const exists = await StockAdjustment.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: "Adjustment is not pending approval" })
+        : res.status(404).json({ message: "Adjustment not found" });
+    }
+
+    return res.status(200).json(result);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to review stock adjustment" });
+  }
+};
+
+const approveStockAdjustment = async (req, res) =>
+  reviewStockAdjustment({ req, res, decision: "Applied" });
+
+const rejectStockAdjustment = async (req, res) =>
+  reviewStockAdjustment({ req, res, decision: "Rejected" });
+
+const getAdjustmentLossReport = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const match = { status: "Applied", adjustmentKg: { $lt: 0 } };
+  if (req.query.branch) {
+    match.branch = req.query.branch;
+  }
+  if (req.query.startDate || req.query.endDate) {
+    match.appliedAt = {};
+    if (req.query.startDate) {
+      match.appliedAt.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      const end = new Date(req.query.endDate);
+      end.setUTCHours(23, 59, 59, 999);
+      match.appliedAt.$lte = end;
+    }
+  }
+
+  try {
+    const lossGroup = {
+      totalAdjustments: { $sum: 1 },
+      totalLossKg: { $sum: { $abs: "$adjustmentKg" } },
+      totalLossValue: { $sum: "$lossValue" }
+    };
+
+    const [grandTotals] = await StockAdjustment.aggregate([
+      { $match: match },
+      { $group: { _id: null, ...lossGroup } },
+      { $project: { _id: 0 } }
+    ]);
+
+    const breakdown = await StockAdjustment.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { branch: "$branch", produceName: "$produceName", reason: "$reason" },
+          ...lossGroup
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          branch: "$_id.branch",
+          produceName: "$_id.produceName",
+          reason: "$_id.reason",
+          totalAdjustments: 1,
+          totalLossKg: 1,
+          totalLossValue: 1
+        }
+      },
+      { $sort: { branch: 1, produceName: 1, reason: 1 } }
+    ]);
+
+    return res.status(200).json({
+      period: {
+        startDate: req.query.startDate || null,
+        endDate: req.query.endDate || null
+      },
+      grandTotals: grandTotals || { totalAdjustments: 0, totalLossKg: 0, totalLossValue: 0 },
+      breakdown
+    });
+  } catch {
+    return res.status(500).json({ message: "Failed to generate adjustment loss report" });
+  }
+};
+
+module.exports = {
+  createStockAdjustment,
+  listStockAdjustments,
+  approveStockAdjustment,
+  rejectStockAdjustment,
+  getAdjustmentLossReport
+};
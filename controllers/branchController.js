@@ -0,0 +1,158 @@
+const Branch = require("../models/branch");
+const User = require("../models/user");
+const Inventory = require("../models/inventory");
+const Procurement = require("../models/procurement");
+const Sale = require("../models/sales");
+const validateRequest = require("../utils/validateRequest");
+const { deriveBranchCode } = require("../utils/documentNumbers");
+
+const BRANCH_SETTINGS = ["address", "contact", "openingDate", "active", "ownFarm"];
+const STAFFED_ROLES = ["Manager", "SalesAgent"];
+
+// Sets only the roles given, so one minimum can change without restating the other.
+const applyMinimumStaff = (branch, minimumStaff = {}) => {
+  for (const staffRole of STAFFED_ROLES) {
+    if (typeof minimumStaff[staffRole] !== "undefined") {
+      branch.set(`minimumStaff.${staffRole}`, Number(minimumStaff[staffRole]));
+    }
+  }
+};
+
+const listBranches = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (typeof req.query.active !== "undefined") {
+    query.active = req.query.active === "true";
+  }
+
+  const branches = await Branch.find(query).sort({ name: 1 });
+  return res.status(200).json(branches);
+};
+
+const getBranchById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const branch = await Branch.findById(req.params.id);
+  if (!branch) {
+    return res.status(404).json({ message: "Branch not found" });
+  }
+
+  return res.status(200).json(branch);
+};
+
+const createBranch = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const code = (req.body.code || deriveBranchCode(req.body.name)).toUpperCase();
+  if (await Branch.exists({ code })) {
+    return res
+      .status(400)
+      .json({ message: `Branch code ${code} is already in use; pass a different code` });
+  }
+
+  try {
+    const branch = new Branch({
+      name: req.body.name,
+      code,
+      address: req.body.address,
+      contact: req.body.contact,
+      openingDate: req.body.openingDate,
+      active: typeof req.body.active === "undefined" ? true : req.body.active,
+      ownFarm: Boolean(req.body.ownFarm)
+    });
+    applyMinimumStaff(branch, req.body.minimumStaff);
+    await branch.save();
+
+    return res.status(201).json(branch);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: `Branch ${req.body.name} already exists` });
+    }
+
+    return res.status(500).json({ message: "Failed to create branch" });
+  }
+};
+
+// Name is immutable because users, stock and transactions reference branches by name.
+const updateBranchById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const branch = await Branch.findById(req.params.id);
+  if (!branch) {
+    return res.status(404).json({ message: "Branch not found" });
+  }
+
+  if (typeof req.body.name !== "undefined" && req.body.name !== branch.name) {
+    return res.status(400).json({ message: "Branch name cannot be changed" });
+  }
+
+  // The code prefixes issued document numbers, so it can be set once but never changed.
+  if (typeof req.body.code !== "undefined") {
+    const code = req.body.code.toUpperCase();
+    if (branch.code && code !== branch.code) {
+      return res.status(400).json({ message: "Branch code cannot be changed" });
+    }
+    if (!branch.code && (await Branch.exists({ code }))) {
+      return res.status(400).json({ message: `Branch code ${code} is already in use` });
+    }
+    branch.code = code;
+  }
+
+  for (const field of BRANCH_SETTINGS) {
+    if (typeof req.body[field] !== "undefined") {
+      branch[field] = req.body[field];
+    }
+  }
+  applyMinimumStaff(branch, req.body.minimumStaff);
+
+  try {
+    await branch.save();
+    return res.status(200).json(branch);
+  } catch {
+    return res.status(500).json({ message: "Failed to update branch" });
+  }
+};
+
+// Only branches with no staff or trading history can be removed; others should be deactivated.
+const deleteBranchById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const branch = await Branch.findById(req.params.id);
+  if (!branch) {
+    return res.status(404).json({ message: "Branch not found" });
+  }
+
+  const [hasUsers, hasInventory, hasProcurement, hasSales] = await Promise.all([
+    User.exists({ branch: branch.name }),
+    Inventory.exists({ branch: branch.name }),
+    Procurement.exists({ branch: branch.name }),
+    Sale.exists({ branch: branch.name })
+  ]);
+  if (hasUsers || hasInventory || hasProcurement || hasSales) {
+    return res.status(409).json({
+      message: `${branch.name} has staff or trading history; deactivate it instead`
+    });
+  }
+
+  await Branch.deleteOne({ _id: branch._id });
+  return res.status(200).json({ message: "Branch deleted" });
+};
+
+module.exports = {
+  listBranches,
+  getBranchById,
+  createBranch,
+  updateBranchById,
+  deleteBranchById
+};
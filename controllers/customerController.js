@@ -0,0 +1,346 @@
+const Customer = require("../models/customer");
+const Sale = require("../models/sales");
+const Payment = require("../models/payment");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { getDefaultCreditLimit, getOutstandingCredit } = require("../utils/customerCredit");
+const { assertPriceFloor } = require("../utils/salePricing");
+const { resolveCreditStatus } = require("../utils/creditStatus");
+
+const CUSTOMER_FIELDS = ["name", "location", "contact", "creditLimit", "creditHold", "holdReason"];
+
+const CONTRACT_PRICE_FIELDS = ["unitPrice", "validFrom", "validTo", "active", "note"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const listCustomers = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (req.query.search) {
+    const pattern = { $regex: escapeRegex(req.query.search), $options: "i" };
+    query.$or = [{ name: pattern }, { nationalId: pattern }];
+  }
+  if (typeof req.query.creditHold !== "undefined") {
+    query.creditHold = req.query.creditHold === "true";
+  }
+
+  const customers = await Customer.find(query).sort({ name: 1 });
+  return res.status(200).json(customers);
+};
+
+const getCustomerById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const customer = await Customer.findById(req.params.id);
+  if (!customer) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  return res.status(200).json(customer);
+};
+
+const createCustomer = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  try {
+    const customer = await Customer.create({
+      nationalId: req.body.nationalId,
+      name: req.body.name,
+      location: req.body.location,
+      contact: req.body.contact,
+      creditLimit:
+        typeof req.body.creditLimit === "undefined"
+          ? getDefaultCreditLimit()
+          : Number(req.body.creditLimit),
+      creditHold: Boolean(req.body.creditHold),
+      holdReason: req.body.holdReason
+    });
+
+    return res.status(201).json(customer);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: "A customer with this nationalId already exists" });
+    }
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+
+    return res.status(500).json({ message: "Failed to create customer" });
+  }
+};
+
+// nationalId is the registry key and cannot be changed; register a new customer instead.
+const updateCustomerById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const customer = await Customer.findById(req.params.id);
+  if (!customer) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  if (
+    typeof req.body.nationalId !== "undefined" &&
+    String(req.body.nationalId).toUpperCase() !== customer.nationalId
+  ) {
+    return res.status(400).json({ message: "nationalId cannot be changed" });
+  }
+
+  for (const field of CUSTOMER_FIELDS) {
+    if (typeof req.body[field] !== "undefined") {
+      customer[field] = req.body[field];
+    }
+  }
+  if (customer.isModified("creditHold") && !customer.creditHold) {
+    customer.holdReason = undefined;
+  }
+
+  try {
+    await customer.save();
+    return res.status(200).json(customer);
+  } catch (error) {
+    // Schema rules such as a negative creditLimit or a malformed contact are the caller's error.
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+
+    return res.status(500).json({ message: "Failed to update customer" });
+  }
+};
+
+// Derived rather than read from creditStatus, which sales recorded before repayments lack.
+const isOverdueCreditSale = (sale) =>
+  sale.saleType === "Credit" &&
+  sale.status !== "Voided" &&
+  resolveCreditStatus(sale).creditStatus === "Overdue";
+
+// Credit exposure is company-wide; the sale and repayment lists are scoped to the caller's branch.
+const getCustomerHistory = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const customer = await Customer.findById(req.params.id);
+  if (!customer) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  const match = { $or: [{ customer: customer._id }, { nationalId: customer.nationalId }] };
+  if (req.user.role === "Director") {
+    if (req.query.branch) {
+      match.branch = req.query.branch;
+    }
+  } else {
+    if (
+      !ensureBranchAccess(req, res, {
+        targetBranch: req.query.branch,
+        missingMessage: "User branch assignment is required",
+        mismatchMessage: "You can only view customer history for your assigned branch"
+      })
+    ) {
+      return;
+    }
+    match.branch = req.user.branch;
+  }
+
+  if (req.query.startDate || req.query.endDate) {
+    match.createdAt = {};
+    if (req.query.startDate) {
+      match.createdAt.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      const end = new Date(req.query.endDate);
+      end.setUTCHours(23, 59, 59, 999);
+      match.createdAt.$lte = end;
+    }
+  }
+
+  try {
+    const outstandingBalance = await getOutstandingCredit({ customer });
+    const sales = await Sale.find(match)
+      .collation({ locale: "en", strength: 2 })
+      .sort({ createdAt: -1 });
+    const payments = await Payment.find({ sale: { $in: sales.map((sale) => sale._id) } }).sort({
+      paymentDate: -1,
+      createdAt: -1
+    });
+
+    return res.status(200).json({
+      customer,
+      credit: {
+        creditLimit: customer.creditLimit,
+        creditHold: customer.creditHold,
+        outstandingBalance,
+        availableCredit: Math.max(0, customer.creditLimit - outstandingBalance),
+        overdueSales: sales.filter(isOverdueCreditSale).length
+      },
+      period: {
+        startDate: req.query.startDate || null,
+        endDate: req.query.endDate || null
+      },
+      sales,
+      payments
+    });
+  } catch {
+    return res.status(500).json({ message: "Failed to load customer history" });
+  }
+};
+
+// Contract prices run to the end of their validTo day.
+const endOfDay = (value) => {
+  const end = new Date(value);
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+};
+
+const contractPriceKey = (contract) => {
+  const key = { produceName: contract.produceName, produceType: contract.produceType };
+  if (contract.branch) {
+    key.branch = contract.branch;
+  }
+  return key;
+};
+
+const validateContractPeriod = (contract, res) => {
+  if (contract.validFrom && contract.validTo && contract.validFrom > contract.validTo) {
+    res.status(400).json({ message: "validFrom must be on or before validTo" });
+    return false;
+  }
+
+  return true;
+};
+
+// Managers negotiate prices for their own branch; the Director may also agree company-wide prices.
+const addContractPrice = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const customer = await Customer.findById(req.params.id);
+  if (!customer) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  if (
+    req.user.role !== "Director" &&
+    !ensureBranchAccess(req, res, {
+      targetBranch: req.body.branch,
+      missingMessage: "Manager branch assignment is required",
+      mismatchMessage: "Manager can only agree contract prices for assigned branch"
+    })
+  ) {
+    return;
+  }
+
+  const contract = {
+    produceName: req.body.produceName,
+    produceType: req.body.produceType,
+    branch: req.user.role === "Director" ? req.body.branch : req.user.branch,
+    unitPrice: Number(req.body.unitPrice),
+    validFrom: req.body.validFrom ? new Date(req.body.validFrom) : undefined,
+    validTo: req.body.validTo ? endOfDay(req.body.validTo) : undefined,
+    note: req.body.note,
+    createdBy: req.user.id,
+    createdByName: req.user.username
+  };
+  if (!validateContractPeriod(contract, res)) {
+    return;
+  }
+
+  try {
+    await assertPriceFloor({
+      key: contractPriceKey(contract),
+      prices: [contract.unitPrice],
+      actor: req.user
+    });
+
+    customer.contractPrices.push(contract);
+    await customer.save();
+    return res.status(201).json(customer);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to add contract price" });
+  }
+};
+
+// Produce and branch are fixed; end a contract with active=false and agree a new one instead.
+const updateContractPrice = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const customer = await Customer.findById(req.params.id);
+  if (!customer) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  const contract = customer.contractPrices.id(req.params.contractId);
+  if (!contract) {
+    return res.status(404).json({ message: "Contract price not found" });
+  }
+
+  if (req.user.role !== "Director") {
+    if (!contract.branch) {
+      return res
+        .status(403)
+        .json({ message: "Only the Director can change company-wide contract prices" });
+    }
+    if (
+      !ensureBranchAccess(req, res, {
+        targetBranch: contract.branch,
+        missingMessage: "Manager branch assignment is required",
+        mismatchMessage: "Manager can only change contract prices for assigned branch"
+      })
+    ) {
+      return;
+    }
+  }
+
+  for (const field of CONTRACT_PRICE_FIELDS) {
+    if (typeof req.body[field] !== "undefined") {
+      contract[field] = req.body[field];
+    }
+  }
+  if (typeof req.body.validTo !== "undefined") {
+    contract.validTo = endOfDay(req.body.validTo);
+  }
+  if (!validateContractPeriod(contract, res)) {
+    return;
+  }
+
+  try {
+    if (contract.isModified("unitPrice")) {
+      await assertPriceFloor({
+        key: contractPriceKey(contract),
+        prices: [contract.unitPrice],
+        actor: req.user
+      });
+    }
+
+    await customer.save();
+    return res.status(200).json(customer);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to update contract price" });
+  }
+};
+
+module.exports = {
+  addContractPrice,
+  updateContractPrice,
+  listCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomerById,
+  getCustomerHistory
+};
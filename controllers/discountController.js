@@ -0,0 +1,184 @@
+const Discount = require("../models/discount");
+const Inventory = require("../models/inventory");
+const Customer = require("../models/customer");
+const Notification = require("../models/notification");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { runInTransaction } = require("../utils/transaction");
+const { applyDuePriceChanges } = require("../utils/priceChanges");
+const { resolveSalePrice, computeDiscountAmount } = require("../utils/salePricing");
+
+const discountBranchGuard = (req, res, targetBranch) => {
+  return ensureBranchAccess(req, res, {
+    targetBranch,
+    missingMessage: "User branch assignment is required",
+    mismatchMessage: "You can only manage discounts for your assigned branch"
+  });
+};
+
+const describeDiscount = (discount) =>
+  `${discount.discountAmount} off ${discount.tonnage} kg of ${discount.produceName} ` +
+  `(${discount.produceType}) at ${discount.branch}`;
+
+// Agents ask for a discount before recording the sale; the sale can use it once it is approved.
+const requestDiscount = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  if (!discountBranchGuard(req, res, req.body.branch)) {
+    return;
+  }
+
+  const branch = req.user.branch;
+  await applyDuePriceChanges({ filter: { produceName: req.body.produceName, branch } });
+  const inventory = await Inventory.findOne({
+    produceName: req.body.produceName,
+    produceType: req.body.produceType,
+    branch
+  });
+  if (!inventory) {
+    return res.status(404).json({ message: "Inventory record not found for this produce" });
+  }
+
+  const tonnage = Number(req.body.tonnage);
+  const nationalId = req.body.nationalId ? req.body.nationalId.toUpperCase() : undefined;
+  const customer = nationalId ? await Customer.findOne({ nationalId }) : null;
+  const { unitPrice } = resolveSalePrice({ inventory, tonnage, customer });
+  const listAmount = unitPrice * tonnage;
+
+  const terms =
+    typeof req.body.discountPercent !== "undefined"
+      ? { discountType: "Percent", discountValue: Number(req.body.discountPercent) }
+      : { discountType: "Amount", discountValue: Number(req.body.discountAmount) };
+  const discountAmount = computeDiscountAmount(terms, listAmount);
+  if (discountAmount >= listAmount) {
+    return res.status(400).json({ message: "Discount must be less than the sale amount" });
+  }
+  if (listAmount - discountAmount < 10000) {
+    return res.status(400).json({
+      message: "Discounted amount is below the minimum allowed value of 10000",
+      listAmount
+    });
+  }
+
+  try {
+    const discount = await runInTransaction(async (session) => {
+      const [created] = await Discount.create(
+        [
+          {
+            produceName: inventory.produceName,
+            produceType: inventory.produceType,
+            branch,
+            tonnage,
+            nationalId,
+            ...terms,
+            listAmount,
+            discountAmount,
+            reason: req.body.reason,
+            requestedBy: req.user.id,
+            requestedByName: req.user.username
+          }
+        ],
+        { session }
+      );
+
+      await Notification.create(
+        [
+          {
+            targetRole: "Manager",
+            title: "Discount requested",
+            message:
+              `${req.user.username} requests ${describeDiscount(created)}: ${created.reason}`,
+            branch,
+            produceName: created.produceName,
+            produceType: created.produceType
+          }
+        ],
+        { session }
+      );
+
+      return created;
+    });
+
+    return res.status(201).json(discount);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to request discount" });
+  }
+};
+
+const listDiscounts = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (req.user.role === "Director") {
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+  } else {
+    if (!discountBranchGuard(req, res, req.query.branch)) {
+      return;
+    }
+    query.branch = req.user.branch;
+  }
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const discounts = await Discount.find(query).sort({ createdAt: -1 });
+  return res.status(200).json(discounts);
+};
+
+const reviewDiscount = async ({ req, res, decision }) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const discount = await Discount.findById(req.params.id);
+  if (!discount) {
+    return res.status(404).json({ message: "Discount not found" });
+  }
+
+  if (!discountBranchGuard(req, res, discount.branch)) {
+    return;
+  }
+
+  if (String(discount.requestedBy) === String(req.user.id)) {
+    return res.status(403).json({ message: "You cannot review your own discount request" });
+  }
+
+  const reviewed = await Discount.findOneAndUpdate(
+    { _id: discount._id, status: "Pending" },
+    {
+      $set: {
+        status: decision,
+        reviewedBy: req.user.id,
+        reviewedByName: req.user.username,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      }
+    },
+    { new: true }
+  );
+  if (!reviewed) {
+    return res.status(409).json({ message: "Discount is not pending review" });
+  }
+
+  return res.status(200).json(reviewed);
+};
+
+const approveDiscount = async (req, res) => reviewDiscount({ req, res, decision: "Approved" });
+
+const rejectDiscount = async (req, res) => reviewDiscount({ req, res, decision: "Rejected" });
+
+module.exports = {
+  requestDiscount,
+  listDiscounts,
+  approveDiscount,
+  rejectDiscount
+};
@@ -0,0 +1,308 @@
+const Inventory = require("../models/inventory");
+const StockMovement = require("../models/stockMovement");
+const StockLot = require("../models/stockLot");
+const Procurement = require("../models/procurement");
+const Supplier = require("../models/supplier");
+const Sale = require("../models/sales");
+const StockTransfer = require("../models/stockTransfer");
+const StockAdjustment = require("../models/stockAdjustment");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { withAllBranches } = require("../utils/branchRegistry");
+const { applyDuePriceChanges } = require("../utils/priceChanges");
+const { getSaleLines } = require("../utils/saleLines");
+
+const DEFAULT_LOW_STOCK_THRESHOLD_KG = 1000;
+
+const inventoryBranchGuard = (req, res, targetBranch) => {
+  return ensureBranchAccess(req, res, {
+    targetBranch,
+    missingMessage: "User branch assignment is required",
+    mismatchMessage: "You can only view inventory for your assigned branch"
+  });
+};
+
+// Shared query-string filters for branch-scoped and Director inventory views.
+const buildInventoryFilter = (query) => {
+  const filter = {};
+  if (query.produceName) {
+    filter.produceName = query.produceName;
+  }
+  if (query.produceType) {
+    filter.produceType = query.produceType;
+  }
+  if (query.lowStock === "true") {
+    const threshold =
+      typeof query.threshold === "undefined"
+        ? DEFAULT_LOW_STOCK_THRESHOLD_KG
+        : Number(query.threshold);
+    filter.stockKg = { $lte: threshold };
+  }
+
+  return filter;
+};
+
+const listInventory = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  if (!inventoryBranchGuard(req, res, req.query.branch)) {
+    return;
+  }
+
+  await applyDuePriceChanges({ filter: { branch: req.user.branch } });
+  const inventory = await Inventory.find({
+    ...buildInventoryFilter(req.query),
+    branch: req.user.branch
+  }).sort({ produceName: 1, produceType: 1 });
+
+  return res.status(200).json(inventory);
+};
+
+const getInventoryById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const inventory = await Inventory.findById(req.params.id);
+  if (!inventory) {
+    return res.status(404).json({ message: "Inventory record not found" });
+  }
+
+  if (!inventoryBranchGuard(req, res, inventory.branch)) {
+    return;
+  }
+
+  // Only callers allowed to see the record may bring its due price changes into effect.
+  const { applied } = await applyDuePriceChanges({ filter: { inventory: inventory._id } });
+  if (applied === 0) {
+    return res.status(200).json(inventory);
+  }
+
+  return res.status(200).json(await Inventory.findById(inventory._id));
+};
+
+const listInventoryMovements = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const inventory = await Inventory.findById(req.params.id);
+  if (!inventory) {
+    return res.status(404).json({ message: "Inventory record not found" });
+  }
+
+  if (req.user.role !== "Director" && !inventoryBranchGuard(req, res, inventory.branch)) {
+    return;
+  }
+
+  const query = { inventory: inventory._id };
+  if (req.query.startDate || req.query.endDate) {
+    query.createdAt = {};
+    if (req.query.startDate) {
+      query.createdAt.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      const end = new Date(req.query.endDate);
+      end.setUTCHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || 200, 1000));
+  const movements = await StockMovement.find(query).sort({ createdAt: -1 }).limit(limit);
+
+  return res.status(200).json({
+    inventory: {
+      id: inventory._id,
+      produceName: inventory.produceName,
+      produceType: inventory.produceType,
+      branch: inventory.branch,
+      stockKg: inventory.stockKg
+    },
+    movements
+  });
+};
+
+const getInventoryBranchReport = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const match = buildInventoryFilter(req.query);
+  if (req.query.branch) {
+    match.branch = req.query.branch;
+  }
+
+  try {
+    const branches = await Inventory.aggregate([
+      { $match: match },
+      { $sort: { produceName: 1, produceType: 1 } },
+      {
+        $group: {
+          _id: "$branch",
+          totalStockKg: { $sum: "$stockKg" },
+          stockValue: { $sum: { $multiply: ["$stockKg", "$sellingPrice"] } },
+          items: {
+            $push: {
+              id: "$_id",
+              produceName: "$produceName",
+              produceType: "$produceType",
+              stockKg: "$stockKg",
+              sellingPrice: "$sellingPrice",
+              updatedAt: "$updatedAt"
+            }
+          }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          branch: "$_id",
+          totalStockKg: 1,
+          stockValue: 1,
+          items: 1
+        }
+      },
+      { $sort: { branch: 1 } }
+    ]);
+
+    return res.status(200).json({
+      filters: {
+        branch: req.query.branch || null,
+        produceName: req.query.produceName || null,
+        produceType: req.query.produceType || null,
+        lowStock: req.query.lowStock === "true"
+      },
+      branches: await withAllBranches(
+        branches,
+        { totalStockKg: 0, stockValue: 0, items: [] },
+        { branch: req.query.branch }
+      )
+    });
+  } catch {
+    return res.status(500).json({ message: "Failed to generate inventory report" });
+  }
+};
+
+const listStockLots = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (req.user.role === "Director") {
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+  } else {
+    if (!inventoryBranchGuard(req, res, req.query.branch)) {
+      return;
+    }
+    query.branch = req.user.branch;
+  }
+
+  for (const field of ["produceName", "produceType", "sourceType"]) {
+    if (req.query[field]) {
+      query[field] = req.query[field];
+    }
+  }
+  if (req.query.supplierId) {
+    query.supplier = req.query.supplierId;
+  }
+  if (req.query.open === "true") {
+    query.remainingKg = { $gt: 0 };
+  }
+
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || 200, 1000));
+  const lots = await StockLot.find(query)
+    .populate("supplier", "name supplierType phone")
+    .sort({ receivedAt: -1 })
+    .limit(limit);
+
+  return res.status(200).json(lots);
+};
+
+// Sums the kg each record drew from one lot; records keep one allocation per lot drawn.
+const drawnFromLot = (record, lotId) =>
+  (record.lots || [])
+    .filter((allocation) => String(allocation.lot) === String(lotId))
+    .reduce((sum, allocation) => sum + Number(allocation.quantityKg), 0);
+
+// Follows a lot back to its procurement and supplier, and forward to every sale, transfer and
+// loss that drew from it, so a bad batch can be recalled from the buyers who received it.
+const getStockLotTrace = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const lot = await StockLot.findById(req.params.id);
+  if (!lot) {
+    return res.status(404).json({ message: "Stock lot not found" });
+  }
+
+  if (req.user.role !== "Director" && !inventoryBranchGuard(req, res, lot.branch)) {
+    return;
+  }
+
+  try {
+    const [procurement, supplier, originLots, derivedLots, sales, transfers, adjustments] =
+      await Promise.all([
+        lot.sourceType === "Procurement" ? Procurement.findById(lot.sourceId) : null,
+        lot.supplier ? Supplier.findById(lot.supplier) : null,
+        StockLot.find({ _id: { $in: lot.originLots || [] } }).sort({ receivedAt: 1 }),
+        StockLot.find({ originLots: lot._id }).sort({ receivedAt: 1 }),
+        Sale.find({ $or: [{ "lots.lot": lot._id }, { "items.lots.lot": lot._id }] }).sort({
+          createdAt: 1
+        }),
+        StockTransfer.find({ "lots.lot": lot._id }).sort({ createdAt: 1 }),
+        StockAdjustment.find({ "lots.lot": lot._id }).sort({ createdAt: 1 })
+      ]);
+
+    return res.status(200).json({
+      lot,
+      procurement,
+      supplier,
+      originLots,
+      derivedLots,
+      sales: sales.map((sale) => ({
+        id: sale._id,
+        saleType: sale.saleType,
+        branch: sale.branch,
+        buyerName: sale.buyerName,
+        nationalId: sale.nationalId,
+        contact: sale.contact,
+        quantityKg: getSaleLines(sale).reduce(
+          (sum, line) => sum + drawnFromLot(line, lot._id),
+          0
+        ),
+        soldAt: sale.createdAt
+      })),
+      transfers: transfers.map((transfer) => ({
+        id: transfer._id,
+        toBranch: transfer.toBranch,
+        status: transfer.status,
+        quantityKg: drawnFromLot(transfer, lot._id),
+        sentAt: transfer.createdAt
+      })),
+      adjustments: adjustments.map((adjustment) => ({
+        id: adjustment._id,
+        reason: adjustment.reason,
+        quantityKg: drawnFromLot(adjustment, lot._id),
+        appliedAt: adjustment.appliedAt
+      }))
+    });
+  } catch {
+    return res.status(500).json({ message: "Failed to trace stock lot" });
+  }
+};
+
+module.exports = {
+  listInventory,
+  getInventoryById,
+  listInventoryMovements,
+  getInventoryBranchReport,
+  listStockLots,
+  getStockLotTrace
+};
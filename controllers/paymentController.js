@@ -0,0 +1,245 @@
+const Sale = require("../models/sales");
+const Payment = require("../models/payment");
+const Customer = require("../models/customer");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { resolveCreditStatus } = require("../utils/creditStatus");
+const { runInTransaction } = require("../utils/transaction");
+
+const saleBranchGuard = (req, res, targetBranch) => {
+  return ensureBranchAccess(req, res, {
+    targetBranch,
+    missingMessage: "User branch assignment is required",
+    mismatchMessage: "You can only manage repayments for your assigned branch"
+  });
+};
+
+const toCreditSummary = (sale) => ({
+  saleId: sale._id,
+  amountDue: sale.amountDue,
+  dueDate: sale.dueDate,
+  ...resolveCreditStatus({
+    amountDue: sale.amountDue,
+    amountCollected: sale.amountCollected,
+    dueDate: sale.dueDate
+  })
+});
+
+// Loads the credit sale behind a repayment request; responds and returns null when not usable.
+const loadCreditSale = async (req, res) => {
+  const sale = await Sale.findById(req.params.id);
+  if (!sale) {
+    res.status(404).json({ message: "Sale not found" });
+    return null;
+  }
+
+  if (!saleBranchGuard(req, res, sale.branch)) {
+    return null;
+  }
+
+  if (sale.saleType !== "Credit") {
+    res.status(400).json({ message: "Repayments can only be recorded against credit sales" });
+    return null;
+  }
+
+  return sale;
+};
+
+// Persists balance and status derived from amountCollected within the caller's transaction.
+const syncCreditBalance = async (sale, session) => {
+  const { outstandingBalance, creditStatus } = resolveCreditStatus({
+    amountDue: sale.amountDue,
+    amountCollected: sale.amountCollected,
+    dueDate: sale.dueDate
+  });
+
+  return Sale.findByIdAndUpdate(
+    sale._id,
+    { $set: { outstandingBalance, creditStatus } },
+    { new: true, session }
+  );
+};
+
+const recordSalePayment = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  try {
+    const sale = await loadCreditSale(req, res);
+    if (!sale) {
+      return;
+    }
+
+    if (sale.status === "Voided") {
+      return res
+        .status(409)
+        .json({ message: "Repayments cannot be recorded against a voided sale" });
+    }
+
+    const amount = Number(req.body.amount);
+    const method = req.body.method || "Cash";
+    if (method === "CreditNote" && !sale.customer) {
+      return res
+        .status(400)
+        .json({ message: "Credit notes can only pay sales to a registered buyer" });
+    }
+
+    const { outstandingBalance } = toCreditSummary(sale);
+    if (amount > outstandingBalance + 0.01) {
+      return res.status(400).json({
+        message: "amount exceeds the outstanding balance of this sale",
+        outstandingBalance
+      });
+    }
+
+    // Collected amount, repayment entry and status commit or abort together.
+    const result = await runInTransaction(async (session) => {
+      // Conditional increment so concurrent repayments cannot overpay the sale.
+      const reserved = await Sale.findOneAndUpdate(
+        {
+          _id: sale._id,
+          status: { $ne: "Voided" },
+          $expr: {
+            $lte: [
+              { $add: [{ $ifNull: ["$amountCollected", 0] }, amount] },
+              { $add: ["$amountDue", 0.01] }
+            ]
+          }
+        },
+        { $inc: { amountCollected: amount } },
+        { new: true, session }
+      );
+      if (!reserved) {
+        return null;
+      }
+
+      if (method === "CreditNote") {
+        const redeemed = await Customer.findOneAndUpdate(
+          { _id: sale.customer, creditNoteBalance: { $gte: amount } },
+          { $inc: { creditNoteBalance: -amount } },
+          { new: true, session }
+        );
+        if (!redeemed) {
+          const error = new Error("amount exceeds the buyer's credit note balance");
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+
+      const [payment] = await Payment.create(
+        [
+          {
+            sale: sale._id,
+            branch: sale.branch,
+            amount,
+            method,
+            paymentDate: req.body.paymentDate || new Date(),
+            notes: req.body.notes,
+            recordedBy: req.user.id,
+            recordedByName: req.user.username
+          }
+        ],
+        { session }
+      );
+
+      return { payment, updatedSale: await syncCreditBalance(reserved, session) };
+    });
+
+    if (!result) {
+      return res.status(409).json({
+        message: "Outstanding balance changed while recording repayment. Please retry"
+      });
+    }
+
+    return res
+      .status(201)
+      .json({ payment: result.payment, balance: toCreditSummary(result.updatedSale) });
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to record repayment" });
+  }
+};
+
+const listSalePayments = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const sale = await loadCreditSale(req, res);
+  if (!sale) {
+    return;
+  }
+
+  const payments = await Payment.find({ sale: sale._id }).sort({ paymentDate: 1, createdAt: 1 });
+  return res.status(200).json({ balance: toCreditSummary(sale), payments });
+};
+
+const reverseSalePayment = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  try {
+    const sale = await loadCreditSale(req, res);
+    if (!sale) {
+      return;
+    }
+
+    const result = await runInTransaction(async (session) => {
+      const payment = await Payment.findOneAndUpdate(
+        { _id: req.params.paymentId, sale: sale._id, reversed: false },
+        {
+          $set: {
+            reversed: true,
+            reversalReason: req.body.reason,
+            reversedBy: req.user.id,
+            reversedAt: new Date()
+          }
+        },
+        { new: true, session }
+      );
+      if (!payment) {
+        return null;
+      }
+
+      const updated = await Sale.findByIdAndUpdate(
+        sale._id,
+        { $inc: { amountCollected: -payment.amount } },
+        { new: true, session }
+      );
+      // A reversed credit note payment goes back to the buyer's credit note balance.
+      if (payment.method === "CreditNote") {
+        await Customer.updateOne(
+          { _id: sale.customer },
+          { $inc: { creditNoteBalance: payment.amount } },
+          { session }
+        );
+      }
+
+      return { payment, updatedSale: await syncCreditBalance(updated, session) };
+    });
+
+    if (!result) {
+      const exists = await Payment.exists({ _id: req.params.paymentId, sale: sale._id });
+      return exists
+        ? res.status(409).json({ message: "Repayment is already reversed" })
+        : res.status(404).json({ message: "Repayment not found" });
+    }
+
+    return res
+      .status(200)
+      .json({ payment: result.payment, balance: toCreditSummary(result.updatedSale) });
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to reverse repayment" });
+  }
+};
+
+module.exports = {
+  recordSalePayment,
+  listSalePayments,
+  reverseSalePayment
+};
@@ -0,0 +1,98 @@
+const AccountingPeriod = require("../models/accountingPeriod");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { monthOf } = require("../utils/periodLocks");
+
+const periodEvent = (req, action) => ({
+  action,
+  by: req.user.id,
+  byName: req.user.username,
+  at: new Date(),
+  reason: req.body.reason
+});
+
+const listAccountingPeriods = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (req.user.role === "Director") {
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+  } else {
+    if (
+      !ensureBranchAccess(req, res, {
+        targetBranch: req.query.branch,
+        missingMessage: "Manager branch assignment is required",
+        mismatchMessage: "Manager can only view periods for assigned branch"
+      })
+    ) {
+      return;
+    }
+    query.branch = req.user.branch;
+  }
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const periods = await AccountingPeriod.find(query).sort({ month: -1, branch: 1 });
+  return res.status(200).json(periods);
+};
+
+// Closes a month of a branch, or closes it again after a reopen; each close joins the history.
+const closeAccountingPeriod = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const { branch, month } = req.body;
+  if (month > monthOf(new Date())) {
+    return res.status(400).json({ message: "A month that has not started cannot be closed" });
+  }
+
+  try {
+    const period = await AccountingPeriod.findOneAndUpdate(
+      { branch, month, status: { $ne: "Closed" } },
+      { $set: { status: "Closed" }, $push: { history: periodEvent(req, "Close") } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    return res.status(200).json(period);
+  } catch (error) {
+    // The upsert collides with the unique branch/month index when the period is already closed.
+    if (error.code === 11000) {
+      return res.status(409).json({ message: `${month} is already closed for ${branch}` });
+    }
+
+    return res.status(500).json({ message: "Failed to close accounting period" });
+  }
+};
+
+const reopenAccountingPeriod = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const period = await AccountingPeriod.findOneAndUpdate(
+    { _id: req.params.id, status: "Closed" },
+    { $set: { status: "Reopened" }, $push: { history: periodEvent(req, "Reopen") } },
+    { new: true }
+  );
+  if (!period) {
+    const exists = await AccountingPeriod.exists({ _id: req.params.id });
+    return exists
+      ? res.status(409).json({ message: "Accounting period is not closed" })
+      : res.status(404).json({ message: "Accounting period not found" });
+  }
+
+  return res.status(200).json(period);
+};
+
+module.exports = {
+  listAccountingPeriods,
+  closeAccountingPeriod,
+  reopenAccountingPeriod
+};
@@ -0,0 +1,323 @@
+const PriceChange = require("../models/priceChange");
+const Inventory = require("../models/inventory");
+const Notification = require("../models/notification");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { runInTransaction } = require("../utils/transaction");
+const { getLatestUnitCost } = require("../utils/procurementCost");
+const { assertMinimumSellingPrice } = require("../utils/produceCatalog");
+const { applyPriceChange, applyDuePriceChanges } = require("../utils/priceChanges");
+const { assertPriceFloor } = require("../utils/salePricing");
+
+const managerBranchGuard = (req, res, targetBranch) => {
+  return ensureBranchAccess(req, res, {
+    targetBranch,
+    missingMessage: "Manager branch assignment is required",
+    mismatchMessage: "Manager can only set prices for assigned branch"
+  });
+};
+
+const notifyBranchManager = async ({ change, title, message, session }) => {
+  await Notification.create(
+    [
+      {
+        targetRole: "Manager",
+        title,
+        message,
+        branch: change.branch,
+        produceName: change.produceName,
+        produceType: change.produceType
+      }
+    ],
+    { session }
+  );
+};
+
+const describePrice = (change) =>
+  `${change.newPrice} per kg for ${change.produceName} (${change.produceType}) at ${change.branch}`;
+
+// Changes take effect immediately unless effectiveFrom is in the future. A price below the latest
+// procurement cost per kg waits for Director approval whatever its effective date.
+const setSellingPrice = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const inventory = await Inventory.findById(req.params.id);
+  if (!inventory) {
+    return res.status(404).json({ message: "Inventory record not found" });
+  }
+
+  if (!managerBranchGuard(req, res, inventory.branch)) {
+    return;
+  }
+
+  const newPrice = Number(req.body.sellingPrice);
+  try {
+    await assertMinimumSellingPrice({ produceName: inventory.produceName, sellingPrice: newPrice });
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const now = new Date();
+  const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : now;
+  const scheduled = effectiveFrom > now;
+  if (!scheduled && newPrice === Number(inventory.sellingPrice)) {
+    return res.status(400).json({ message: "sellingPrice is unchanged" });
+  }
+
+  const key = {
+    produceName: inventory.produceName,
+    produceType: inventory.produceType,
+    branch: inventory.branch
+  };
+
+  try {
+    const unitCost = await getLatestUnitCost(key);
+    const belowCost = unitCost > 0 && newPrice < unitCost;
+
+    const result = await runInTransaction(async (session) => {
+      const [change] = await PriceChange.create(
+        [
+          {
+            inventory: inventory._id,
+            ...key,
+            source: "Manual",
+            oldPrice: inventory.sellingPrice,
+            newPrice,
+            effectiveFrom: scheduled ? effectiveFrom : now,
+            status: belowCost ? "PendingApproval" : "Scheduled",
+            unitCostAtRequest: unitCost,
+            belowCost,
+            reason: req.body.reason,
+            requestedBy: req.user.id,
+            requestedByName: req.user.username
+          }
+        ],
+        { session }
+      );
+
+      if (belowCost || scheduled) {
+        return { priceChange: change, inventory: null };
+      }
+
+      return applyPriceChange({ change, now, session });
+    });
+
+    if (!result) {
+      return res.status(409).json({ message: "Price change could not be applied; retry" });
+    }
+
+    return res.status(result.inventory ? 200 : 202).json(result);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to set selling price" });
+  }
+};
+
+const listPriceHistory = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const inventory = await Inventory.findById(req.params.id);
+  if (!inventory) {
+    return res.status(404).json({ message: "Inventory record not found" });
+  }
+
+  if (
+    req.user.role !== "Director" &&
+    !ensureBranchAccess(req, res, {
+      targetBranch: inventory.branch,
+      missingMessage: "User branch assignment is required",
+      mismatchMessage: "You can only view prices for your assigned branch"
+    })
+  ) {
+    return;
+  }
+
+  await applyDuePriceChanges({ filter: { inventory: inventory._id } });
+  const history = await PriceChange.find({ inventory: inventory._id }).sort({ createdAt: -1 });
+  const current = await Inventory.findById(inventory._id);
+
+  return res.status(200).json({
+    inventory: {
+      id: current._id,
+      produceName: current.produceName,
+      produceType: current.produceType,
+      branch: current.branch,
+      sellingPrice: current.sellingPrice
+    },
+    history
+  });
+};
+
+const listPriceChanges = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (req.user.role === "Director") {
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+  } else {
+    if (!managerBranchGuard(req, res, req.query.branch)) {
+      return;
+    }
+    query.branch = req.user.branch;
+  }
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const changes = await PriceChange.find(query).sort({ createdAt: -1 });
+  return res.status(200).json(changes);
+};
+
+const reviewPriceChange = async ({ req, res, decision }) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const now = new Date();
+  try {
+    const result = await runInTransaction(async (session) => {
+      const reviewed = await PriceChange.findOneAndUpdate(
+        { _id: req.params.id, status: "PendingApproval" },
+        {
+          $set: {
+            status: decision === "Approved" ? "Scheduled" : "Rejected",
+            reviewedBy: req.user.id,
+            reviewedByName: req.user.username,
+            reviewedAt: now,
+            reviewNote: req.body.note
+          }
+        },
+        { new: true, session }
+      );
+      if (!reviewed) {
+        return null;
+      }
+
+      await notifyBranchManager({
+        change: reviewed,
+        title: decision === "Approved" ? "Price change approved" : "Price change rejected",
+        message: `Below-cost price of ${describePrice(reviewed)} was ${decision.toLowerCase()}`,
+        session
+      });
+
+      if (decision !== "Approved" || reviewed.effectiveFrom > now) {
+        return { priceChange: reviewed, inventory: null };
+      }
+
+      return applyPriceChange({ change: reviewed, now, session });
+    });
+
+    if (!result) {
+      const exists = await PriceChange.exists({ _id: req.params.id });
+      return exists
+        ? res.status(409).json({ message: "Price change is not pending approval" })
+        : res.status(404).json({ message: "Price change not found" });
+    }
+
+    return res.status(200).json(result);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to review price change" });
+  }
+};
+
+const approvePriceChange = async (req, res) =>
+  reviewPriceChange({ req, res, decision: "Approved" });
+
+const rejectPriceChange = async (req, res) =>
+  reviewPriceChange({ req, res, decision: "Rejected" });
+
+const cancelPriceChange = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const change = await PriceChange.findById(req.params.id);
+  if (!change) {
+    return res.status(404).json({ message: "Price change not found" });
+  }
+
+  if (!managerBranchGuard(req, res, change.branch)) {
+    return;
+  }
+
+  const cancelled = await PriceChange.findOneAndUpdate(
+    { _id: change._id, status: { $in: ["PendingApproval", "Scheduled"] } },
+    { $set: { status: "Cancelled", cancelledBy: req.user.id, cancelledAt: new Date() } },
+    { new: true }
+  );
+  if (!cancelled) {
+    return res
+      .status(409)
+      .json({ message: "Only pending or scheduled price changes can be cancelled" });
+  }
+
+  return res.status(200).json(cancelled);
+};
+
+// Replaces the quantity tiers of an inventory record; an empty list removes tiered pricing.
+const setPriceTiers = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const inventory = await Inventory.findById(req.params.id);
+  if (!inventory) {
+    return res.status(404).json({ message: "Inventory record not found" });
+  }
+
+  if (req.user.role !== "Director" && !managerBranchGuard(req, res, inventory.branch)) {
+    return;
+  }
+
+  const priceTiers = req.body.priceTiers
+    .map((tier) => ({ minKg: Number(tier.minKg), unitPrice: Number(tier.unitPrice) }))
+    .sort((a, b) => a.minKg - b.minKg);
+  if (new Set(priceTiers.map((tier) => tier.minKg)).size !== priceTiers.length) {
+    return res.status(400).json({ message: "Each price tier needs a different minKg" });
+  }
+
+  try {
+    await assertPriceFloor({
+      key: {
+        produceName: inventory.produceName,
+        produceType: inventory.produceType,
+        branch: inventory.branch
+      },
+      prices: priceTiers.map((tier) => tier.unitPrice),
+      actor: req.user
+    });
+
+    const updated = await Inventory.findByIdAndUpdate(
+      inventory._id,
+      { $set: { priceTiers } },
+      { new: true, runValidators: true }
+    );
+    return res.status(200).json(updated);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to set price tiers" });
+  }
+};
+
+module.exports = {
+  setSellingPrice,
+  setPriceTiers,
+  listPriceHistory,
+  listPriceChanges,
+  approvePriceChange,
+  rejectPriceChange,
+  cancelPriceChange
+};
@@ -1,8 +1,30 @@
 const Procurement = require("../models/procurement");
+const Supplier = require("../models/supplier");
 const Inventory = require("../models/inventory");
+const StockLot = require("../models/stockLot");
 const validateRequest = require("../utils/validateRequest");
 const { ensureBranchAccess } = require("../utils/branchAccess");
 const { validateProcurementSource } = require("../utils/procurementSourceRule");
+const { changeStock } = require("../utils/stockLedger");
+const { runInTransaction } = require("../utils/transaction");
+const { toUnitCost } = require("../utils/procurementCost");
+const { recordInitialPrice } = require("../utils/priceChanges");
+const { issueDocumentNumber } = require("../utils/documentNumbers");
+const { assertPeriodsOpen } = require("../utils/periodLocks");
+const {
+  LOT_TOLERANCE_KG,
+  reconcileOpeningLot,
+  createLot,
+  consumeLotsFifo
+} = require("../utils/stockLots");
+const {
+  assertCatalogProduce,
+  assertAllowedProduceType,
+  assertMinimumSellingPrice
+} = require("../utils/produceCatalog");
+
+// Procurements have no createdAt; the ObjectId gives the time they were entered.
+const procurementDates = (procurement) => [procurement.date, procurement._id.getTimestamp()];
 
 const managerBranchGuard = (req, res, targetBranch) => {
   return ensureBranchAccess(req, res, {
@@ -12,8 +34,8 @@ const managerBranchGuard = (req, res, targetBranch) => {
   });
 };
 
-const validateSourceRules = ({ sourceType, sourceName, tonnage }, res) => {
-  const sourceValidation = validateProcurementSource({
+const validateSourceRules = async ({ sourceType, sourceName, tonnage }, res) => {
+  const sourceValidation = await validateProcurementSource({
     sourceType,
     sourceName,
     tonnage
@@ -26,10 +48,54 @@ const validateSourceRules = ({ sourceType, sourceName, tonnage }, res) => {
   return true;
 };
 
-// Reconciles inventory when a procurement record is edited and returns rollback handler.
+// Loads the supplier a procurement is recorded against; responds and returns null when not usable.
+const loadProcurementSupplier = async (supplierId, res, { activeOnly = false } = {}) => {
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier) {
+    res.status(404).json({ message: "Supplier not found" });
+    return null;
+  }
+
+  if (activeOnly && !supplier.active) {
+    res.status(400).json({ message: `${supplier.name} is deactivated in the supplier registry` });
+    return null;
+  }
+
+  return supplier;
+};
+
+// Source fields are copied from the supplier so each procurement keeps a snapshot of who supplied it.
+const supplierSourceFields = (supplier) => ({
+  supplier: supplier._id,
+  sourceType: supplier.supplierType,
+  sourceName: supplier.name,
+  contact: supplier.phone
+});
+
+// Re-checks catalog rules for edits; produce deactivated after purchase may still be corrected.
+const validateCatalogRules = async (nextData, previous, res) => {
+  try {
+    await assertCatalogProduce(nextData.produceName, {
+      activeOnly: nextData.produceName !== previous.produceName
+    });
+    await assertAllowedProduceType(nextData);
+    await assertMinimumSellingPrice(nextData);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+    return false;
+  }
+
+  return true;
+};
+
+// Reconciles inventory when a procurement record is edited, inside the caller's transaction.
+// The procurement's sellingPrice only prices an inventory record it creates.
 const applyInventoryForProcurementMutation = async ({
   oldData,
-  newData
+  newData,
+  sourceId,
+  actor,
+  session
 }) => {
   const oldKey = {
     produceName: oldData.produceName,
@@ -43,80 +109,146 @@ const applyInventoryForProcurementMutation = async ({
   };
   const oldTonnage = Number(oldData.tonnage);
   const newTonnage = Number(newData.tonnage);
+  const movement = {
+    movementType: "ProcurementUpdate",
+    sourceType: "Procurement",
+    sourceId,
+    actor
+  };
 
   const isSameKey =
     oldKey.produceName === newKey.produceName &&
     oldKey.produceType === newKey.produceType &&
     oldKey.branch === newKey.branch;
 
-  // Same inventory record: only adjust quantity and latest selling price.
+  // Same inventory record: only adjust quantity.
   if (isSameKey) {
     const delta = newTonnage - oldTonnage;
-    if (delta >= 0) {
-      const updated = await Inventory.findOneAndUpdate(
-        oldKey,
-        { $inc: { stockKg: delta }, $set: { sellingPrice: Number(newData.sellingPrice) } },
-        { new: true }
-      );
-      if (!updated) {
-        throw new Error("Inventory not found for procurement update");
-      }
-      return async () => {
-        await Inventory.findOneAndUpdate(
-          oldKey,
-          { $inc: { stockKg: -delta }, $set: { sellingPrice: Number(oldData.sellingPrice) } }
-        );
-      };
-    }
-
-    const required = Math.abs(delta);
-    const updated = await Inventory.findOneAndUpdate(
-      { ...oldKey, stockKg: { $gte: required } },
-      { $inc: { stockKg: -required }, $set: { sellingPrice: Number(newData.sellingPrice) } },
-      { new: true }
-    );
+    const updated = await changeStock({
+      filter: oldKey,
+      deltaKg: delta,
+      requireStock: true,
+      movement,
+      session
+    });
     if (!updated) {
-      throw new Error("Not enough stock to reduce procurement quantity");
-    }
-    return async () => {
-      await Inventory.findOneAndUpdate(
-        oldKey,
-        { $inc: { stockKg: required }, $set: { sellingPrice: Number(oldData.sellingPrice) } }
+      throw new Error(
+        delta >= 0
+          ? "Inventory not found for procurement update"
+          : "Not enough stock to reduce procurement quantity"
       );
-    };
+    }
+    return;
   }
 
-  // Inventory key changed: move quantity from old key to new key atomically-ish with rollback.
-  const oldUpdated = await Inventory.findOneAndUpdate(
-    { ...oldKey, stockKg: { $gte: oldTonnage } },
-    { $inc: { stockKg: -oldTonnage } },
-    { new: true }
-  );
+  // Inventory key changed: move quantity from old key to new key.
+  const oldUpdated = await changeStock({
+    filter: oldKey,
+    deltaKg: -oldTonnage,
+    requireStock: true,
+    movement,
+    session
+  });
   if (!oldUpdated) {
     throw new Error("Cannot move procurement: insufficient stock on old inventory key");
   }
 
-  try {
-    await Inventory.findOneAndUpdate(
-      newKey,
-      {
-        $inc: { stockKg: newTonnage },
-        $set: { sellingPrice: Number(newData.sellingPrice) }
-      },
-      { new: true, upsert: true, setDefaultsOnInsert: true }
-    );
-  } catch (error) {
-    await Inventory.findOneAndUpdate(oldKey, { $inc: { stockKg: oldTonnage } });
-    throw error;
+  const existed = await Inventory.exists(newKey).session(session);
+  const moved = await changeStock({
+    filter: newKey,
+    deltaKg: newTonnage,
+    setOnInsert: { sellingPrice: Number(newData.sellingPrice) },
+    upsert: true,
+    movement,
+    session
+  });
+  if (!existed) {
+    await recordInitialPrice({ inventory: moved, source: "Procurement", sourceId, actor, session });
   }
+};
 
-  return async () => {
-    await Inventory.findOneAndUpdate(newKey, { $inc: { stockKg: -newTonnage } });
-    await Inventory.findOneAndUpdate(oldKey, {
-      $inc: { stockKg: oldTonnage },
-      $set: { sellingPrice: Number(oldData.sellingPrice) }
-    });
+const findProcurementLot = (procurementId, session) =>
+  StockLot.findOne({ sourceType: "Procurement", sourceId: procurementId }).session(session);
+
+const lotConflict = (message) => {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+};
+
+// Keeps the procurement's lot in step with an edit, after the stock change. Kg already drawn from
+// the lot by sales, transfers or losses stay drawn, so a drawn lot cannot move to another
+// inventory key or shrink below what was drawn. Sales keep the unit cost they were drawn at.
+const applyLotForProcurementMutation = async ({ lot, oldData, newData, session }) => {
+  const oldKey = {
+    produceName: oldData.produceName,
+    produceType: oldData.produceType,
+    branch: oldData.branch
+  };
+  const newKey = {
+    produceName: newData.produceName,
+    produceType: newData.produceType,
+    branch: newData.branch
   };
+  const oldTonnage = Number(oldData.tonnage);
+  const newTonnage = Number(newData.tonnage);
+  const isSameKey =
+    oldKey.produceName === newKey.produceName &&
+    oldKey.produceType === newKey.produceType &&
+    oldKey.branch === newKey.branch;
+  const inventory = await Inventory.findOne(newKey).session(session);
+
+  // Procurements recorded before lot tracking: stock they give up comes from the oldest lots.
+  if (!lot) {
+    if (!isSameKey) {
+      await consumeLotsFifo({ key: oldKey, quantityKg: oldTonnage, session });
+      await createLot({
+        inventory,
+        sourceType: "Procurement",
+        sourceId: oldData._id,
+        supplier: newData.supplier,
+        quantityKg: newTonnage,
+        unitCost: toUnitCost(newData.cost, newTonnage),
+        receivedAt: newData.date,
+        session
+      });
+    } else if (newTonnage < oldTonnage) {
+      await consumeLotsFifo({ key: oldKey, quantityKg: oldTonnage - newTonnage, session });
+    } else if (newTonnage > oldTonnage) {
+      await createLot({
+        inventory,
+        sourceType: "Opening",
+        quantityKg: newTonnage - oldTonnage,
+        unitCost: toUnitCost(newData.cost, newTonnage),
+        session
+      });
+    }
+    return;
+  }
+
+  const drawnKg = Number(lot.quantityKg) - Number(lot.remainingKg);
+  if (!isSameKey && drawnKg >= LOT_TOLERANCE_KG) {
+    throw lotConflict(
+      "Stock from this procurement has already been sold or moved; " +
+        "produce and branch can no longer change"
+    );
+  }
+  if (newTonnage < drawnKg - LOT_TOLERANCE_KG) {
+    throw lotConflict(
+      `tonnage cannot go below the ${drawnKg}kg already drawn from this procurement`
+    );
+  }
+
+  lot.inventory = inventory._id;
+  lot.produceName = newKey.produceName;
+  lot.produceType = newKey.produceType;
+  lot.branch = newKey.branch;
+  lot.supplier = newData.supplier;
+  lot.quantityKg = newTonnage;
+  lot.remainingKg = Math.max(newTonnage - drawnKg, 0);
+  lot.unitCost = toUnitCost(newData.cost, newTonnage);
+  lot.receivedAt = newData.date;
+  await lot.save({ session });
 };
 
 const listProcurements = async (req, res) => {
@@ -131,12 +263,7 @@ const listProcurements = async (req, res) => {
   return res.status(200).json(procurements);
 };
 
-const getProcurementById = async (req, res) => {
-  if (!validateRequest(req, res)) {
-    return;
-  }
-
-  const procurement = await Procurement.findById(req.params.id);
+const sendProcurement = (req, res, procurement) => {
   if (!procurement) {
     return res.status(404).json({ message: "Procurement not found" });
   }
@@ -148,6 +275,23 @@ const getProcurementById = async (req, res) => {
   return res.status(200).json(procurement);
 };
 
+const getProcurementById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  return sendProcurement(req, res, await Procurement.findById(req.params.id));
+};
+
+const getProcurementByNumber = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const procurement = await Procurement.findOne({ documentNumber: req.params.documentNumber });
+  return sendProcurement(req, res, procurement);
+};
+
 const createProcurement = async (req, res) => {
   if (!validateRequest(req, res)) {
     return;
@@ -158,50 +302,95 @@ const createProcurement = async (req, res) => {
   }
 
   try {
-    const sourceName = req.body.sourceName || req.body.dealerName;
-    if (
-      !validateSourceRules(
-        { sourceType: req.body.sourceType, sourceName, tonnage: req.body.tonnage },
-        res
-      )
-    ) {
+    await assertPeriodsOpen({ branch: req.body.branch, dates: [req.body.date, new Date()] });
+
+    const supplier = await loadProcurementSupplier(req.body.supplierId, res, { activeOnly: true });
+    if (!supplier) {
       return;
     }
 
-    const procurement = await Procurement.create({
-      produceName: req.body.produceName,
-      produceType: req.body.produceType,
-      date: req.body.date,
-      time: req.body.time,
-      tonnage: req.body.tonnage,
-      cost: req.body.cost,
-      sourceType: req.body.sourceType,
-      sourceName,
-      branch: req.body.branch,
-      contact: req.body.contact,
-      sellingPrice: req.body.sellingPrice
-    });
+    const source = supplierSourceFields(supplier);
+    if (!(await validateSourceRules({ ...source, tonnage: req.body.tonnage }, res))) {
+      return;
+    }
+
+    // Procurement document, stock increase and its movement commit or abort together.
+    const { procurement, inventory } = await runInTransaction(async (session) => {
+      const documentNumber = await issueDocumentNumber({
+        branch: req.body.branch,
+        documentType: "Procurement",
+        session
+      });
+      const [created] = await Procurement.create(
+        [
+          {
+            documentNumber,
+            produceName: req.body.produceName,
+            produceType: req.body.produceType,
+            date: req.body.date,
+            time: req.body.time,
+            tonnage: req.body.tonnage,
+            cost: req.body.cost,
+            ...source,
+            branch: req.body.branch,
+            sellingPrice: req.body.sellingPrice
+          }
+        ],
+        { session }
+      );
 
-    const inventory = await Inventory.findOneAndUpdate(
-      {
+      const key = {
         produceName: req.body.produceName,
         produceType: req.body.produceType,
         branch: req.body.branch
-      },
-      {
-        $inc: { stockKg: Number(req.body.tonnage) },
-        $set: { sellingPrice: Number(req.body.sellingPrice) }
-      },
-      {
-        new: true,
+      };
+      // sellingPrice only prices a new inventory record; later changes go through the
+      // selling-price endpoint so they keep a history.
+      const existed = await Inventory.exists(key).session(session);
+      const stocked = await changeStock({
+        filter: key,
+        deltaKg: Number(req.body.tonnage),
+        setOnInsert: { sellingPrice: Number(req.body.sellingPrice) },
         upsert: true,
-        setDefaultsOnInsert: true
+        movement: {
+          movementType: "ProcurementCreate",
+          sourceType: "Procurement",
+          sourceId: created._id,
+          actor: req.user
+        },
+        session
+      });
+
+      if (!existed) {
+        await recordInitialPrice({
+          inventory: stocked,
+          source: "Procurement",
+          sourceId: created._id,
+          actor: req.user,
+          session
+        });
       }
-    );
+
+      // Each procurement is received as its own lot so sales can be traced back to it.
+      await createLot({
+        inventory: stocked,
+        sourceType: "Procurement",
+        sourceId: created._id,
+        supplier: created.supplier,
+        quantityKg: Number(created.tonnage),
+        unitCost: toUnitCost(created.cost, created.tonnage),
+        receivedAt: created.date,
+        session
+      });
+
+      return { procurement: created, inventory: stocked };
+    });
 
     return res.status(201).json({ procurement, inventory });
-  } catch {
-    return res.status(500).json({ message: "Failed to record procurement" });
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to record procurement" });
   }
 };
 
@@ -226,10 +415,11 @@ const updateProcurementById = async (req, res) => {
     time: req.body.time || procurement.time,
     tonnage: typeof req.body.tonnage === "undefined" ? procurement.tonnage : req.body.tonnage,
     cost: typeof req.body.cost === "undefined" ? procurement.cost : req.body.cost,
-    sourceType: req.body.sourceType || procurement.sourceType,
-    sourceName: req.body.sourceName || req.body.dealerName || procurement.sourceName,
+    supplier: procurement.supplier,
+    sourceType: procurement.sourceType,
+    sourceName: procurement.sourceName,
     branch: req.body.branch || procurement.branch,
-    contact: req.body.contact || procurement.contact,
+    contact: procurement.contact,
     sellingPrice:
       typeof req.body.sellingPrice === "undefined"
         ? procurement.sellingPrice
@@ -240,35 +430,95 @@ const updateProcurementById = async (req, res) => {
     return;
   }
 
-  if (!validateSourceRules(nextData, res)) {
+  try {
+    await assertPeriodsOpen({
+      branch: procurement.branch,
+      dates: [...procurementDates(procurement), req.body.date]
+    });
+    // A procurement moved to another branch must not land in a month that branch has closed.
+    if (nextData.branch !== procurement.branch) {
+      await assertPeriodsOpen({
+        branch: nextData.branch,
+        dates: [nextData.date, procurement._id.getTimestamp()]
+      });
+    }
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message });
+  }
+
+  // Registered suppliers are re-read so the rules and snapshot follow the current supplier record.
+  const supplierId = req.body.supplierId || procurement.supplier;
+  if (supplierId) {
+    const supplier = await loadProcurementSupplier(supplierId, res, {
+      activeOnly: String(supplierId) !== String(procurement.supplier)
+    });
+    if (!supplier) {
+      return;
+    }
+    Object.assign(nextData, supplierSourceFields(supplier));
+  }
+
+  if (!(await validateSourceRules(nextData, res))) {
+    return;
+  }
+
+  if (!(await validateCatalogRules(nextData, procurement, res))) {
     return;
   }
 
-  // Roll back stock mutation if procurement save fails after inventory adjustment.
-  let rollback = async () => {};
+  // Stock reconciliation and the procurement save commit or abort together.
   try {
-    rollback = await applyInventoryForProcurementMutation({
-      oldData: procurement,
-      newData: nextData
+    const updatedProcurement = await runInTransaction(async (session) => {
+      // Re-read inside the transaction so a retried attempt starts from committed state.
+      const current = await Procurement.findById(procurement._id).session(session);
+      if (!current) {
+        const error = new Error("Procurement not found");
+        error.statusCode = 404;
+        throw error;
+      }
+
+      const lot = await findProcurementLot(current._id, session);
+      if (!lot) {
+        await reconcileOpeningLot({
+          key: {
+            produceName: current.produceName,
+            produceType: current.produceType,
+            branch: current.branch
+          },
+          session
+        });
+      }
+
+      await applyInventoryForProcurementMutation({
+        oldData: current,
+        newData: nextData,
+        sourceId: current._id,
+        actor: req.user,
+        session
+      });
+      await applyLotForProcurementMutation({ lot, oldData: current, newData: nextData, session });
+
+      current.produceName = nextData.produceName;
+      current.produceType = nextData.produceType;
+      current.date = nextData.date;
+      current.time = nextData.time;
+      current.tonnage = nextData.tonnage;
+      current.cost = nextData.cost;
+      current.supplier = nextData.supplier;
+      current.sourceType = nextData.sourceType;
+      current.sourceName = nextData.sourceName;
+      current.branch = nextData.branch;
+      current.contact = nextData.contact;
+      current.sellingPrice = nextData.sellingPrice;
+      await current.save({ session });
+      return current;
     });
 
-    procurement.produceName = nextData.produceName;
-    procurement.produceType = nextData.produceType;
-    procurement.date = nextData.date;
-    procurement.time = nextData.time;
-    procurement.tonnage = nextData.tonnage;
-    procurement.cost = nextData.cost;
-    procurement.sourceType = nextData.sourceType;
-    procurement.sourceName = nextData.sourceName;
-    procurement.branch = nextData.branch;
-    procurement.contact = nextData.contact;
-    procurement.sellingPrice = nextData.sellingPrice;
-    await procurement.save();
-
-    return res.status(200).json(procurement);
+    return res.status(200).json(updatedProcurement);
   } catch (error) {
-    await rollback();
-    return res.status(400).json({ message: error.message || "Failed to update procurement" });
+    return res
+      .status(error.statusCode || 400)
+      .json({ message: error.message || "Failed to update procurement" });
   }
 };
 
@@ -286,6 +536,12 @@ const deleteProcurementById = async (req, res) => {
     return;
   }
 
+  try {
+    await assertPeriodsOpen({ branch: procurement.branch, dates: procurementDates(procurement) });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message });
+  }
+
   const key = {
     produceName: procurement.produceName,
     produceType: procurement.produceType,
@@ -293,28 +549,66 @@ const deleteProcurementById = async (req, res) => {
   };
   const tonnage = Number(procurement.tonnage);
 
-  const inventory = await Inventory.findOneAndUpdate(
-    { ...key, stockKg: { $gte: tonnage } },
-    { $inc: { stockKg: -tonnage } },
-    { new: true }
-  );
+  try {
+    const inventory = await runInTransaction(async (session) => {
+      const lot = await findProcurementLot(procurement._id, session);
+      if (lot && Number(lot.remainingKg) < Number(lot.quantityKg) - LOT_TOLERANCE_KG) {
+        throw lotConflict(
+          "Stock from this procurement has already been sold or moved; it cannot be deleted"
+        );
+      }
+      if (!lot) {
+        await reconcileOpeningLot({ key, session });
+      }
 
-  if (!inventory) {
-    return res.status(400).json({ message: "Cannot delete procurement due to insufficient stock" });
-  }
+      const reduced = await changeStock({
+        filter: key,
+        deltaKg: -tonnage,
+        requireStock: true,
+        movement: {
+          movementType: "ProcurementDelete",
+          sourceType: "Procurement",
+          sourceId: procurement._id,
+          actor: req.user
+        },
+        session
+      });
+      if (!reduced) {
+        return null;
+      }
+
+      if (lot) {
+        await lot.deleteOne({ session });
+      } else {
+        await consumeLotsFifo({ key, quantityKg: tonnage, session });
+      }
+
+      const { deletedCount } = await Procurement.deleteOne({ _id: procurement._id }, { session });
+      if (deletedCount === 0) {
+        const error = new Error("Procurement not found");
+        error.statusCode = 404;
+        throw error;
+      }
+
+      return reduced;
+    });
+
+    if (!inventory) {
+      return res.status(400).json({ message: "Cannot delete procurement due to insufficient stock" });
+    }
 
-  try {
-    await Procurement.deleteOne({ _id: procurement._id });
     return res.status(200).json({ message: "Procurement deleted" });
-  } catch {
-    await Inventory.findOneAndUpdate(key, { $inc: { stockKg: tonnage } });
-    return res.status(500).json({ message: "Failed to delete procurement" });
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to delete procurement" });
   }
 };
 
 module.exports = {
   listProcurements,
   getProcurementById,
+  getProcurementByNumber,
   createProcurement,
   updateProcurementById,
   deleteProcurementById
@@ -0,0 +1,98 @@
+const Produce = require("../models/produce");
+const validateRequest = require("../utils/validateRequest");
+
+const listProduce = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (typeof req.query.active !== "undefined") {
+    query.active = req.query.active === "true";
+  }
+
+  const produce = await Produce.find(query).sort({ name: 1 });
+  return res.status(200).json(produce);
+};
+
+const getProduceById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const produce = await Produce.findById(req.params.id);
+  if (!produce) {
+    return res.status(404).json({ message: "Produce not found" });
+  }
+
+  return res.status(200).json(produce);
+};
+
+const createProduce = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  try {
+    const produce = await Produce.create({
+      name: req.body.name,
+      produceTypes: req.body.produceTypes || [],
+      unit: req.body.unit,
+      active: typeof req.body.active === "undefined" ? true : req.body.active,
+      minimumSellingPrice: req.body.minimumSellingPrice
+    });
+
+    return res.status(201).json(produce);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: `${req.body.name} already exists in the catalog` });
+    }
+
+    return res.status(500).json({ message: "Failed to create produce" });
+  }
+};
+
+// Name is immutable because sales, procurement and stock records reference produce by name.
+const updateProduce = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const produce = await Produce.findById(req.params.id);
+  if (!produce) {
+    return res.status(404).json({ message: "Produce not found" });
+  }
+
+  if (typeof req.body.name !== "undefined" && req.body.name !== produce.name) {
+    return res.status(400).json({ message: "Produce name cannot be changed" });
+  }
+
+  if (typeof req.body.produceTypes !== "undefined") {
+    produce.produceTypes = req.body.produceTypes;
+  }
+  if (typeof req.body.unit !== "undefined") {
+    produce.unit = req.body.unit;
+  }
+  if (typeof req.body.active !== "undefined") {
+    produce.active = req.body.active;
+  }
+  if (typeof req.body.minimumSellingPrice !== "undefined") {
+    produce.minimumSellingPrice = req.body.minimumSellingPrice === null
+      ? undefined
+      : req.body.minimumSellingPrice;
+  }
+
+  try {
+    await produce.save();
+    return res.status(200).json(produce);
+  } catch {
+    return res.status(500).json({ message: "Failed to update produce" });
+  }
+};
+
+module.exports = {
+  listProduce,
+  getProduceById,
+  createProduce,
+  updateProduce
+};
@@ -0,0 +1,253 @@
+const Sale = require("../models/sales");
+const SaleReturn = require("../models/saleReturn");
+const Customer = require("../models/customer");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { resolveCreditStatus } = require("../utils/creditStatus");
+const { runInTransaction } = require("../utils/transaction");
+const { changeStock } = require("../utils/stockLedger");
+const { getLatestUnitCost } = require("../utils/procurementCost");
+const { getSaleLines } = require("../utils/saleLines");
+const { assertPeriodsOpen } = require("../utils/periodLocks");
+const { assertTillDayOpen } = require("../utils/tillSessions");
+const {
+  LOT_TOLERANCE_KG,
+  returnStockToLots,
+  splitAllocations,
+  allocationCost
+} = require("../utils/stockLots");
+const { roundMoney, roundKg, buildError } = require("../utils/helpers");
+
+const returnBranchGuard = (req, res, targetBranch) => {
+  return ensureBranchAccess(req, res, {
+    targetBranch,
+    missingMessage: "User branch assignment is required",
+    mismatchMessage: "You can only manage returns for your assigned branch"
+  });
+};
+
+const loadBranchSale = async (req, res) => {
+  const sale = await Sale.findById(req.params.id);
+  if (!sale) {
+    res.status(404).json({ message: "Sale not found" });
+    return null;
+  }
+
+  if (!returnBranchGuard(req, res, sale.branch)) {
+    return null;
+  }
+
+  return sale;
+};
+
+/**
+ * Records goods a buyer brought back from a sale. Resaleable kg go back into inventory and the
+ * lots they came from; damaged kg are written off at their lot cost. The refund is taken off the
+ * outstanding balance of a credit sale first, and the rest is paid as cash or a credit note.
+ */
+const recordSaleReturn = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const sale = await loadBranchSale(req, res);
+  if (!sale) {
+    return;
+  }
+
+  const quantityKg = Number(req.body.quantityKg);
+  const condition = req.body.condition;
+  const settlement = req.body.settlement || "CashRefund";
+
+  try {
+    const result = await runInTransaction(async (session) => {
+      // Re-read inside the transaction so concurrent returns cannot exceed the sold tonnage.
+      const current = await Sale.findById(sale._id).session(session);
+      if (current.status === "Voided") {
+        throw buildError("Returns cannot be recorded against a voided sale", 409);
+      }
+      // A return is its own transaction, reported on the day it is recorded rather than as an
+      // edit of the sale, so only today's period has to be open.
+      await assertPeriodsOpen({ branch: current.branch, dates: [new Date()], session });
+
+      // Returns against a multi-item sale name the item; the line's own fields are updated.
+      const multiItem = current.items && current.items.length > 0;
+      const lineIndex = multiItem
+        ? current.items.findIndex((item) => String(item._id) === String(req.body.itemId))
+        : 0;
+      if (lineIndex < 0) {
+        throw buildError("itemId must name one of this sale's items", 400);
+      }
+      const line = getSaleLines(current)[lineIndex];
+      const linePath = multiItem ? `items.${lineIndex}.` : "";
+
+      const returnableKg = Number(line.tonnage) - Number(line.returnedKg || 0);
+      if (quantityKg > returnableKg + LOT_TOLERANCE_KG) {
+        throw buildError(`Only ${returnableKg} kg of this item can still be returned`, 400);
+      }
+
+      const returnValue = roundMoney(
+        (Number(line.lineTotal) / Number(line.tonnage)) * quantityKg
+      );
+      const refundAmount =
+        typeof req.body.refundAmount === "undefined"
+          ? returnValue
+          : roundMoney(req.body.refundAmount);
+      if (refundAmount > returnValue + 0.01) {
+        throw buildError(`refundAmount cannot exceed the returned value of ${returnValue}`, 400);
+      }
+
+      let balanceAdjustment = 0;
+      if (current.saleType === "Credit") {
+        const { outstandingBalance } = resolveCreditStatus({
+          amountDue: current.amountDue,
+          amountCollected: current.amountCollected,
+          dueDate: current.dueDate
+        });
+        balanceAdjustment = Math.min(refundAmount, outstandingBalance);
+      }
+      const settledAmount = roundMoney(refundAmount - balanceAdjustment);
+      if (settlement === "CreditNote" && settledAmount > 0 && !current.customer) {
+        throw buildError("Credit notes need a registered buyer; refund in cash instead", 400);
+      }
+      if (settlement === "CashRefund" && settledAmount > 0) {
+        // Cash refunds come out of the recorder's till for today, so it must still be open.
+        await assertTillDayOpen({ agent: req.user.id, date: new Date(), session });
+      }
+
+      const key = {
+        produceName: line.produceName,
+        produceType: line.produceType,
+        branch: current.branch
+      };
+      const hasLots = line.lots && line.lots.length > 0;
+      const { taken, kept } = splitAllocations(line.lots, quantityKg);
+      let restockedCost = 0;
+      let writeOffValue = 0;
+      if (condition === "Resaleable") {
+        const restocked = await changeStock({
+          filter: key,
+          deltaKg: quantityKg,
+          movement: {
+            movementType: "SaleReturn",
+            sourceType: "Sale",
+            sourceId: current._id,
+            actor: req.user,
+            note: req.body.reason
+          },
+          session
+        });
+        if (!restocked) {
+          throw buildError("Inventory record for the returned produce no longer exists", 409);
+        }
+        await returnStockToLots({ allocations: taken, key, quantityKg, session });
+        restockedCost = allocationCost(taken);
+      } else {
+        writeOffValue = hasLots
+          ? allocationCost(taken)
+          : roundMoney((await getLatestUnitCost(key, session)) * quantityKg);
+      }
+
+      const update = {
+        returnedKg: roundKg(Number(current.returnedKg || 0) + quantityKg),
+        returnedAmount: roundMoney(Number(current.returnedAmount || 0) + refundAmount)
+      };
+      if (multiItem) {
+        update[`${linePath}returnedKg`] = roundKg(Number(line.returnedKg || 0) + quantityKg);
+        update[`${linePath}returnedAmount`] = roundMoney(
+          Number(line.returnedAmount || 0) + refundAmount
+        );
+      }
+      if (hasLots) {
+        update[`${linePath}lots`] = kept;
+      }
+      if (current.saleType === "Credit") {
+        update.amountDue = roundMoney(Number(current.amountDue) - balanceAdjustment);
+        Object.assign(
+          update,
+          resolveCreditStatus({
+            amountDue: update.amountDue,
+            amountCollected: current.amountCollected,
+            dueDate: current.dueDate
+          })
+        );
+      }
+      const updatedSale = await Sale.findByIdAndUpdate(
+        current._id,
+        { $set: update },
+        { new: true, session }
+      );
+
+      if (settlement === "CreditNote" && settledAmount > 0) {
+        await Customer.updateOne(
+          { _id: current.customer },
+          { $inc: { creditNoteBalance: settledAmount } },
+          { session }
+        );
+      }
+
+      const [saleReturn] = await SaleReturn.create(
+        [
+          {
+            sale: current._id,
+            saleType: current.saleType,
+            branch: current.branch,
+            item: multiItem ? line._id : undefined,
+            produceName: line.produceName,
+            produceType: line.produceType,
+            customer: current.customer,
+            quantityKg,
+            condition,
+            reason: req.body.reason,
+            returnValue,
+            refundAmount,
+            balanceAdjustment,
+            settlement,
+            settledAmount,
+            lots: hasLots ? taken : undefined,
+            restockedCost,
+            writeOffValue,
+            recordedBy: req.user.id,
+            recordedByName: req.user.username
+          }
+        ],
+        { session }
+      );
+
+      return { saleReturn, sale: updatedSale };
+    });
+
+    return res.status(201).json(result);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to record return" });
+  }
+};
+
+const listSaleReturns = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const sale = await loadBranchSale(req, res);
+  if (!sale) {
+    return;
+  }
+
+  const returns = await SaleReturn.find({ sale: sale._id }).sort({ createdAt: 1 });
+  return res.status(200).json({
+    sale: {
+      id: sale._id,
+      tonnage: getSaleLines(sale).reduce((sum, line) => sum + Number(line.tonnage), 0),
+      returnedKg: sale.returnedKg || 0,
+      returnedAmount: sale.returnedAmount || 0
+    },
+    returns
+  });
+};
+
+module.exports = {
+  recordSaleReturn,
+  listSaleReturns
+};
@@ -1,8 +1,46 @@
+const mongoose = require("mongoose");
 const Sale = require("../models/sales");
 const Inventory = require("../models/inventory");
 const Notification = require("../models/notification");
+const Payment = require("../models/payment");
+const Procurement = require("../models/procurement");
+const Customer = require("../models/customer");
+const Discount = require("../models/discount");
+const SaleReturn = require("../models/saleReturn");
 const validateRequest = require("../utils/validateRequest");
 const { ensureBranchAccess: ensureAssignedBranch } = require("../utils/branchAccess");
+const {
+  resolveCreditStatus,
+  outstandingBalanceExpr,
+  hasOutstandingBalance,
+  getOutstandingBalance
+} = require("../utils/creditStatus");
+const { changeStock } = require("../utils/stockLedger");
+const { runInTransaction } = require("../utils/transaction");
+const {
+  reconcileOpeningLot,
+  consumeLotsFifo,
+  returnStockToLots,
+  allocationCost
+} = require("../utils/stockLots");
+const { findProduce } = require("../utils/produceCatalog");
+const { applyDuePriceChanges } = require("../utils/priceChanges");
+const { resolveSalePrice, computeDiscountAmount } = require("../utils/salePricing");
+const { withAllBranches } = require("../utils/branchRegistry");
+const { getSaleLines, describeSaleProduce, saleLinesExpr } = require("../utils/saleLines");
+const { touchCreditCustomer, assertCreditAvailable } = require("../utils/customerCredit");
+const { nextSequence, receiptCounterKey } = require("../utils/counters");
+const { issueDocumentNumber } = require("../utils/documentNumbers");
+const { assertTillDayOpen } = require("../utils/tillSessions");
+const { assertPeriodsOpen } = require("../utils/periodLocks");
+const { buildReceipt, renderReceiptHtml, renderReceiptPdf } = require("../utils/saleReceipt");
+const {
+  DAY_MS,
+  OVERDUE_BUCKETS,
+  getDaysOverdue,
+  findOverdueBucket
+} = require("../utils/overdueCredit");
+const { roundMoney } = require("../utils/helpers");
 
 const nearlyEqual = (a, b) => Math.abs(Number(a) - Number(b)) < 0.01;
 
@@ -26,6 +64,75 @@ const fetchInventoryForSale = async ({ produceName, produceType, branch }) => {
   return null;
 };
 
+// Registered buyer whose contract prices apply; cash buyers are identified by an optional
+// nationalId.
+const findPricingCustomer = async (nationalId) => {
+  if (!nationalId) {
+    return null;
+  }
+
+  return Customer.findOne({ nationalId: String(nationalId).toUpperCase() });
+};
+
+/**
+ * Loads the approved discount a sale is recorded with and works out the amount it takes off
+ * listAmount. saleId lets an edited sale keep the discount it already used. A discount requested
+ * for a named buyer only applies to sales to that buyer. Throws an error with statusCode when the
+ * discount cannot be used for this sale.
+ */
+const resolveSaleDiscount = async ({ discountId, saleId, terms, listAmount }) => {
+  const discount = await Discount.findById(discountId);
+  if (!discount) {
+    const error = new Error("Discount not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const usable =
+    discount.status === "Approved" ||
+    (saleId && discount.status === "Applied" && String(discount.sale) === String(saleId));
+  if (!usable) {
+    const error = new Error(`Discount is ${discount.status.toLowerCase()} and cannot be used`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (
+    discount.branch !== terms.branch ||
+    discount.produceName !== terms.produceName ||
+    discount.produceType !== terms.produceType ||
+    Number(discount.tonnage) !== Number(terms.tonnage)
+  ) {
+    const error = new Error("Discount was approved for a different branch, produce or tonnage");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (
+    discount.nationalId &&
+    discount.nationalId.toUpperCase() !== String(terms.nationalId || "").toUpperCase()
+  ) {
+    const error = new Error("Discount was approved for a different buyer");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { discount, discountAmount: computeDiscountAmount(discount, listAmount) };
+};
+
+// Sales agents may only change sales they recorded; managers can change any sale of their branch.
+const ensureOwnSale = (req, res, sale) => {
+  if (req.user.role === "SalesAgent" && String(sale.recordedBy) !== String(req.user.id)) {
+    res.status(403).json({ message: "Sales agents can only change sales they recorded" });
+    return false;
+  }
+
+  return true;
+};
+
+// Dates a sale is reported under: its sale or dispatch date and when it was entered.
+const saleDates = (sale) => [sale.date, sale.dispatchDate, sale.createdAt];
+
 const createManagerNotification = async (payload) => {
   await Notification.create({ targetRole: "Manager", ...payload });
 };
@@ -38,8 +145,8 @@ const ensureBranchAccess = (req, res, branch) => {
   });
 };
 
-// Applies stock correction for sale edits and returns rollback handler.
-const applySaleInventoryMutation = async ({ oldData, newData }) => {
+// Applies stock correction for sale edits inside the caller's transaction; throws to abort it.
+const applySaleInventoryMutation = async ({ oldData, newData, sourceId, actor, session }) => {
   const oldKey = {
     produceName: oldData.produceName,
     produceType: oldData.produceType,
@@ -56,48 +163,55 @@ const applySaleInventoryMutation = async ({ oldData, newData }) => {
     oldKey.produceName === newKey.produceName &&
     oldKey.produceType === newKey.produceType &&
     oldKey.branch === newKey.branch;
+  const movement = { movementType: "SaleUpdate", sourceType: "Sale", sourceId, actor };
 
   // Same inventory key: adjust by delta only.
   if (sameKey) {
     const delta = oldTonnage - newTonnage;
-    if (delta >= 0) {
-      await Inventory.findOneAndUpdate(oldKey, { $inc: { stockKg: delta } });
-      return async () => {
-        await Inventory.findOneAndUpdate(oldKey, { $inc: { stockKg: -delta } });
-      };
-    }
-
-    const required = Math.abs(delta);
-    const reduced = await Inventory.findOneAndUpdate(
-      { ...oldKey, stockKg: { $gte: required } },
-      { $inc: { stockKg: -required } }
-    );
-    if (!reduced) {
+    const updated = await changeStock({
+      filter: oldKey,
+      deltaKg: delta,
+      requireStock: true,
+      movement,
+      session
+    });
+    if (!updated) {
       throw new Error("Insufficient stock to increase sale tonnage");
     }
-    return async () => {
-      await Inventory.findOneAndUpdate(oldKey, { $inc: { stockKg: required } });
-    };
+    return;
   }
 
-  // Inventory key changed: restore old stock then deduct from the new key, with rollback on failure.
-  await Inventory.findOneAndUpdate(oldKey, { $inc: { stockKg: oldTonnage } });
-  const reduced = await Inventory.findOneAndUpdate(
-    { ...newKey, stockKg: { $gte: newTonnage } },
-    { $inc: { stockKg: -newTonnage } }
-  );
+  // Inventory key changed: restore old stock then deduct from the new key.
+  await changeStock({ filter: oldKey, deltaKg: oldTonnage, movement, session });
+  const reduced = await changeStock({
+    filter: newKey,
+    deltaKg: -newTonnage,
+    requireStock: true,
+    movement,
+    session
+  });
 
   if (!reduced) {
-    await Inventory.findOneAndUpdate(oldKey, { $inc: { stockKg: -oldTonnage } });
     throw new Error("Insufficient stock on new inventory key");
   }
-
-  return async () => {
-    await Inventory.findOneAndUpdate(newKey, { $inc: { stockKg: newTonnage } });
-    await Inventory.findOneAndUpdate(oldKey, { $inc: { stockKg: -oldTonnage } });
-  };
 };
 
+// Single-item requests carry the produce in top-level fields; multi-item requests list items.
+const requestedItems = (body) =>
+  Array.isArray(body.items) && body.items.length > 0
+    ? body.items
+    : [{ produceName: body.produceName, produceType: body.produceType, tonnage: body.tonnage }];
+
+const saleLineFields = (line) => ({
+  produceName: line.inventory.produceName,
+  produceType: line.inventory.produceType,
+  tonnage: line.tonnage,
+  unitPriceUsed: line.unitPrice,
+  pricing: line.pricing,
+  lots: line.lots,
+  costOfGoodsSold: allocationCost(line.lots)
+});
+
 const createSaleFromPayload = async ({ req, res, saleType }) => {
   if (!validateRequest(req, res)) {
     return;
@@ -107,102 +221,274 @@ const createSaleFromPayload = async ({ req, res, saleType }) => {
     return;
   }
 
+  const multiItem = Array.isArray(req.body.items) && req.body.items.length > 0;
+  if (multiItem && req.body.discountId) {
+    return res.status(400).json({ message: "Discounts can only be used on single-item sales" });
+  }
+
   try {
-    const inventory = await fetchInventoryForSale({
-      produceName: req.body.produceName,
-      produceType: req.body.produceType,
-      branch: req.body.branch
+    await assertPeriodsOpen({
+      branch: req.body.branch,
+      dates: [req.body.date, req.body.dispatchDate, new Date()]
     });
 
-    if (!inventory) {
-      await createManagerNotification({
-        title: "Stock unavailable",
-        message: `${req.body.produceName} is unavailable at ${req.body.branch}`,
-        branch: req.body.branch,
-        produceName: req.body.produceName,
-        produceType: req.body.produceType
+    const pricingCustomer = await findPricingCustomer(req.body.nationalId);
+    const lines = [];
+    for (const item of requestedItems(req.body)) {
+      // Scheduled price changes that have come due must apply before the sale is priced.
+      await applyDuePriceChanges({
+        filter: { produceName: item.produceName, branch: req.body.branch }
+      });
+      const inventory = await fetchInventoryForSale({
+        produceName: item.produceName,
+        produceType: item.produceType,
+        branch: req.body.branch
+      });
+
+      if (!inventory) {
+        await createManagerNotification({
+          title: "Stock unavailable",
+          message: `${item.produceName} is unavailable at ${req.body.branch}`,
+          branch: req.body.branch,
+          produceName: item.produceName,
+          produceType: item.produceType
+        });
+        return res.status(400).json({
+          message: "Product is out of stock for this branch",
+          produceName: item.produceName
+        });
+      }
+
+      if (lines.some((line) => String(line.inventory._id) === String(inventory._id))) {
+        return res.status(400).json({
+          message: `${inventory.produceName} (${inventory.produceType}) is listed more than once`
+        });
+      }
+
+      const tonnage = Number(item.tonnage);
+      const { unitPrice, pricing } = resolveSalePrice({
+        inventory,
+        tonnage,
+        customer: pricingCustomer
       });
-      return res.status(400).json({ message: "Product is out of stock for this branch" });
+      lines.push({ inventory, tonnage, unitPrice, pricing, lineTotal: unitPrice * tonnage });
     }
 
-    const tonnage = Number(req.body.tonnage);
-    const totalExpected = Number(inventory.sellingPrice) * tonnage;
+    const listAmount = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+    const { discount, discountAmount } = req.body.discountId
+      ? await resolveSaleDiscount({
+        discountId: req.body.discountId,
+        terms: {
+          branch: req.body.branch,
+          produceName: lines[0].inventory.produceName,
+          produceType: lines[0].inventory.produceType,
+          tonnage: lines[0].tonnage,
+          nationalId: req.body.nationalId
+        },
+        listAmount
+      })
+      : { discount: null, discountAmount: 0 };
+    const totalExpected = listAmount - discountAmount;
     if (totalExpected < 10000) {
       return res.status(400).json({
         message: "Computed amount is below the minimum allowed value of 10000"
       });
     }
 
+    const priceDetails = multiItem
+      ? {
+        expectedAmount: totalExpected,
+        items: lines.map((line) => ({
+          produceName: line.inventory.produceName,
+          produceType: line.inventory.produceType,
+          unitPrice: line.unitPrice,
+          priceSource: line.pricing.source,
+          lineTotal: line.lineTotal
+        }))
+      }
+      : {
+        expectedAmount: totalExpected,
+        unitPrice: lines[0].unitPrice,
+        priceSource: lines[0].pricing.source
+      };
+    if (discount) {
+      priceDetails.discountAmount = discountAmount;
+    }
+
     if (saleType === "Cash" && !nearlyEqual(req.body.amountPaid, totalExpected)) {
       return res.status(400).json({
-        message: "amountPaid must match manager-set selling price",
-        expectedAmount: totalExpected
+        message: "amountPaid must match the applicable selling price",
+        ...priceDetails
       });
     }
 
     if (saleType === "Credit" && !nearlyEqual(req.body.amountDue, totalExpected)) {
       return res.status(400).json({
-        message: "amountDue must match manager-set selling price",
-        expectedAmount: totalExpected
+        message: "amountDue must match the applicable selling price",
+        ...priceDetails
       });
     }
 
-    const reducedInventory = await Inventory.findOneAndUpdate(
-      { _id: inventory._id, stockKg: { $gte: tonnage } },
-      { $inc: { stockKg: -tonnage } },
-      { new: true }
-    );
+    const creditBalance =
+      saleType === "Credit"
+        ? resolveCreditStatus({
+          amountDue: req.body.amountDue,
+          amountCollected: 0,
+          dueDate: req.body.dueDate
+        })
+        : {};
 
-    if (!reducedInventory) {
-      await createManagerNotification({
-        title: "Low stock block",
-        message: `${req.body.produceName} has insufficient stock at ${req.body.branch}`,
-        branch: req.body.branch,
-        produceName: req.body.produceName,
-        produceType: inventory.produceType
-      });
-      return res.status(400).json({ message: "Insufficient stock for requested tonnage" });
-    }
+    // Every line's stock deduction, movement and lot draw commit with the sale document or not
+    // at all: a line short of stock aborts the whole sale.
+    const sale = await runInTransaction(async (session) => {
+      if (saleType === "Cash") {
+        await assertTillDayOpen({ agent: req.user.id, date: req.body.date, session });
+      }
 
-    let sale;
-    try {
-      sale = await Sale.create({
-        saleType,
-        produceName: req.body.produceName,
-        produceType: inventory.produceType,
+      // Sale id is assigned up front so the stock movements can reference it.
+      const saleId = new mongoose.Types.ObjectId();
+      for (const line of lines) {
+        const inventoryKey = {
+          produceName: line.inventory.produceName,
+          produceType: line.inventory.produceType,
+          branch: line.inventory.branch
+        };
+        await reconcileOpeningLot({ key: inventoryKey, session });
+
+        line.reduced = await changeStock({
+          filter: { _id: line.inventory._id },
+          deltaKg: -line.tonnage,
+          requireStock: true,
+          movement: {
+            movementType: "SaleCreate",
+            sourceType: "Sale",
+            sourceId: saleId,
+            actor: req.user
+          },
+          session
+        });
+        if (!line.reduced) {
+          const error = new Error("Insufficient stock for requested tonnage");
+          error.statusCode = 400;
+          error.shortLine = line;
+          throw error;
+        }
+        line.lots = await consumeLotsFifo({
+          key: inventoryKey,
+          quantityKg: line.tonnage,
+          session
+        });
+      }
+
+      if (discount) {
+        // Conditional on Approved so one discount can only ever be used by one sale.
+        const applied = await Discount.findOneAndUpdate(
+          { _id: discount._id, status: "Approved" },
+          { $set: { status: "Applied", sale: saleId, appliedAt: new Date() } },
+          { new: true, session }
+        );
+        if (!applied) {
+          const error = new Error("Discount has already been used");
+          error.statusCode = 409;
+          throw error;
+        }
+      }
+
+      let creditCustomer = {};
+      if (saleType === "Credit") {
+        const buyer = {
+          nationalId: req.body.nationalId,
+          buyerName: req.body.buyerName,
+          location: req.body.location,
+          contact: req.body.contacts || req.body.contact
+        };
+        const customer = await touchCreditCustomer({ buyer, session });
+        const creditLimitOverride = await assertCreditAvailable({
+          customer,
+          additionalCredit: Number(req.body.amountDue),
+          overrideReason: req.body.creditLimitOverrideReason,
+          actor: req.user,
+          session
+        });
+        creditCustomer = { customer: customer._id, creditLimitOverride };
+      }
+
+      // Rolls back with the sale if the transaction aborts, so branch numbering stays gap-free.
+      const receiptNumber = await nextSequence(receiptCounterKey(req.body.branch), session);
+      const documentNumber = await issueDocumentNumber({
         branch: req.body.branch,
-        tonnage,
-        unitPriceUsed: inventory.sellingPrice,
-        totalExpected,
-        amountPaid: saleType === "Cash" ? Number(req.body.amountPaid) : undefined,
-        amountDue: saleType === "Credit" ? Number(req.body.amountDue) : undefined,
-        buyerName: req.body.buyerName,
-        salesAgentName: req.body.salesAgentName,
-        date: saleType === "Cash" ? req.body.date : undefined,
-        time: saleType === "Cash" ? req.body.time : undefined,
-        nationalId: saleType === "Credit" ? req.body.nationalId : undefined,
-        location: saleType === "Credit" ? req.body.location : undefined,
-        contact: saleType === "Credit" ? req.body.contacts || req.body.contact : undefined,
-        dueDate: saleType === "Credit" ? req.body.dueDate : undefined,
-        dispatchDate: saleType === "Credit" ? req.body.dispatchDate : undefined
+        documentType: "Sale",
+        session
       });
-    } catch (error) {
-      await Inventory.findByIdAndUpdate(inventory._id, { $inc: { stockKg: tonnage } });
-      throw error;
+      const [created] = await Sale.create(
+        [
+          {
+            _id: saleId,
+            saleType,
+            documentNumber,
+            receiptNumber,
+            branch: req.body.branch,
+            ...(multiItem
+              ? {
+                items: lines.map((line) => ({
+                  ...saleLineFields(line),
+                  lineTotal: line.lineTotal
+                }))
+              }
+              : saleLineFields(lines[0])),
+            totalExpected,
+            discount: discount ? discount._id : undefined,
+            discountAmount: discount ? discountAmount : undefined,
+            amountPaid: saleType === "Cash" ? Number(req.body.amountPaid) : undefined,
+            amountDue: saleType === "Credit" ? Number(req.body.amountDue) : undefined,
+            ...creditBalance,
+            customer: pricingCustomer ? pricingCustomer._id : undefined,
+            ...creditCustomer,
+            buyerName: req.body.buyerName,
+            recordedBy: req.user.id,
+            recordedByName: req.user.username,
+            salesAgentName: req.user.username,
+            date: saleType === "Cash" ? req.body.date : undefined,
+            time: saleType === "Cash" ? req.body.time : undefined,
+            nationalId: req.body.nationalId ? req.body.nationalId.toUpperCase() : undefined,
+            location: saleType === "Credit" ? req.body.location : undefined,
+            contact: saleType === "Credit" ? req.body.contacts || req.body.contact : undefined,
+            dueDate: saleType === "Credit" ? req.body.dueDate : undefined,
+            dispatchDate: saleType === "Credit" ? req.body.dispatchDate : undefined
+          }
+        ],
+        { session }
+      );
+
+      return created;
+    });
+
+    for (const line of lines) {
+      if (line.reduced.stockKg === 0) {
+        await createManagerNotification({
+          title: "Out of stock",
+          message: `${line.inventory.produceName} is now out of stock at ${req.body.branch}`,
+          branch: req.body.branch,
+          produceName: line.inventory.produceName,
+          produceType: line.inventory.produceType
+        });
+      }
     }
 
-    if (reducedInventory.stockKg === 0) {
+    return res.status(201).json(sale);
+  } catch (error) {
+    if (error.shortLine) {
+      const { produceName, produceType } = error.shortLine.inventory;
       await createManagerNotification({
-        title: "Out of stock",
-        message: `${req.body.produceName} is now out of stock at ${req.body.branch}`,
+        title: "Low stock block",
+        message: `${produceName} has insufficient stock at ${req.body.branch}`,
         branch: req.body.branch,
-        produceName: req.body.produceName,
-        produceType: inventory.produceType
+        produceName,
+        produceType
       });
+      return res.status(400).json({ message: error.message, produceName });
     }
 
-    return res.status(201).json(sale);
-  } catch (error) {
     return res
       .status(error.statusCode || 500)
       .json({ message: error.message || `Failed to record ${saleType.toLowerCase()} sale` });
@@ -222,26 +508,79 @@ const listSales = async (req, res) => {
   if (req.query.saleType) {
     query.saleType = req.query.saleType;
   }
+  if (req.query.status) {
+    // Sales recorded before voiding existed have no status and are Completed.
+    query.status = req.query.status === "Voided" ? "Voided" : { $ne: "Voided" };
+  }
 
   const sales = await Sale.find(query).sort({ createdAt: -1 });
   return res.status(200).json(sales);
 };
 
+const sendSale = (req, res, sale) => {
+  if (!sale) {
+    return res.status(404).json({ message: "Sale not found" });
+  }
+
+  if ((req.user.role === "Manager" || req.user.role === "SalesAgent") && sale.branch !== req.user.branch) {
+    return res.status(403).json({ message: "Access denied for this branch sale record" });
+  }
+
+  return res.status(200).json(sale);
+};
+
 const getSaleById = async (req, res) => {
   if (!validateRequest(req, res)) {
     return;
   }
 
+  return sendSale(req, res, await Sale.findById(req.params.id));
+};
+
+const getSaleByNumber = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  return sendSale(req, res, await Sale.findOne({ documentNumber: req.params.documentNumber }));
+};
+
+// Receipt for the buyer as a PDF (default) or, with format=html, a printable page.
+const getSaleReceipt = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
   const sale = await Sale.findById(req.params.id);
   if (!sale) {
     return res.status(404).json({ message: "Sale not found" });
   }
 
-  if ((req.user.role === "Manager" || req.user.role === "SalesAgent") && sale.branch !== req.user.branch) {
-    return res.status(403).json({ message: "Access denied for this branch sale record" });
+  if (!ensureBranchAccess(req, res, sale.branch)) {
+    return;
   }
 
-  return res.status(200).json(sale);
+  if (!sale.receiptNumber) {
+    return res
+      .status(409)
+      .json({ message: "Sale was recorded before receipt numbering and has no receipt" });
+  }
+
+  const receipt = buildReceipt(sale);
+  if (req.query.format === "html") {
+    return res.status(200).type("html").send(renderReceiptHtml(receipt));
+  }
+
+  try {
+    const pdf = await renderReceiptPdf(receipt);
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="receipt-${sale.branch}-${receipt.receiptNumber}.pdf"`
+    );
+    return res.status(200).type("pdf").send(pdf);
+  } catch {
+    return res.status(500).json({ message: "Failed to generate receipt" });
+  }
 };
 
 const updateSaleById = async (req, res) => {
@@ -254,10 +593,24 @@ const updateSaleById = async (req, res) => {
     return res.status(404).json({ message: "Sale not found" });
   }
 
-  if (!ensureBranchAccess(req, res, sale.branch)) {
+  if (!ensureBranchAccess(req, res, sale.branch) || !ensureOwnSale(req, res, sale)) {
     return;
   }
 
+  if (sale.status === "Voided") {
+    return res.status(409).json({ message: "Voided sales cannot be changed" });
+  }
+
+  if (sale.returnedKg > 0) {
+    return res.status(409).json({ message: "Sales with recorded returns cannot be changed" });
+  }
+
+  if (sale.items && sale.items.length > 0) {
+    return res
+      .status(409)
+      .json({ message: "Multi-item sales cannot be changed; void the sale and record it again" });
+  }
+
   if (typeof req.body.saleType !== "undefined" && req.body.saleType !== sale.saleType) {
     return res.status(400).json({ message: "saleType cannot be changed" });
   }
@@ -269,7 +622,6 @@ const updateSaleById = async (req, res) => {
     branch: req.body.branch || sale.branch,
     tonnage: typeof req.body.tonnage === "undefined" ? sale.tonnage : req.body.tonnage,
     buyerName: req.body.buyerName || sale.buyerName,
-    salesAgentName: req.body.salesAgentName || sale.salesAgentName,
     date: req.body.date || sale.date,
     time: req.body.time || sale.time,
     nationalId: req.body.nationalId || sale.nationalId,
@@ -285,6 +637,38 @@ const updateSaleById = async (req, res) => {
     return;
   }
 
+  try {
+    await assertPeriodsOpen({
+      branch: sale.branch,
+      dates: [...saleDates(sale), req.body.date, req.body.dispatchDate]
+    });
+    // A sale moved to another branch must not land in a month that branch has closed.
+    if (nextData.branch !== sale.branch) {
+      await assertPeriodsOpen({
+        branch: nextData.branch,
+        dates: saleDates({ ...nextData, createdAt: sale.createdAt })
+      });
+    }
+    if (sale.saleType === "Cash") {
+      await assertTillDayOpen({ agent: sale.recordedBy, date: sale.date });
+      await assertTillDayOpen({ agent: sale.recordedBy, date: req.body.date });
+    }
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message });
+  }
+
+  if (nextData.produceName !== sale.produceName) {
+    const produce = await findProduce(nextData.produceName);
+    if (!produce || !produce.active) {
+      return res.status(400).json({
+        message: `${nextData.produceName} is not available for sale in the produce catalog`
+      });
+    }
+  }
+
+  await applyDuePriceChanges({
+    filter: { produceName: nextData.produceName, branch: nextData.branch }
+  });
   const inventory = await fetchInventoryForSale({
     produceName: nextData.produceName,
     produceType: nextData.produceType,
@@ -294,60 +678,301 @@ const updateSaleById = async (req, res) => {
     return res.status(400).json({ message: "Target inventory record not found for sale update" });
   }
 
-  const totalExpected = Number(inventory.sellingPrice) * Number(nextData.tonnage);
+  const pricingCustomer = await findPricingCustomer(nextData.nationalId);
+  const { unitPrice, pricing } = resolveSalePrice({
+    inventory,
+    tonnage: nextData.tonnage,
+    customer: pricingCustomer
+  });
+  const listAmount = unitPrice * Number(nextData.tonnage);
+  // A discounted sale keeps its discount, so it must still match the terms that were approved.
+  let discountAmount = 0;
+  if (sale.discount) {
+    try {
+      ({ discountAmount } = await resolveSaleDiscount({
+        discountId: sale.discount,
+        saleId: sale._id,
+        terms: {
+          branch: nextData.branch,
+          produceName: inventory.produceName,
+          produceType: inventory.produceType,
+          tonnage: nextData.tonnage,
+          nationalId: nextData.nationalId
+        },
+        listAmount
+      }));
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ message: error.message });
+    }
+  }
+
+  const totalExpected = listAmount - discountAmount;
   if (totalExpected < 10000) {
     return res.status(400).json({ message: "Computed amount is below minimum value of 10000" });
   }
 
+  const priceDetails = { expectedAmount: totalExpected, unitPrice, priceSource: pricing.source };
+  if (sale.discount) {
+    priceDetails.discountAmount = discountAmount;
+  }
+
   if (sale.saleType === "Cash" && !nearlyEqual(nextData.amountPaid, totalExpected)) {
     return res.status(400).json({
-      message: "amountPaid must match manager-set selling price",
-      expectedAmount: totalExpected
+      message: "amountPaid must match the applicable selling price",
+      ...priceDetails
     });
   }
 
   if (sale.saleType === "Credit" && !nearlyEqual(nextData.amountDue, totalExpected)) {
     return res.status(400).json({
-      message: "amountDue must match manager-set selling price",
-      expectedAmount: totalExpected
+      message: "amountDue must match the applicable selling price",
+      ...priceDetails
     });
   }
 
-  // Preserve inventory consistency if sale update validation/save fails after stock mutation.
-  let rollback = async () => {};
+  if (sale.saleType === "Credit" && Number(nextData.amountDue) < Number(sale.amountCollected || 0)) {
+    return res.status(400).json({
+      message: "amountDue cannot be lower than repayments already collected",
+      amountCollected: sale.amountCollected
+    });
+  }
+
+  // Stock correction and the sale save commit or abort together.
   try {
-    rollback = await applySaleInventoryMutation({ oldData: sale, newData: nextData });
-
-    sale.produceName = nextData.produceName;
-    sale.produceType = inventory.produceType;
-    sale.branch = nextData.branch;
-    sale.tonnage = Number(nextData.tonnage);
-    sale.unitPriceUsed = Number(inventory.sellingPrice);
-    sale.totalExpected = totalExpected;
-    sale.buyerName = nextData.buyerName;
-    sale.salesAgentName = nextData.salesAgentName;
-    if (sale.saleType === "Cash") {
-      sale.amountPaid = Number(nextData.amountPaid);
-      sale.date = nextData.date;
-      sale.time = nextData.time;
-    } else {
-      sale.amountDue = Number(nextData.amountDue);
-      sale.nationalId = nextData.nationalId;
-      sale.location = nextData.location;
-      sale.contact = nextData.contact;
-      sale.dueDate = nextData.dueDate;
-      sale.dispatchDate = nextData.dispatchDate;
-    }
+    const updatedSale = await runInTransaction(async (session) => {
+      // Re-read inside the transaction so a retried attempt starts from committed state.
+      const current = await Sale.findById(sale._id).session(session);
+      if (!current) {
+        const error = new Error("Sale not found");
+        error.statusCode = 404;
+        throw error;
+      }
+      if (current.status === "Voided" || current.returnedKg > 0) {
+        const error = new Error("Voided sales and sales with returns cannot be changed");
+        error.statusCode = 409;
+        throw error;
+      }
+
+      const nextKey = {
+        produceName: inventory.produceName,
+        produceType: inventory.produceType,
+        branch: inventory.branch
+      };
+      await reconcileOpeningLot({ key: nextKey, session });
+
+      await applySaleInventoryMutation({
+        oldData: current,
+        newData: nextData,
+        sourceId: current._id,
+        actor: req.user,
+        session
+      });
 
-    await sale.save();
-    return res.status(200).json(sale);
+      // The old draw goes back to its lots before the edited tonnage is drawn again FIFO.
+      await returnStockToLots({
+        allocations: current.lots,
+        key: {
+          produceName: current.produceName,
+          produceType: current.produceType,
+          branch: current.branch
+        },
+        quantityKg: Number(current.tonnage),
+        session
+      });
+      const lots = await consumeLotsFifo({
+        key: nextKey,
+        quantityKg: Number(nextData.tonnage),
+        session
+      });
+
+      current.produceName = nextData.produceName;
+      current.produceType = inventory.produceType;
+      current.branch = nextData.branch;
+      current.tonnage = Number(nextData.tonnage);
+      current.unitPriceUsed = unitPrice;
+      current.pricing = pricing;
+      current.totalExpected = totalExpected;
+      if (current.discount) {
+        current.discountAmount = discountAmount;
+      }
+      current.lots = lots;
+      current.costOfGoodsSold = allocationCost(lots);
+      current.buyerName = nextData.buyerName;
+      if (current.saleType === "Cash") {
+        current.customer = pricingCustomer ? pricingCustomer._id : undefined;
+        current.nationalId = nextData.nationalId
+          ? String(nextData.nationalId).toUpperCase()
+          : undefined;
+        current.amountPaid = Number(nextData.amountPaid);
+        current.date = nextData.date;
+        current.time = nextData.time;
+      } else {
+        // Re-check the buyer's limit when the sale moves to another buyer or its balance grows.
+        const customer = await touchCreditCustomer({ buyer: nextData, session });
+        const nextOutstanding = Number(nextData.amountDue) - Number(current.amountCollected || 0);
+        if (
+          String(customer._id) !== String(current.customer) ||
+          nextOutstanding > Number(current.outstandingBalance || 0)
+        ) {
+          const override = await assertCreditAvailable({
+            customer,
+            additionalCredit: nextOutstanding,
+            overrideReason: req.body.creditLimitOverrideReason,
+            actor: req.user,
+            excludeSaleId: current._id,
+            session
+          });
+          if (override) {
+            current.creditLimitOverride = override;
+          }
+        }
+
+        current.customer = customer._id;
+        current.amountDue = Number(nextData.amountDue);
+        current.nationalId = String(nextData.nationalId).toUpperCase();
+        current.location = nextData.location;
+        current.contact = nextData.contact;
+        if (new Date(nextData.dueDate).getTime() !== new Date(current.dueDate).getTime()) {
+          // A rescheduled due date gets a fresh overdue notification if it lapses again.
+          current.overdueNotifiedAt = undefined;
+        }
+        current.dueDate = nextData.dueDate;
+        current.dispatchDate = nextData.dispatchDate;
+        Object.assign(
+          current,
+          resolveCreditStatus({
+            amountDue: current.amountDue,
+            amountCollected: current.amountCollected,
+            dueDate: current.dueDate
+          })
+        );
+      }
+
+      await current.save({ session });
+      return current;
+    });
+
+    return res.status(200).json(updatedSale);
   } catch (error) {
-    await rollback();
-    return res.status(400).json({ message: error.message || "Failed to update sale" });
+    return res
+      .status(error.statusCode || 400)
+      .json({ message: error.message || "Failed to update sale" });
   }
 };
 
-const deleteSaleById = async (req, res) => {
+// Credit sales recorded before repayments existed have no amountCollected and count as fully outstanding.
+const creditCollectedExpr = {
+  $cond: [{ $eq: ["$saleType", "Credit"] }, { $ifNull: ["$amountCollected", 0] }, 0]
+};
+const creditOutstandingExpr = {
+  $cond: [
+    { $eq: ["$saleType", "Credit"] },
+    {
+      $max: [
+        0,
+        { $subtract: [{ $ifNull: ["$amountDue", 0] }, { $ifNull: ["$amountCollected", 0] }] }
+      ]
+    },
+    0
+  ]
+};
+
+// Lists unpaid credit past dueDate grouped by days overdue, whether or not the scheduler has run.
+const listOverdueCreditSales = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const now = new Date();
+  const query = {
+    saleType: "Credit",
+    ...hasOutstandingBalance,
+    dueDate: { $lt: now }
+  };
+  if (req.user.role === "Director") {
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+  } else {
+    if (!ensureBranchAccess(req, res, req.query.branch)) {
+      return;
+    }
+    query.branch = req.user.branch;
+  }
+
+  const sales = await Sale.find(query).sort({ dueDate: 1 });
+  const buckets = OVERDUE_BUCKETS.map((bucket) => ({
+    bucket: bucket.label,
+    count: 0,
+    outstandingBalance: 0,
+    sales: []
+  }));
+
+  for (const sale of sales) {
+    const daysOverdue = getDaysOverdue(sale.dueDate, now);
+    const outstandingBalance = getOutstandingBalance(sale);
+    const bucket = buckets[OVERDUE_BUCKETS.indexOf(findOverdueBucket(daysOverdue))];
+    bucket.count += 1;
+    bucket.outstandingBalance += outstandingBalance;
+    bucket.sales.push({
+      id: sale._id,
+      branch: sale.branch,
+      customer: sale.customer || null,
+      buyerName: sale.buyerName,
+      nationalId: sale.nationalId,
+      contact: sale.contact,
+      produceName: describeSaleProduce(sale),
+      amountDue: sale.amountDue,
+      outstandingBalance,
+      dueDate: sale.dueDate,
+      daysOverdue
+    });
+  }
+
+  return res.status(200).json({
+    asOf: now,
+    totals: {
+      count: sales.length,
+      outstandingBalance: buckets.reduce((sum, bucket) => sum + bucket.outstandingBalance, 0)
+    },
+    buckets
+  });
+};
+
+// Director reports filter sales by createdAt; endDate covers the whole day. Responds on bad input.
+const buildReportPeriodMatch = (req, res) => {
+  const match = {};
+
+  if (req.query.startDate || req.query.endDate) {
+    if (req.query.startDate && Number.isNaN(Date.parse(req.query.startDate))) {
+      res.status(400).json({ message: "startDate must be a valid date" });
+      return null;
+    }
+    if (req.query.endDate && Number.isNaN(Date.parse(req.query.endDate))) {
+      res.status(400).json({ message: "endDate must be a valid date" });
+      return null;
+    }
+
+    match.createdAt = {};
+    if (req.query.startDate) {
+      match.createdAt.$gte = new Date(req.query.startDate);
+    }
+    if (req.query.endDate) {
+      const end = new Date(req.query.endDate);
+      end.setUTCHours(23, 59, 59, 999);
+      match.createdAt.$lte = end;
+    }
+  }
+
+  return match;
+};
+
+// Multi-item sales have no top-level tonnage; their kg are the sum of their lines.
+const saleTonnageExpr = { $ifNull: ["$tonnage", { $sum: "$items.tonnage" }] };
+
+// Keeps the sale as evidence: it is marked Voided with who, when and why, its stock goes back to
+// inventory and its lots, and any discount it used can be used again.
+const voidSaleById = async (req, res) => {
   if (!validateRequest(req, res)) {
     return;
   }
@@ -357,66 +982,186 @@ const deleteSaleById = async (req, res) => {
     return res.status(404).json({ message: "Sale not found" });
   }
 
-  if (!ensureBranchAccess(req, res, sale.branch)) {
+  if (!ensureBranchAccess(req, res, sale.branch) || !ensureOwnSale(req, res, sale)) {
     return;
   }
 
-  const inventoryKey = {
-    produceName: sale.produceName,
-    produceType: sale.produceType,
-    branch: sale.branch
-  };
-  const tonnage = Number(sale.tonnage);
+  if (sale.status === "Voided") {
+    return res.status(409).json({ message: "Sale is already voided" });
+  }
 
-  await Inventory.findOneAndUpdate(inventoryKey, { $inc: { stockKg: tonnage } }, { upsert: false });
+  try {
+    await assertPeriodsOpen({ branch: sale.branch, dates: saleDates(sale) });
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ message: error.message });
+  }
+
+  if (sale.returnedKg > 0) {
+    return res.status(409).json({ message: "Cannot void a sale with recorded returns" });
+  }
+
+  if (sale.saleType === "Credit" && (await Payment.exists({ sale: sale._id, reversed: false }))) {
+    return res.status(409).json({
+      message: "Cannot void a credit sale with recorded repayments; reverse them first"
+    });
+  }
 
   try {
-    await Sale.deleteOne({ _id: sale._id });
-    return res.status(200).json({ message: "Sale deleted" });
-  } catch {
-    await Inventory.findOneAndUpdate(inventoryKey, { $inc: { stockKg: -tonnage } });
-    return res.status(500).json({ message: "Failed to delete sale" });
+    const voided = await runInTransaction(async (session) => {
+      // Voiding takes the cash out of the agent's count for that day, so the till must be open.
+      if (sale.saleType === "Cash") {
+        await assertTillDayOpen({ agent: sale.recordedBy, date: sale.date, session });
+      }
+
+      const update = {
+        status: "Voided",
+        voidReason: req.body.reason,
+        voidedBy: req.user.id,
+        voidedByName: req.user.username,
+        voidedAt: new Date()
+      };
+      if (sale.saleType === "Credit") {
+        // A zero balance takes the sale out of credit exposure, overdue scans and aging.
+        update.outstandingBalance = 0;
+      }
+
+      const marked = await Sale.findOneAndUpdate(
+        { _id: sale._id, status: { $ne: "Voided" }, returnedKg: { $not: { $gt: 0 } } },
+        { $set: update },
+        { new: true, session }
+      );
+      if (!marked) {
+        const error = new Error("Sale is already voided");
+        error.statusCode = 409;
+        throw error;
+      }
+
+      for (const line of getSaleLines(sale)) {
+        const inventoryKey = {
+          produceName: line.produceName,
+          produceType: line.produceType,
+          branch: sale.branch
+        };
+        await changeStock({
+          filter: inventoryKey,
+          deltaKg: Number(line.tonnage),
+          movement: {
+            movementType: "SaleVoid",
+            sourceType: "Sale",
+            sourceId: sale._id,
+            actor: req.user,
+            note: req.body.reason
+          },
+          session
+        });
+        await returnStockToLots({
+          allocations: line.lots,
+          key: inventoryKey,
+          quantityKg: Number(line.tonnage),
+          session
+        });
+      }
+      if (sale.discount) {
+        await Discount.updateOne(
+          { _id: sale.discount, sale: sale._id },
+          { $set: { status: "Approved" }, $unset: { sale: 1, appliedAt: 1 } },
+          { session }
+        );
+      }
+
+      return marked;
+    });
+    return res.status(200).json(voided);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to void sale" });
   }
 };
 
+// Director view of voided sales, newest first, with per-branch counts and amounts.
+const listVoidedSales = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const periodMatch = buildReportPeriodMatch(req, res);
+  if (!periodMatch) {
+    return;
+  }
+
+  const match = { status: "Voided" };
+  if (periodMatch.createdAt) {
+    match.voidedAt = periodMatch.createdAt;
+  }
+  if (req.query.branch) {
+    match.branch = req.query.branch;
+  }
+
+  const branches = await Sale.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$branch",
+        voidedCount: { $sum: 1 },
+        voidedTonnageKg: { $sum: saleTonnageExpr },
+        voidedAmount: { $sum: "$totalExpected" }
+      }
+    },
+    { $project: { _id: 0, branch: "$_id", voidedCount: 1, voidedTonnageKg: 1, voidedAmount: 1 } },
+    { $sort: { branch: 1 } }
+  ]);
+  const sales = await Sale.find(match).sort({ voidedAt: -1 });
+
+  return res.status(200).json({
+    period: {
+      startDate: req.query.startDate || null,
+      endDate: req.query.endDate || null
+    },
+    branches,
+    sales
+  });
+};
+
 const getSalesTotalsReport = async (req, res) => {
   try {
     if (req.user.role !== "Director") {
       return res.status(403).json({ message: "Only Director can view this report" });
     }
 
-    const match = {};
-
-    if (req.query.startDate || req.query.endDate) {
-      if (req.query.startDate && Number.isNaN(Date.parse(req.query.startDate))) {
-        return res.status(400).json({ message: "startDate must be a valid date" });
-      }
-      if (req.query.endDate && Number.isNaN(Date.parse(req.query.endDate))) {
-        return res.status(400).json({ message: "endDate must be a valid date" });
-      }
-
-      match.createdAt = {};
-      if (req.query.startDate) {
-        match.createdAt.$gte = new Date(req.query.startDate);
-      }
-      if (req.query.endDate) {
-        const end = new Date(req.query.endDate);
-        end.setUTCHours(23, 59, 59, 999);
-        match.createdAt.$lte = end;
-      }
+    const match = buildReportPeriodMatch(req, res);
+    if (!match) {
+      return;
     }
 
+    // Refunds count in the period the return was recorded, whenever the sale was made.
+    const returnGroups = await SaleReturn.aggregate([
+      { $match: match.createdAt ? { createdAt: match.createdAt } : {} },
+      { $group: { _id: "$branch", totalReturns: { $sum: "$refundAmount" } } }
+    ]);
+    const returnsByBranch = new Map(
+      returnGroups.map((group) => [group._id, roundMoney(group.totalReturns)])
+    );
+    const totalReturns = roundMoney(
+      returnGroups.reduce((sum, group) => sum + group.totalReturns, 0)
+    );
+
     // Director endpoint returns aggregates only (no raw cross-branch sale records).
+    match.status = { $ne: "Voided" };
     const [grandTotals] = await Sale.aggregate([
       { $match: match },
       {
         $group: {
           _id: null,
           totalTransactions: { $sum: 1 },
-          totalTonnageKg: { $sum: "$tonnage" },
+          totalTonnageKg: { $sum: saleTonnageExpr },
           totalCashCollected: { $sum: { $ifNull: ["$amountPaid", 0] } },
           totalCreditDue: { $sum: { $ifNull: ["$amountDue", 0] } },
-          totalExpectedRevenue: { $sum: "$totalExpected" }
+          totalCreditCollected: { $sum: creditCollectedExpr },
+          totalCreditOutstanding: { $sum: creditOutstandingExpr },
+          totalExpectedRevenue: { $sum: "$totalExpected" },
+          discountedSales: { $sum: { $cond: [{ $gt: ["$discountAmount", 0] }, 1, 0] } },
+          totalDiscounts: { $sum: { $ifNull: ["$discountAmount", 0] } }
         }
       },
       { $project: { _id: 0 } }
@@ -428,10 +1173,14 @@ const getSalesTotalsReport = async (req, res) => {
         $group: {
           _id: "$branch",
           totalTransactions: { $sum: 1 },
-          totalTonnageKg: { $sum: "$tonnage" },
+          totalTonnageKg: { $sum: saleTonnageExpr },
           totalCashCollected: { $sum: { $ifNull: ["$amountPaid", 0] } },
           totalCreditDue: { $sum: { $ifNull: ["$amountDue", 0] } },
-          totalExpectedRevenue: { $sum: "$totalExpected" }
+          totalCreditCollected: { $sum: creditCollectedExpr },
+          totalCreditOutstanding: { $sum: creditOutstandingExpr },
+          totalExpectedRevenue: { $sum: "$totalExpected" },
+          discountedSales: { $sum: { $cond: [{ $gt: ["$discountAmount", 0] }, 1, 0] } },
+          totalDiscounts: { $sum: { $ifNull: ["$discountAmount", 0] } }
         }
       },
       {
@@ -442,37 +1191,418 @@ const getSalesTotalsReport = async (req, res) => {
           totalTonnageKg: 1,
           totalCashCollected: 1,
           totalCreditDue: 1,
-          totalExpectedRevenue: 1
+          totalCreditCollected: 1,
+          totalCreditOutstanding: 1,
+          totalExpectedRevenue: 1,
+          discountedSales: 1,
+          totalDiscounts: 1
         }
       },
       { $sort: { branch: 1 } }
     ]);
 
+    const emptyTotals = {
+      totalTransactions: 0,
+      totalTonnageKg: 0,
+      totalCashCollected: 0,
+      totalCreditDue: 0,
+      totalCreditCollected: 0,
+      totalCreditOutstanding: 0,
+      totalExpectedRevenue: 0,
+      discountedSales: 0,
+      totalDiscounts: 0,
+      totalReturns: 0
+    };
+
     return res.status(200).json({
       period: {
         startDate: req.query.startDate || null,
         endDate: req.query.endDate || null
       },
-      grandTotals: grandTotals || {
-        totalTransactions: 0,
-        totalTonnageKg: 0,
-        totalCashCollected: 0,
-        totalCreditDue: 0,
-        totalExpectedRevenue: 0
-      },
-      branchTotals
+      grandTotals: { ...(grandTotals || emptyTotals), totalReturns },
+      branchTotals: (await withAllBranches(branchTotals, emptyTotals)).map((row) => ({
+        ...row,
+        totalReturns: returnsByBranch.get(row.branch) || 0
+      }))
     });
   } catch {
     return res.status(500).json({ message: "Failed to generate report totals" });
   }
 };
 
+const AGING_BUCKETS = ["current", ...OVERDUE_BUCKETS.map((bucket) => bucket.label)];
+
+const emptyAging = () => ({
+  salesCount: 0,
+  totalOutstanding: 0,
+  aging: Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket, 0]))
+});
+
+const addToAging = (row, { bucket, outstanding, salesCount }) => {
+  row.salesCount += salesCount;
+  row.totalOutstanding += outstanding;
+  row.aging[bucket] += outstanding;
+};
+
+// Buckets unpaid credit by days past dueDate as of now; "current" holds balances not yet due.
+const getReceivablesAgingReport = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const periodMatch = buildReportPeriodMatch(req, res);
+  if (!periodMatch) {
+    return;
+  }
+
+  const match = { ...periodMatch, saleType: "Credit", ...hasOutstandingBalance };
+  if (req.query.branch) {
+    match.branch = req.query.branch;
+  }
+
+  const now = new Date();
+  const daysOverdueExpr = {
+    $cond: [
+      { $gt: [now, "$dueDate"] },
+      { $ceil: { $divide: [{ $subtract: [now, "$dueDate"] }, DAY_MS] } },
+      0
+    ]
+  };
+  const bucketExpr = {
+    $switch: {
+      branches: [
+        { case: { $eq: ["$daysOverdue", 0] }, then: "current" },
+        ...OVERDUE_BUCKETS.filter((bucket) => Number.isFinite(bucket.maxDays)).map((bucket) => ({
+          case: { $lte: ["$daysOverdue", bucket.maxDays] },
+          then: bucket.label
+        }))
+      ],
+      default: OVERDUE_BUCKETS[OVERDUE_BUCKETS.length - 1].label
+    }
+  };
+
+  try {
+    const groups = await Sale.aggregate([
+      { $match: match },
+      { $addFields: { daysOverdue: daysOverdueExpr } },
+      { $addFields: { bucket: bucketExpr } },
+      {
+        $group: {
+          _id: { branch: "$branch", nationalId: { $toUpper: "$nationalId" }, bucket: "$bucket" },
+          buyerName: { $last: "$buyerName" },
+          customer: { $max: "$customer" },
+          contact: { $last: "$contact" },
+          outstanding: { $sum: outstandingBalanceExpr },
+          salesCount: { $sum: 1 },
+          maxDaysOverdue: { $max: "$daysOverdue" }
+        }
+      },
+      { $sort: { "_id.nationalId": 1 } }
+    ]);
+
+    const grandTotals = emptyAging();
+    const branchRows = new Map();
+    const buyerRows = new Map();
+
+    for (const group of groups) {
+      const entry = {
+        bucket: group._id.bucket,
+        outstanding: group.outstanding,
+        salesCount: group.salesCount
+      };
+      addToAging(grandTotals, entry);
+
+      const { branch, nationalId } = group._id;
+      if (!branchRows.has(branch)) {
+        branchRows.set(branch, { branch, ...emptyAging() });
+      }
+      addToAging(branchRows.get(branch), entry);
+
+      if (!buyerRows.has(nationalId)) {
+        buyerRows.set(nationalId, {
+          customer: group.customer || null,
+          nationalId,
+          buyerName: group.buyerName,
+          contact: group.contact,
+          branches: [],
+          maxDaysOverdue: 0,
+          ...emptyAging()
+        });
+      }
+      const buyer = buyerRows.get(nationalId);
+      addToAging(buyer, entry);
+      buyer.customer = buyer.customer || group.customer || null;
+      buyer.maxDaysOverdue = Math.max(buyer.maxDaysOverdue, group.maxDaysOverdue);
+      if (!buyer.branches.includes(branch)) {
+        buyer.branches.push(branch);
+      }
+    }
+
+    const branches = await withAllBranches(
+      [...branchRows.values()].sort((a, b) => a.branch.localeCompare(b.branch)),
+      emptyAging(),
+      { branch: req.query.branch }
+    );
+    const buyers = [...buyerRows.values()].sort(
+      (a, b) => b.maxDaysOverdue - a.maxDaysOverdue || b.totalOutstanding - a.totalOutstanding
+    );
+
+    return res.status(200).json({
+      asOf: now,
+      period: {
+        startDate: req.query.startDate || null,
+        endDate: req.query.endDate || null
+      },
+      buckets: AGING_BUCKETS,
+      grandTotals,
+      branches,
+      buyers
+    });
+  } catch {
+    return res.status(500).json({ message: "Failed to generate receivables aging report" });
+  }
+};
+
+// Revenue is net of discounts and refunds for returns; discounts are reported alongside it.
+const toMarginTotals = ({ tonnageSoldKg, revenue, discounts, costOfGoodsSold }) => {
+  const grossMargin = roundMoney(revenue - costOfGoodsSold);
+  return {
+    tonnageSoldKg,
+    revenue: roundMoney(revenue),
+    discounts: roundMoney(discounts),
+    costOfGoodsSold: roundMoney(costOfGoodsSold),
+    grossMargin,
+    marginPercent: revenue > 0 ? roundMoney((grossMargin / revenue) * 100) : null
+  };
+};
+
+// COGS is the FIFO cost of the stock lots each sale drew. Returns recorded in the period take
+// their refund off revenue and the cost of kg put back on lots off COGS, whenever the sale was
+// made. Sales made before lot tracking use the weighted average procurement cost per kg up to
+// the end of the period instead; stock that reached a branch only by transfer falls back to the
+// company-wide average for that produce.
+const getGrossMarginReport = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const periodMatch = buildReportPeriodMatch(req, res);
+  if (!periodMatch) {
+    return;
+  }
+
+  const match = { ...periodMatch, status: { $ne: "Voided" } };
+  if (req.user.role === "Director") {
+    if (req.query.branch) {
+      match.branch = req.query.branch;
+    }
+  } else {
+    if (!ensureBranchAccess(req, res, req.query.branch)) {
+      return;
+    }
+    match.branch = req.user.branch;
+  }
+
+  const lineMatch = {};
+  const costMatch = {};
+  const returnMatch = { ...periodMatch };
+  if (match.branch) {
+    returnMatch.branch = match.branch;
+  }
+  for (const field of ["produceName", "produceType"]) {
+    if (req.query[field]) {
+      lineMatch[`line.${field}`] = req.query[field];
+      costMatch[field] = req.query[field];
+      returnMatch[field] = req.query[field];
+    }
+  }
+  if (periodMatch.createdAt && periodMatch.createdAt.$lte) {
+    costMatch.date = { $lte: periodMatch.createdAt.$lte };
+  }
+
+  try {
+    // Each produce line of a sale (one for single-item sales) is grouped on its own.
+    const salesGroups = await Sale.aggregate([
+      { $match: match },
+      { $project: { branch: 1, line: saleLinesExpr } },
+      { $unwind: "$line" },
+      { $match: lineMatch },
+      {
+        $group: {
+          _id: {
+            branch: "$branch",
+            produceName: "$line.produceName",
+            produceType: "$line.produceType"
+          },
+          salesCount: { $sum: 1 },
+          tonnageSoldKg: { $sum: "$line.tonnage" },
+          revenue: { $sum: "$line.lineTotal" },
+          discounts: { $sum: { $ifNull: ["$line.discountAmount", 0] } },
+          lotCostedKg: {
+            $sum: {
+              $cond: [
+                { $ne: [{ $type: "$line.costOfGoodsSold" }, "missing"] },
+                "$line.tonnage",
+                0
+              ]
+            }
+          },
+          lotCost: { $sum: { $ifNull: ["$line.costOfGoodsSold", 0] } }
+        }
+      },
+      { $sort: { "_id.branch": 1, "_id.produceName": 1, "_id.produceType": 1 } }
+    ]);
+
+    const returnGroups = await SaleReturn.aggregate([
+      { $match: returnMatch },
+      {
+        $group: {
+          _id: { branch: "$branch", produceName: "$produceName", produceType: "$produceType" },
+          refunds: { $sum: "$refundAmount" },
+          restockedCost: { $sum: "$restockedCost" }
+        }
+      }
+    ]);
+    const returnsByKey = new Map();
+    for (const group of returnGroups) {
+      const { branch, produceName, produceType } = group._id;
+      returnsByKey.set(`${branch}|${produceName}|${produceType}`, group);
+    }
+    // Produce with returns in the period but no sales in it still gets a row.
+    const saleKeys = new Set(
+      salesGroups.map(({ _id }) => `${_id.branch}|${_id.produceName}|${_id.produceType}`)
+    );
+    for (const [key, group] of returnsByKey) {
+      if (!saleKeys.has(key)) {
+        salesGroups.push({
+          _id: group._id,
+          salesCount: 0,
+          tonnageSoldKg: 0,
+          revenue: 0,
+          discounts: 0,
+          lotCostedKg: 0,
+          lotCost: 0
+        });
+      }
+    }
+    salesGroups.sort(
+      (a, b) =>
+        a._id.branch.localeCompare(b._id.branch) ||
+        a._id.produceName.localeCompare(b._id.produceName) ||
+        a._id.produceType.localeCompare(b._id.produceType)
+    );
+
+    const costGroups = await Procurement.aggregate([
+      { $match: costMatch },
+      {
+        $group: {
+          _id: { branch: "$branch", produceName: "$produceName", produceType: "$produceType" },
+          cost: { $sum: "$cost" },
+          tonnage: { $sum: "$tonnage" }
+        }
+      }
+    ]);
+
+    const branchCosts = new Map();
+    const companyCosts = new Map();
+    for (const group of costGroups) {
+      const { branch, produceName, produceType } = group._id;
+      branchCosts.set(`${branch}|${produceName}|${produceType}`, group);
+
+      const produceKey = `${produceName}|${produceType}`;
+      const company = companyCosts.get(produceKey) || { cost: 0, tonnage: 0 };
+      company.cost += group.cost;
+      company.tonnage += group.tonnage;
+      companyCosts.set(produceKey, company);
+    }
+
+    const grand = { tonnageSoldKg: 0, revenue: 0, discounts: 0, costOfGoodsSold: 0 };
+    const branchTotals = new Map();
+    const items = salesGroups.map((group) => {
+      const { branch, produceName, produceType } = group._id;
+      const key = `${branch}|${produceName}|${produceType}`;
+      const returns = returnsByKey.get(key) || { refunds: 0, restockedCost: 0 };
+      const revenue = group.revenue - returns.refunds;
+      const branchCost = branchCosts.get(key);
+      const companyCost = companyCosts.get(`${produceName}|${produceType}`);
+      const basis = branchCost || companyCost;
+      const avgCostPerKg = basis && basis.tonnage > 0 ? basis.cost / basis.tonnage : null;
+      const averagedKg = group.tonnageSoldKg - group.lotCostedKg;
+      const costOfGoodsSold =
+        group.lotCost +
+        (avgCostPerKg === null ? 0 : avgCostPerKg * averagedKg) -
+        returns.restockedCost;
+      // Lots when every kg was costed from lots; otherwise the average used for the remainder.
+      let costBasis = "Lots";
+      if (averagedKg > 0) {
+        costBasis = branchCost ? "Branch" : companyCost ? "Company" : null;
+      }
+
+      grand.tonnageSoldKg += group.tonnageSoldKg;
+      grand.revenue += revenue;
+      grand.discounts += group.discounts;
+      grand.costOfGoodsSold += costOfGoodsSold;
+      const subtotal = branchTotals.get(branch) || {
+        tonnageSoldKg: 0,
+        revenue: 0,
+        discounts: 0,
+        costOfGoodsSold: 0
+      };
+      subtotal.tonnageSoldKg += group.tonnageSoldKg;
+      subtotal.revenue += revenue;
+      subtotal.discounts += group.discounts;
+      subtotal.costOfGoodsSold += costOfGoodsSold;
+      branchTotals.set(branch, subtotal);
+
+      return {
+        branch,
+        produceName,
+        produceType,
+        salesCount: group.salesCount,
+        avgCostPerKg: avgCostPerKg === null ? null : roundMoney(avgCostPerKg),
+        lotCostedKg: group.lotCostedKg,
+        costBasis,
+        ...toMarginTotals({
+          tonnageSoldKg: group.tonnageSoldKg,
+          revenue,
+          discounts: group.discounts,
+          costOfGoodsSold
+        })
+      };
+    });
+
+    const branches = [...branchTotals.entries()].map(([branch, totals]) => ({
+      branch,
+      ...toMarginTotals(totals)
+    }));
+
+    return res.status(200).json({
+      period: {
+        startDate: req.query.startDate || null,
+        endDate: req.query.endDate || null
+      },
+      grandTotals: toMarginTotals(grand),
+      branches,
+      items,
+      uncostedItems: items.filter((item) => item.costBasis === null).length
+    });
+  } catch {
+    return res.status(500).json({ message: "Failed to generate gross margin report" });
+  }
+};
+
 module.exports = {
   createCashSale,
   createCreditSale,
   listSales,
   getSaleById,
+  getSaleByNumber,
+  getSaleReceipt,
   updateSaleById,
-  deleteSaleById,
-  getSalesTotalsReport
+  voidSaleById,
+  listVoidedSales,
+  listOverdueCreditSales,
+  getSalesTotalsReport,
+  getReceivablesAgingReport,
+  getGrossMarginReport
 };
@@ -0,0 +1,320 @@
+const Supplier = require("../models/supplier");
+const Procurement = require("../models/procurement");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { validateSupplierProfile } = require("../utils/procurementSourceRule");
+
+const SUPPLIER_FIELDS = ["name", "phone", "location", "nin", "registrationNumber", "active"];
+const NAME_COLLATION = { locale: "en", strength: 2 };
+
+const purchaseTotals = {
+  totalProcurements: { $sum: 1 },
+  totalTonnageKg: { $sum: "$tonnage" },
+  totalSpend: { $sum: "$cost" }
+};
+
+const emptyPurchaseTotals = { totalProcurements: 0, totalTonnageKg: 0, totalSpend: 0 };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const buildProcurementDateFilter = ({ startDate, endDate }) => {
+  if (!startDate && !endDate) {
+    return null;
+  }
+
+  const date = {};
+  if (startDate) {
+    date.$gte = new Date(startDate);
+  }
+  if (endDate) {
+    const end = new Date(endDate);
+    end.setUTCHours(23, 59, 59, 999);
+    date.$lte = end;
+  }
+  return date;
+};
+
+const mapDuplicateSupplierError = (error, res) => {
+  if (error.code !== 11000) {
+    return false;
+  }
+
+  res.status(400).json({ message: "A supplier with this type and name already exists" });
+  return true;
+};
+
+const checkSupplierProfile = async (profile, res) => {
+  const profileValidation = await validateSupplierProfile(profile);
+  if (!profileValidation.valid) {
+    res.status(400).json({ message: profileValidation.message });
+    return false;
+  }
+
+  return true;
+};
+
+const listSuppliers = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (req.query.supplierType) {
+    query.supplierType = req.query.supplierType;
+  }
+  if (typeof req.query.active !== "undefined") {
+    query.active = req.query.active === "true";
+  }
+  if (req.query.search) {
+    query.name = { $regex: escapeRegex(req.query.search), $options: "i" };
+  }
+
+  const suppliers = await Supplier.find(query).collation(NAME_COLLATION).sort({ name: 1 });
+  return res.status(200).json(suppliers);
+};
+
+const getSupplierById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const supplier = await Supplier.findById(req.params.id);
+  if (!supplier) {
+    return res.status(404).json({ message: "Supplier not found" });
+  }
+
+  return res.status(200).json(supplier);
+};
+
+const createSupplier = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  if (
+    !(await checkSupplierProfile(
+      { supplierType: req.body.supplierType, name: req.body.name },
+      res
+    ))
+  ) {
+    return;
+  }
+
+  try {
+    const supplier = await Supplier.create({
+      supplierType: req.body.supplierType,
+      name: req.body.name,
+      phone: req.body.phone,
+      location: req.body.location,
+      nin: req.body.nin,
+      registrationNumber: req.body.registrationNumber,
+      active: typeof req.body.active === "undefined" ? true : req.body.active
+    });
+
+    return res.status(201).json(supplier);
+  } catch (error) {
+    if (mapDuplicateSupplierError(error, res)) {
+      return;
+    }
+
+    return res.status(500).json({ message: "Failed to create supplier" });
+  }
+};
+
+// supplierType is fixed once set; a different kind of source is registered as a new supplier.
+const updateSupplierById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const supplier = await Supplier.findById(req.params.id);
+  if (!supplier) {
+    return res.status(404).json({ message: "Supplier not found" });
+  }
+
+  if (
+    typeof req.body.supplierType !== "undefined" &&
+    req.body.supplierType !== supplier.supplierType
+  ) {
+    return res.status(400).json({ message: "supplierType cannot be changed" });
+  }
+
+  for (const field of SUPPLIER_FIELDS) {
+    if (typeof req.body[field] !== "undefined") {
+      supplier[field] = req.body[field];
+    }
+  }
+
+  if (
+    supplier.isModified("name") &&
+    !(await checkSupplierProfile({ supplierType: supplier.supplierType, name: supplier.name }, res))
+  ) {
+    return;
+  }
+
+  try {
+    await supplier.save();
+    return res.status(200).json(supplier);
+  } catch (error) {
+    if (mapDuplicateSupplierError(error, res)) {
+      return;
+    }
+
+    return res.status(500).json({ message: "Failed to update supplier" });
+  }
+};
+
+const deleteSupplierById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const supplier = await Supplier.findById(req.params.id);
+  if (!supplier) {
+    return res.status(404).json({ message: "Supplier not found" });
+  }
+
+  if (await Procurement.exists({ supplier: supplier._id })) {
+    return res.status(409).json({
+      message: `${supplier.name} has procurement history; deactivate the supplier instead`
+    });
+  }
+
+  await Supplier.deleteOne({ _id: supplier._id });
+  return res.status(200).json({ message: "Supplier deleted" });
+};
+
+const getSupplierPurchaseHistory = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const supplier = await Supplier.findById(req.params.id);
+  if (!supplier) {
+    return res.status(404).json({ message: "Supplier not found" });
+  }
+
+  const match = { supplier: supplier._id };
+  if (req.user.role === "Manager") {
+    if (
+      !ensureBranchAccess(req, res, {
+        targetBranch: req.query.branch,
+        missingMessage: "Manager branch assignment is required",
+        mismatchMessage: "Manager can only view supplier history for assigned branch"
+      })
+    ) {
+      return;
+    }
+    match.branch = req.user.branch;
+  } else if (req.query.branch) {
+    match.branch = req.query.branch;
+  }
+
+  const date = buildProcurementDateFilter(req.query);
+  if (date) {
+    match.date = date;
+  }
+
+  try {
+    const [totals] = await Procurement.aggregate([
+      { $match: match },
+      { $group: { _id: null, ...purchaseTotals, lastProcurementDate: { $max: "$date" } } },
+      { $project: { _id: 0 } }
+    ]);
+    const procurements = await Procurement.find(match).sort({ date: -1, time: -1 });
+
+    return res.status(200).json({
+      supplier,
+      period: {
+        startDate: req.query.startDate || null,
+        endDate: req.query.endDate || null
+      },
+      totals: totals || { ...emptyPurchaseTotals, lastProcurementDate: null },
+      procurements
+    });
+  } catch {
+    return res.status(500).json({ message: "Failed to load supplier purchase history" });
+  }
+};
+
+const getSupplierSpendReport = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const match = {};
+  if (req.query.branch) {
+    match.branch = req.query.branch;
+  }
+  if (req.query.supplierType) {
+    match.sourceType = req.query.supplierType;
+  }
+  const date = buildProcurementDateFilter(req.query);
+  if (date) {
+    match.date = date;
+  }
+
+  try {
+    const [grandTotals] = await Procurement.aggregate([
+      { $match: match },
+      { $group: { _id: null, ...purchaseTotals } },
+      { $project: { _id: 0 } }
+    ]);
+
+    // Procurements recorded before the registry have no supplier and are grouped as unregistered.
+    const suppliers = await Procurement.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$supplier",
+          ...purchaseTotals,
+          lastProcurementDate: { $max: "$date" }
+        }
+      },
+      {
+        $lookup: {
+          from: Supplier.collection.name,
+          localField: "_id",
+          foreignField: "_id",
+          as: "supplier"
+        }
+      },
+      { $unwind: { path: "$supplier", preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          supplierId: "$_id",
+          name: { $ifNull: ["$supplier.name", "Unregistered"] },
+          supplierType: { $ifNull: ["$supplier.supplierType", null] },
+          active: { $ifNull: ["$supplier.active", null] },
+          totalProcurements: 1,
+          totalTonnageKg: 1,
+          totalSpend: 1,
+          lastProcurementDate: 1
+        }
+      },
+      { $sort: { totalSpend: -1, name: 1 } }
+    ]);
+
+    return res.status(200).json({
+      period: {
+        startDate: req.query.startDate || null,
+        endDate: req.query.endDate || null
+      },
+      grandTotals: grandTotals || emptyPurchaseTotals,
+      suppliers
+    });
+  } catch {
+    return res.status(500).json({ message: "Failed to generate supplier spend report" });
+  }
+};
+
+module.exports = {
+  listSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplierById,
+  deleteSupplierById,
+  getSupplierPurchaseHistory,
+  getSupplierSpendReport
+};
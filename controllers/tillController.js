@@ -0,0 +1,263 @@
+const TillSession = require("../models/tillSession");
+const Notification = require("../models/notification");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { runInTransaction } = require("../utils/transaction");
+const { startOfDay, formatDay, summarizeTillCash } = require("../utils/tillSessions");
+const { roundMoney } = require("../utils/helpers");
+
+const DEFAULT_VARIANCE_THRESHOLD = 10000;
+
+// Closing counts further off than this (in UGX, either way) notify the branch manager.
+const getVarianceThreshold = () => {
+  const configured = Number(process.env.TILL_VARIANCE_THRESHOLD);
+  return Number.isFinite(configured) && configured >= 0
+    ? configured
+    : DEFAULT_VARIANCE_THRESHOLD;
+};
+
+const tillBranchGuard = (req, res, targetBranch) => {
+  return ensureBranchAccess(req, res, {
+    targetBranch,
+    missingMessage: "User branch assignment is required",
+    mismatchMessage: "You can only manage tills for your assigned branch"
+  });
+};
+
+const isOwnTill = (req, till) => String(till.agent) === String(req.user.id);
+
+// Sales agents see their own tills, managers their branch's tills and the Director all of them.
+const canViewTill = (req, res, till) => {
+  if (req.user.role === "Director") {
+    return true;
+  }
+  if (req.user.role === "SalesAgent" && !isOwnTill(req, till)) {
+    res.status(403).json({ message: "You can only view your own till" });
+    return false;
+  }
+
+  return tillBranchGuard(req, res, till.branch);
+};
+
+const describeTill = (till) => `${till.agentName}'s till for ${formatDay(till.businessDate)}`;
+
+// Opens the caller's till for today with the float they start with.
+const openTill = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  if (!tillBranchGuard(req, res, req.user.branch)) {
+    return;
+  }
+
+  try {
+    const till = await TillSession.create({
+      agent: req.user.id,
+      agentName: req.user.username,
+      branch: req.user.branch,
+      businessDate: startOfDay(new Date()),
+      openingFloat: Number(req.body.openingFloat)
+    });
+
+    return res.status(201).json(till);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "Your till for today is already open or closed" });
+    }
+
+    return res.status(500).json({ message: "Failed to open till" });
+  }
+};
+
+const listTills = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (req.user.role === "Director") {
+    if (req.query.branch) {
+      query.branch = req.query.branch;
+    }
+  } else {
+    if (!tillBranchGuard(req, res, req.query.branch)) {
+      return;
+    }
+    query.branch = req.user.branch;
+  }
+
+  if (req.user.role === "SalesAgent") {
+    query.agent = req.user.id;
+  } else if (req.query.agentId) {
+    query.agent = req.query.agentId;
+  }
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+  if (req.query.date) {
+    query.businessDate = startOfDay(req.query.date);
+  }
+
+  const tills = await TillSession.find(query).sort({ businessDate: -1, agentName: 1 });
+  return res.status(200).json(tills);
+};
+
+// An open till also reports the cash expected so far, net of cash refunds.
+const getTillById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const till = await TillSession.findById(req.params.id);
+  if (!till) {
+    return res.status(404).json({ message: "Till session not found" });
+  }
+
+  if (!canViewTill(req, res, till)) {
+    return;
+  }
+
+  if (till.status !== "Open") {
+    return res.status(200).json(till);
+  }
+
+  const { netCash, ...summary } = await summarizeTillCash({
+    agent: till.agent,
+    businessDate: till.businessDate
+  });
+  return res.status(200).json({
+    ...till.toObject(),
+    ...summary,
+    expectedCash: roundMoney(till.openingFloat + netCash)
+  });
+};
+
+/**
+ * Closes the caller's till with the cash they counted. Expected cash (float plus the day's cash
+ * sales less its cash refunds) and the variance are fixed at this point, and the day is closed
+ * to further cash sales and refunds.
+ */
+const closeTill = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const till = await TillSession.findById(req.params.id);
+  if (!till) {
+    return res.status(404).json({ message: "Till session not found" });
+  }
+
+  if (!isOwnTill(req, till)) {
+    return res.status(403).json({ message: "You can only close your own till" });
+  }
+
+  const countedCash = roundMoney(req.body.countedCash);
+  const threshold = getVarianceThreshold();
+
+  try {
+    const closed = await runInTransaction(async (session) => {
+      const { netCash, ...summary } = await summarizeTillCash({
+        agent: till.agent,
+        businessDate: till.businessDate,
+        session
+      });
+      const expectedCash = roundMoney(till.openingFloat + netCash);
+      const variance = roundMoney(countedCash - expectedCash);
+
+      const updated = await TillSession.findOneAndUpdate(
+        { _id: till._id, status: "Open" },
+        {
+          $set: {
+            status: "Closed",
+            ...summary,
+            expectedCash,
+            countedCash,
+            variance,
+            closedAt: new Date(),
+            closeNote: req.body.note
+          }
+        },
+        { new: true, session }
+      );
+      if (!updated) {
+        return null;
+      }
+
+      if (Math.abs(variance) > threshold) {
+        await Notification.create(
+          [
+            {
+              targetRole: "Manager",
+              title: "Till variance",
+              message:
+                `${describeTill(updated)} closed ${variance > 0 ? "over" : "short"} by ` +
+                `${Math.abs(variance)} (expected ${expectedCash}, counted ${countedCash})`,
+              branch: updated.branch
+            }
+          ],
+          { session }
+        );
+      }
+
+      return updated;
+    });
+
+    if (!closed) {
+      return res.status(409).json({ message: "Till is already closed" });
+    }
+
+    return res.status(200).json(closed);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to close till" });
+  }
+};
+
+// Branch manager (or Director) confirms a closed till; nobody signs off their own till.
+const signOffTill = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const till = await TillSession.findById(req.params.id);
+  if (!till) {
+    return res.status(404).json({ message: "Till session not found" });
+  }
+
+  if (req.user.role !== "Director" && !tillBranchGuard(req, res, till.branch)) {
+    return;
+  }
+
+  if (isOwnTill(req, till)) {
+    return res.status(403).json({ message: "You cannot sign off your own till" });
+  }
+
+  const signedOff = await TillSession.findOneAndUpdate(
+    { _id: till._id, status: "Closed" },
+    {
+      $set: {
+        status: "SignedOff",
+        signedOffBy: req.user.id,
+        signedOffByName: req.user.username,
+        signedOffAt: new Date(),
+        signOffNote: req.body.note
+      }
+    },
+    { new: true }
+  );
+  if (!signedOff) {
+    return res.status(409).json({ message: "Only closed tills can be signed off" });
+  }
+
+  return res.status(200).json(signedOff);
+};
+
+module.exports = {
+  openTill,
+  listTills,
+  getTillById,
+  closeTill,
+  signOffTill
+};
@@ -0,0 +1,431 @@
+const StockTransfer = require("../models/stockTransfer");
+const Inventory = require("../models/inventory");
+const Notification = require("../models/notification");
+const validateRequest = require("../utils/validateRequest");
+const { ensureBranchAccess } = require("../utils/branchAccess");
+const { changeStock } = require("../utils/stockLedger");
+const { runInTransaction } = require("../utils/transaction");
+const { getLatestUnitCost } = require("../utils/procurementCost");
+const { recordInitialPrice } = require("../utils/priceChanges");
+const { issueDocumentNumber } = require("../utils/documentNumbers");
+const {
+  reconcileOpeningLot,
+  createLot,
+  consumeLotsFifo,
+  returnStockToLots,
+  allocationCost
+} = require("../utils/stockLots");
+const { roundMoney, buildError } = require("../utils/helpers");
+
+const managerBranchGuard = (req, res, targetBranch, mismatchMessage) => {
+  return ensureBranchAccess(req, res, {
+    targetBranch,
+    missingMessage: "Manager branch assignment is required",
+    mismatchMessage
+  });
+};
+
+const notifyManagers = async ({ transfer, title, message, session }) => {
+  await Notification.create(
+    [transfer.fromBranch, transfer.toBranch].map((branch) => ({
+      targetRole: "Manager",
+      title,
+      message,
+      branch,
+      produceName: transfer.produceName,
+      produceType: transfer.produceType
+    })),
+    { session, ordered: true }
+  );
+};
+
+const describeLoad = (transfer, kg) =>
+  `${kg}kg of ${transfer.produceName} (${transfer.produceType})`;
+
+const transferMovement = ({ transfer, movementType, actor }) => ({
+  movementType,
+  sourceType: "Transfer",
+  sourceId: transfer._id,
+  actor
+});
+
+const createTransfer = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  if (
+    !managerBranchGuard(
+      req,
+      res,
+      req.body.fromBranch,
+      "Manager can only send transfers from assigned branch"
+    )
+  ) {
+    return;
+  }
+
+  if (req.body.toBranch === req.user.branch) {
+    return res.status(400).json({ message: "toBranch must differ from the sending branch" });
+  }
+
+  const source = await Inventory.findOne({
+    produceName: req.body.produceName,
+    produceType: req.body.produceType,
+    branch: req.user.branch
+  });
+  if (!source) {
+    return res.status(404).json({ message: "Inventory record not found at sending branch" });
+  }
+
+  const quantityKg = Number(req.body.quantityKg);
+  const sourceKey = {
+    produceName: source.produceName,
+    produceType: source.produceType,
+    branch: source.branch
+  };
+
+  try {
+    const transfer = await runInTransaction(async (session) => {
+      await reconcileOpeningLot({ key: sourceKey, session });
+
+      const documentNumber = await issueDocumentNumber({
+        branch: req.user.branch,
+        documentType: "Transfer",
+        session
+      });
+      const [created] = await StockTransfer.create(
+        [
+          {
+            documentNumber,
+            produceName: source.produceName,
+            produceType: source.produceType,
+            fromBranch: req.user.branch,
+            toBranch: req.body.toBranch,
+            quantityKg,
+            sellingPrice: source.sellingPrice,
+            notes: req.body.notes,
+            sentBy: req.user.id,
+            sentByName: req.user.username
+          }
+        ],
+        { session }
+      );
+
+      const reduced = await changeStock({
+        filter: { _id: source._id },
+        deltaKg: -quantityKg,
+        requireStock: true,
+        movement: transferMovement({
+          transfer: created,
+          movementType: "TransferOut",
+          actor: req.user
+        }),
+        session
+      });
+      if (!reduced) {
+        throw buildError("Insufficient stock for requested transfer", 400);
+      }
+
+      created.lots = await consumeLotsFifo({ key: sourceKey, quantityKg, session });
+      await created.save({ session });
+
+      await notifyManagers({
+        transfer: created,
+        title: "Stock transfer dispatched",
+        message:
+          `${describeLoad(created, quantityKg)} sent from ${created.fromBranch} ` +
+          `to ${created.toBranch}`,
+        session
+      });
+
+      return created;
+    });
+
+    return res.status(201).json(transfer);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to create stock transfer" });
+  }
+};
+
+const listTransfers = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const query = {};
+  if (req.user.role === "Manager") {
+    if (!managerBranchGuard(req, res, undefined, "Access denied for this branch")) {
+      return;
+    }
+    if (req.query.direction === "outgoing") {
+      query.fromBranch = req.user.branch;
+    } else if (req.query.direction === "incoming") {
+      query.toBranch = req.user.branch;
+    } else {
+      query.$or = [{ fromBranch: req.user.branch }, { toBranch: req.user.branch }];
+    }
+  } else if (req.query.branch) {
+    query.$or = [{ fromBranch: req.query.branch }, { toBranch: req.query.branch }];
+  }
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const transfers = await StockTransfer.find(query).sort({ createdAt: -1 });
+  return res.status(200).json(transfers);
+};
+
+const sendTransfer = (req, res, transfer) => {
+  if (!transfer) {
+    return res.status(404).json({ message: "Stock transfer not found" });
+  }
+
+  if (
+    req.user.role === "Manager" &&
+    transfer.fromBranch !== req.user.branch &&
+    transfer.toBranch !== req.user.branch
+  ) {
+    return res.status(403).json({ message: "Access denied for this branch transfer record" });
+  }
+
+  return res.status(200).json(transfer);
+};
+
+const getTransferById = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  return sendTransfer(req, res, await StockTransfer.findById(req.params.id));
+};
+
+const getTransferByNumber = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const transfer = await StockTransfer.findOne({ documentNumber: req.params.documentNumber });
+  return sendTransfer(req, res, transfer);
+};
+
+const receiveTransfer = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const transfer = await StockTransfer.findById(req.params.id);
+  if (!transfer) {
+    return res.status(404).json({ message: "Stock transfer not found" });
+  }
+
+  if (
+    !managerBranchGuard(
+      req,
+      res,
+      transfer.toBranch,
+      "Only the receiving branch manager can confirm this transfer"
+    )
+  ) {
+    return;
+  }
+
+  const receivedKg =
+    typeof req.body.receivedKg === "undefined"
+      ? Number(transfer.quantityKg)
+      : Number(req.body.receivedKg);
+
+  try {
+    const result = await runInTransaction(async (session) => {
+      const received = await StockTransfer.findOneAndUpdate(
+        { _id: transfer._id, status: "InTransit" },
+        {
+          $set: {
+            status: "Received",
+            receivedKg,
+            varianceKg: receivedKg - Number(transfer.quantityKg),
+            receivedBy: req.user.id,
+            receivedByName: req.user.username,
+            receivedAt: new Date(),
+            receiptNotes: req.body.notes
+          }
+        },
+        { new: true, session }
+      );
+      if (!received) {
+        throw buildError("Only in-transit transfers can be received", 409);
+      }
+
+      const destinationKey = {
+        produceName: received.produceName,
+        produceType: received.produceType,
+        branch: received.toBranch
+      };
+      const existed = await Inventory.exists(destinationKey).session(session);
+      const inventory = await changeStock({
+        filter: destinationKey,
+        deltaKg: receivedKg,
+        setOnInsert: { sellingPrice: received.sellingPrice },
+        upsert: true,
+        movement: transferMovement({
+          transfer: received,
+          movementType: "TransferIn",
+          actor: req.user
+        }),
+        session
+      });
+
+      if (!existed) {
+        await recordInitialPrice({
+          inventory,
+          source: "Transfer",
+          sourceId: received._id,
+          actor: req.user,
+          session
+        });
+      }
+
+      // The load arrives as one lot carrying the cost of the lots it left with, spread over
+      // the weight actually received. Loads sent before lot tracking use the sender's latest cost.
+      const dispatchedLots = received.lots || [];
+      const unitCost =
+        dispatchedLots.length > 0
+          ? allocationCost(dispatchedLots) / receivedKg
+          : await getLatestUnitCost(
+            {
+              produceName: received.produceName,
+              produceType: received.produceType,
+              branch: received.fromBranch
+            },
+            session
+          );
+      await createLot({
+        inventory,
+        sourceType: "Transfer",
+        sourceId: received._id,
+        originLots: dispatchedLots.map((allocation) => allocation.lot),
+        quantityKg: receivedKg,
+        unitCost: roundMoney(unitCost),
+        receivedAt: received.receivedAt,
+        session
+      });
+
+      const varianceNote =
+        received.varianceKg === 0 ? "" : ` (variance ${received.varianceKg}kg)`;
+      await notifyManagers({
+        transfer: received,
+        title: "Stock transfer received",
+        message:
+          `${describeLoad(received, receivedKg)} received at ${received.toBranch} ` +
+          `from ${received.fromBranch}${varianceNote}`,
+        session
+      });
+
+      return { transfer: received, inventory };
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to receive stock transfer" });
+  }
+};
+
+const cancelTransfer = async (req, res) => {
+  if (!validateRequest(req, res)) {
+    return;
+  }
+
+  const transfer = await StockTransfer.findById(req.params.id);
+  if (!transfer) {
+    return res.status(404).json({ message: "Stock transfer not found" });
+  }
+
+  if (
+    !managerBranchGuard(
+      req,
+      res,
+      transfer.fromBranch,
+      "Only the sending branch manager can cancel this transfer"
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const result = await runInTransaction(async (session) => {
+      const cancelled = await StockTransfer.findOneAndUpdate(
+        { _id: transfer._id, status: "InTransit" },
+        {
+          $set: {
+            status: "Cancelled",
+            cancelledBy: req.user.id,
+            cancelledAt: new Date(),
+            cancelReason: req.body.reason
+          }
+        },
+        { new: true, session }
+      );
+      if (!cancelled) {
+        throw buildError("Only in-transit transfers can be cancelled", 409);
+      }
+
+      const inventory = await changeStock({
+        filter: {
+          produceName: cancelled.produceName,
+          produceType: cancelled.produceType,
+          branch: cancelled.fromBranch
+        },
+        deltaKg: Number(cancelled.quantityKg),
+        setOnInsert: { sellingPrice: cancelled.sellingPrice },
+        upsert: true,
+        movement: transferMovement({
+          transfer: cancelled,
+          movementType: "TransferCancel",
+          actor: req.user
+        }),
+        session
+      });
+      await returnStockToLots({
+        allocations: cancelled.lots,
+        key: {
+          produceName: cancelled.produceName,
+          produceType: cancelled.produceType,
+          branch: cancelled.fromBranch
+        },
+        quantityKg: Number(cancelled.quantityKg),
+        session
+      });
+
+      await notifyManagers({
+        transfer: cancelled,
+        title: "Stock transfer cancelled",
+        message:
+          `Transfer of ${describeLoad(cancelled, cancelled.quantityKg)} from ` +
+          `${cancelled.fromBranch} to ${cancelled.toBranch} was cancelled`,
+        session
+      });
+
+      return { transfer: cancelled, inventory };
+    });
+
+    return res.status(200).json(result);
+  } catch (error) {
+    return res
+      .status(error.statusCode || 500)
+      .json({ message: error.statusCode ? error.message : "Failed to cancel stock transfer" });
+  }
+};
+
+module.exports = {
+  createTransfer,
+  listTransfers,
+  getTransferById,
+  getTransferByNumber,
+  receiveTransfer,
+  cancelTransfer
+};
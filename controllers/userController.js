@@ -3,6 +3,7 @@ const jwt = require("jsonwebtoken");
 const User = require("../models/user");
 const validateRequest = require("../utils/validateRequest");
 const { ensureBranchAccess } = require("../utils/branchAccess");
+const { findBranch, getMinimumStaff } = require("../utils/branchRegistry");
 
 const sanitizeUser = (user) => ({
   id: user._id,
@@ -15,11 +16,6 @@ const sanitizeUser = (user) => ({
   updatedAt: user.updatedAt
 });
 
-const MIN_BRANCH_STAFF = Object.freeze({
-  Manager: 1,
-  SalesAgent: 2
-});
-
 const mapDuplicateUserError = (error, res, context = {}) => {
   if (error.code !== 11000) {
     return false;
@@ -56,9 +52,15 @@ const mapDuplicateUserError = (error, res, context = {}) => {
   return true;
 };
 
-// Prevents updates/deletes that would break mandatory branch staffing levels.
+// Prevents updates/deletes that would break the branch's minimum staffing levels.
+// Deactivated branches are being wound down, so their staff may be moved or removed freely.
 const ensureMinimumBranchStaff = async ({ branch, role, res, action }) => {
-  const minimum = MIN_BRANCH_STAFF[role];
+  const registered = await findBranch(branch);
+  if (registered && !registered.active) {
+    return true;
+  }
+
+  const minimum = getMinimumStaff(registered, role);
   if (!minimum) {
     return true;
   }
@@ -74,7 +76,7 @@ const ensureMinimumBranchStaff = async ({ branch, role, res, action }) => {
 
     if (role === "SalesAgent") {
       res.status(409).json({
-        message: `Cannot ${action} sales agents below 2 at ${branch}`
+        message: `Cannot ${action} sales agents below ${minimum} at ${branch}`
       });
       return false;
     }
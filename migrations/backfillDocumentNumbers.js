@@ -0,0 +1,162 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Branch = require("../models/branch");
+const Counter = require("../models/counter");
+const Sale = require("../models/sales");
+const Procurement = require("../models/procurement");
+const StockTransfer = require("../models/stockTransfer");
+const { runInTransaction } = require("../utils/transaction");
+const {
+  deriveBranchCode,
+  documentCounterKey,
+  issueDocumentNumber
+} = require("../utils/documentNumbers");
+
+const REQUIRED_ENV_VARS = ["DATABASE_URI"];
+const ALREADY_NUMBERED_MESSAGE = "Document was numbered while the migration ran";
+const NUMBERED_DOCUMENTS = [
+  { model: Sale, documentType: "Sale", branchField: "branch" },
+  { model: Procurement, documentType: "Procurement", branchField: "branch" },
+  { model: StockTransfer, documentType: "Transfer", branchField: "fromBranch" }
+];
+
+const assertRequiredEnvVars = () => {
+  const missing = REQUIRED_ENV_VARS.filter(
+    (name) => !process.env[name] || !String(process.env[name]).trim()
+  );
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(", ")}`);
+  }
+};
+
+// Branches created before codes existed get the first three letters of their name. A clash has
+// to be settled by the Director (PATCH /branches/:id with a code) before numbers are issued.
+const backfillBranchCodes = async () => {
+  const branches = await Branch.find({ code: { $exists: false } }).sort({ createdAt: 1 });
+  for (const branch of branches) {
+    const code = deriveBranchCode(branch.name);
+    if (await Branch.exists({ code })) {
+      throw new Error(
+        `Branch code ${code} for ${branch.name} is already in use; set a code for ${branch.name} ` +
+          "and re-run the migration"
+      );
+    }
+    await Branch.updateOne({ _id: branch._id }, { $set: { code } });
+  }
+
+  return branches.length;
+};
+
+/**
+ * The backfill draws from the same counters the app uses for new documents. Once the app has
+ * numbered a document newer than one still waiting here, backfilling would give the older record
+ * the higher number, so the migration refuses to start. Numbers issued by an earlier, interrupted
+ * run of this migration are all older than what is left and do not count.
+ */
+const assertNotNumberedAhead = async ({ model, documentType, branchField }) => {
+  const pending = await model.aggregate([
+    { $match: { documentNumber: { $exists: false } } },
+    {
+      $group: {
+        _id: {
+          branch: `$${branchField}`,
+          year: { $year: { $ifNull: ["$createdAt", { $toDate: "$_id" }] } }
+        },
+        oldest: { $min: "$_id" }
+      }
+    }
+  ]);
+
+  for (const { _id: key, oldest } of pending) {
+    if (!(await Counter.exists({ _id: documentCounterKey({ ...key, documentType }) }))) {
+      continue;
+    }
+
+    const yearEnd = mongoose.Types.ObjectId.createFromTime(Date.UTC(key.year + 1, 0, 1) / 1000);
+    const numberedAhead = await model.exists({
+      [branchField]: key.branch,
+      documentNumber: { $exists: true },
+      _id: { $gt: oldest, $lt: yearEnd }
+    });
+    if (numberedAhead) {
+      throw new Error(
+        `${documentType} numbers for ${key.branch} in ${key.year} were already issued to newer ` +
+          "records; run this migration before deploying the version that issues numbers"
+      );
+    }
+  }
+};
+
+/**
+ * Numbers every document that has none, oldest first (ObjectIds sort in creation order), using
+ * the year it was created. Each document is numbered in its own transaction, so the migration
+ * can be stopped and re-run safely.
+ */
+const backfillDocuments = async ({ model, documentType, branchField }) => {
+  let numbered = 0;
+  const cursor = model
+    .find({ documentNumber: { $exists: false } })
+    .sort({ _id: 1 })
+    .select(`_id ${branchField} createdAt`)
+    .cursor();
+
+  for await (const doc of cursor) {
+    const updated = await runInTransaction(async (session) => {
+      const documentNumber = await issueDocumentNumber({
+        branch: doc[branchField],
+        documentType,
+        issuedAt: doc.createdAt || doc._id.getTimestamp(),
+        session
+      });
+      const result = await model.updateOne(
+        { _id: doc._id, documentNumber: { $exists: false } },
+        { $set: { documentNumber } },
+        { session }
+      );
+      if (result.modifiedCount === 0) {
+        // Aborting hands the issued number back to the counter.
+        throw new Error(ALREADY_NUMBERED_MESSAGE);
+      }
+      return true;
+    }).catch((error) => {
+      if (error.message === ALREADY_NUMBERED_MESSAGE) {
+        return false;
+      }
+      throw error;
+    });
+
+    if (updated) {
+      numbered += 1;
+    }
+  }
+
+  return numbered;
+};
+
+const migrate = async () => {
+  assertRequiredEnvVars();
+  await connectDB();
+
+  const branchCodes = await backfillBranchCodes();
+  for (const documents of NUMBERED_DOCUMENTS) {
+    await assertNotNumberedAhead(documents);
+  }
+
+  const counts = [];
+  for (const documents of NUMBERED_DOCUMENTS) {
+    counts.push(`${documents.documentType}=${await backfillDocuments(documents)}`);
+  }
+
+  console.log(`Document numbers backfilled. branchCodes=${branchCodes}, ${counts.join(", ")}`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Document number backfill failed", error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.connection.close();
+  });
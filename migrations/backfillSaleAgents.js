@@ -0,0 +1,100 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Sale = require("../models/sales");
+const User = require("../models/user");
+
+const REQUIRED_ENV_VARS = ["DATABASE_URI"];
+const BATCH_SIZE = 500;
+
+const assertRequiredEnvVars = () => {
+  const missing = REQUIRED_ENV_VARS.filter(
+    (name) => !process.env[name] || !String(process.env[name]).trim()
+  );
+
+  if (missing.length > 0) {
+    throw new Error(`Missing required environment variables: ${missing.join(", ")}`);
+  }
+};
+
+// Names compare without case, spaces or punctuation, so "Salesagent Maganjo 1" typed on a sale
+// matches the username salesagent_maganjo_1.
+const normalizeName = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const indexUsersByName = (users) => {
+  const byName = new Map();
+  for (const user of users) {
+    const key = normalizeName(user.username);
+    byName.set(key, [...(byName.get(key) || []), user]);
+  }
+
+  return byName;
+};
+
+// The one user the typed name can mean: a single user with that name, or the single one of them
+// working at the sale's branch. Anything else is left for a person to resolve.
+const matchSaleAgent = (byName, sale) => {
+  const candidates = byName.get(normalizeName(sale.salesAgentName)) || [];
+  if (candidates.length === 1) {
+    return candidates[0];
+  }
+
+  const atBranch = candidates.filter((user) => user.branch === sale.branch);
+  return atBranch.length === 1 ? atBranch[0] : null;
+};
+
+/**
+ * Attributes sales recorded before user attribution to the user whose username matches their
+ * salesAgentName. Only sales without recordedBy are touched, so the migration is safe to re-run;
+ * unmatched sales keep just their salesAgentName and can only be changed by a manager.
+ */
+const migrate = async () => {
+  assertRequiredEnvVars();
+  await connectDB();
+
+  const byName = indexUsersByName(await User.find().select("username branch"));
+  let matched = 0;
+  let unmatched = 0;
+  let updates = [];
+
+  const cursor = Sale.find({ recordedBy: { $exists: false } })
+    .sort({ _id: 1 })
+    .select("salesAgentName branch")
+    .cursor();
+  for await (const sale of cursor) {
+    const user = matchSaleAgent(byName, sale);
+    if (!user) {
+      unmatched += 1;
+      continue;
+    }
+
+    matched += 1;
+    updates.push({
+      updateOne: {
+        filter: { _id: sale._id, recordedBy: { $exists: false } },
+        update: { $set: { recordedBy: user._id, recordedByName: user.username } }
+      }
+    });
+    if (updates.length === BATCH_SIZE) {
+      await Sale.bulkWrite(updates);
+      updates = [];
+    }
+  }
+  if (updates.length > 0) {
+    await Sale.bulkWrite(updates);
+  }
+
+  console.log(`Sale agents backfilled. matched=${matched}, unmatched=${unmatched}`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Sale agent backfill failed", error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.connection.close();
+  });
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const { branchValidator } = require("../utils/branchRegistry");
+
+const PERIOD_STATUSES = ["Closed", "Reopened"];
+const monthPattern = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Every close and reopen is kept, so the period shows who changed its state, when and why.
+const periodEventSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: ["Close", "Reopen"], required: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    byName: { type: String, required: true },
+    at: { type: Date, required: true },
+    reason: { type: String, maxlength: 500 }
+  },
+  { _id: false }
+);
+
+// A calendar month of one branch. While Closed, sales, procurements and stock adjustments dated
+// in it cannot be created, changed or removed.
+const accountingPeriodSchema = new mongoose.Schema(
+  {
+    branch: { type: String, validate: branchValidator, required: true },
+    month: { type: String, required: true, match: monthPattern },
+    status: { type: String, enum: PERIOD_STATUSES, required: true, default: "Closed" },
+    history: { type: [periodEventSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+accountingPeriodSchema.index({ branch: 1, month: 1 }, { unique: true });
+
+module.exports = mongoose.model("AccountingPeriod", accountingPeriodSchema);
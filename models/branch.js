@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+const branchNamePattern = /^[A-Za-z][A-Za-z ]*$/;
+const phoneRegex = /^\+?[0-9]{10,15}$/;
+const branchCodePattern = /^[A-Z]{2,5}$/;
+
+const branchSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      minlength: 2,
+      match: branchNamePattern
+    },
+    // Prefix of document numbers such as MAG-S-2026-000123; fixed once numbers are issued.
+    code: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      uppercase: true,
+      match: branchCodePattern
+    },
+    address: { type: String, trim: true, maxlength: 200 },
+    contact: { type: String, trim: true, match: phoneRegex },
+    openingDate: { type: Date },
+    active: { type: Boolean, default: true },
+    // Own-farm branches are the only valid sourceName for Farm procurements.
+    ownFarm: { type: Boolean, default: false },
+    // Fewest staff of each role the branch must keep; unset roles use the company default.
+    minimumStaff: {
+      Manager: { type: Number, min: 0, max: 1 },
+      SalesAgent: { type: Number, min: 0, max: 2 }
+    }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Branch", branchSchema);
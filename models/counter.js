@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// One running sequence per key (e.g. receipt numbers of a branch). Sequences are only advanced
+// inside the transaction that uses the number, so an aborted write never leaves a gap.
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, required: true, min: 0, default: 0 }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Counter", counterSchema);
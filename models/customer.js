@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const { catalogProduceValidator } = require("../utils/produceCatalog");
+const { branchValidator } = require("../utils/branchRegistry");
+
+const alphaNumericWithSpaces = /^[a-zA-Z0-9 ]+$/;
+const ninRegex = /^(CM|CF)[A-Z0-9]{12}$/i;
+const phoneRegex = /^\+?[0-9]{10,15}$/;
+
+// Negotiated per-kg price for one produce; without a branch it applies at every branch.
+const contractPriceSchema = new mongoose.Schema(
+  {
+    produceName: { type: String, required: true, validate: catalogProduceValidator },
+    produceType: { type: String, required: true },
+    branch: { type: String, validate: branchValidator },
+    unitPrice: { type: Number, required: true, min: 1 },
+    validFrom: { type: Date },
+    validTo: { type: Date },
+    active: { type: Boolean, default: true },
+    note: { type: String, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    createdByName: { type: String }
+  },
+  { timestamps: true }
+);
+
+const customerSchema = new mongoose.Schema(
+  {
+    nationalId: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: ninRegex
+    },
+    name: { type: String, required: true, trim: true, minlength: 2, match: alphaNumericWithSpaces },
+    location: { type: String, trim: true, minlength: 2, match: alphaNumericWithSpaces },
+    contact: { type: String, trim: true, match: phoneRegex },
+    creditLimit: { type: Number, required: true, min: 0 },
+    creditHold: { type: Boolean, default: false },
+    // Refunds for returned goods issued as credit notes rather than cash.
+    creditNoteBalance: { type: Number, min: 0, default: 0 },
+    holdReason: { type: String, maxlength: 500 },
+    lastCreditActivityAt: { type: Date },
+    contractPrices: { type: [contractPriceSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Customer", customerSchema);
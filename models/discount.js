@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+const { catalogProduceValidator } = require("../utils/produceCatalog");
+const { branchValidator } = require("../utils/branchRegistry");
+
+const DISCOUNT_TYPES = ["Percent", "Amount"];
+// Approved discounts become Applied once a sale uses them; voiding that sale releases them.
+const DISCOUNT_STATUSES = ["Pending", "Approved", "Rejected", "Applied"];
+
+const lettersAndSpaces = /^[A-Za-z ]+$/;
+const ninRegex = /^(CM|CF)[A-Z0-9]{12}$/i;
+
+const discountSchema = new mongoose.Schema(
+  {
+    // The sale the discount is for: it can only be used on a sale with the same terms.
+    produceName: { type: String, required: true, validate: catalogProduceValidator },
+    produceType: { type: String, required: true, match: lettersAndSpaces },
+    branch: { type: String, required: true, validate: branchValidator },
+    tonnage: { type: Number, required: true, min: 1 },
+    nationalId: { type: String, match: ninRegex },
+
+    discountType: { type: String, enum: DISCOUNT_TYPES, required: true },
+    discountValue: { type: Number, required: true, min: 0 },
+    // Sale total and discount at request time, for the reviewing manager.
+    listAmount: { type: Number, required: true, min: 0 },
+    discountAmount: { type: Number, required: true, min: 0 },
+    reason: { type: String, required: true, maxlength: 500 },
+
+    status: { type: String, enum: DISCOUNT_STATUSES, required: true, default: "Pending" },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    requestedByName: { type: String },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedByName: { type: String },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, maxlength: 500 },
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: "Sale" },
+    appliedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+discountSchema.index({ branch: 1, status: 1, createdAt: -1 });
+discountSchema.index({ sale: 1 });
+
+module.exports = mongoose.model("Discount", discountSchema);
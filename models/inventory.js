@@ -1,16 +1,26 @@
 const mongoose = require("mongoose");
+const { catalogProduceValidator } = require("../utils/produceCatalog");
+const { branchValidator } = require("../utils/branchRegistry");
 
-const PRODUCE_CATALOG = ["Beans", "Grain Maize", "Cow peas", "G-nuts", "Soybeans"];
-const BRANCHES = ["Maganjo", "Matugga"];
 const lettersAndSpaces = /^[A-Za-z ]+$/;
 
+const priceTierSchema = new mongoose.Schema(
+  {
+    minKg: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 1 }
+  },
+  { _id: false }
+);
+
 const inventorySchema = new mongoose.Schema(
   {
-    produceName: { type: String, enum: PRODUCE_CATALOG, required: true},
+    produceName: { type: String, required: true, validate: catalogProduceValidator },
     produceType: { type: String, required: true, minlength: 2, match: lettersAndSpaces },
-    branch: { type: String, enum: BRANCHES, required: true },
+    branch: { type: String, validate: branchValidator, required: true },
     stockKg: { type: Number, required: true, min: 0, default: 0},
-    sellingPrice: { type: Number, required: true, min: 1}
+    sellingPrice: { type: Number, required: true, min: 1},
+    // Wholesale per-kg prices for sales of at least minKg, sorted by minKg.
+    priceTiers: { type: [priceTierSchema], default: [] }
   },
   { timestamps: true }
 );
@@ -1,6 +1,5 @@
 const mongoose = require("mongoose");
-
-const BRANCHES = ["Maganjo", "Matugga"];
+const { branchValidator } = require("../utils/branchRegistry");
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -11,7 +10,7 @@ const notificationSchema = new mongoose.Schema(
     },
     title: { type: String, required: true },
     message: { type: String, required: true },
-    branch: { type: String, enum: BRANCHES, required: true },
+    branch: { type: String, validate: branchValidator, required: true },
     produceName: { type: String },
     produceType: { type: String },
     read: { type: Boolean, default: false }
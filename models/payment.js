@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+const { branchValidator } = require("../utils/branchRegistry");
+
+const paymentSchema = new mongoose.Schema(
+  {
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: "Sale", required: true },
+    branch: { type: String, validate: branchValidator, required: true },
+    amount: { type: Number, required: true, min: 1 },
+    // CreditNote payments are drawn from the buyer's credit note balance instead of cash.
+    method: { type: String, enum: ["Cash", "CreditNote"], default: "Cash" },
+    paymentDate: { type: Date, required: true },
+    notes: { type: String, maxlength: 500 },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    recordedByName: { type: String, required: true },
+    reversed: { type: Boolean, default: false },
+    reversalReason: { type: String },
+    reversedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reversedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+paymentSchema.index({ sale: 1, paymentDate: 1 });
+
+module.exports = mongoose.model("Payment", paymentSchema);
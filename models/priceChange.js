@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Manual changes come from the selling-price endpoint; the others record the opening price of an
+// inventory record created by a procurement or a received transfer.
+const PRICE_CHANGE_SOURCES = ["Manual", "Procurement", "Transfer"];
+const PRICE_CHANGE_STATUSES = ["PendingApproval", "Scheduled", "Applied", "Rejected", "Cancelled"];
+
+const priceChangeSchema = new mongoose.Schema(
+  {
+    inventory: { type: mongoose.Schema.Types.ObjectId, ref: "Inventory", required: true },
+    produceName: { type: String, required: true },
+    produceType: { type: String, required: true },
+    branch: { type: String, required: true },
+    source: { type: String, enum: PRICE_CHANGE_SOURCES, required: true, default: "Manual" },
+    sourceId: { type: mongoose.Schema.Types.ObjectId },
+    // Price at request time, replaced by the price actually overwritten when the change applies.
+    oldPrice: { type: Number, min: 0 },
+    newPrice: { type: Number, required: true, min: 1 },
+    effectiveFrom: { type: Date, required: true },
+    status: { type: String, enum: PRICE_CHANGE_STATUSES, required: true },
+    // Latest procurement cost per kg at request time; prices below it need Director approval.
+    unitCostAtRequest: { type: Number, min: 0, default: 0 },
+    belowCost: { type: Boolean, default: false },
+    reason: { type: String, maxlength: 500 },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    requestedByName: { type: String },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedByName: { type: String },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, maxlength: 500 },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelledAt: { type: Date },
+    appliedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+priceChangeSchema.index({ inventory: 1, createdAt: -1 });
+priceChangeSchema.index({ status: 1, effectiveFrom: 1 });
+priceChangeSchema.index({ branch: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PriceChange", priceChangeSchema);
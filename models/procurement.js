@@ -1,15 +1,17 @@
 const mongoose = require("mongoose");
+const { catalogProduceValidator } = require("../utils/produceCatalog");
 const { validateProcurementSource } = require("../utils/procurementSourceRule");
+const { branchValidator } = require("../utils/branchRegistry");
 
-const PRODUCE_CATALOG = ["Beans", "Grain Maize", "Cow peas", "G-nuts", "Soybeans"];
-const BRANCHES = ["Maganjo", "Matugga"];
 const PROCUREMENT_SOURCE_TYPES = ["IndividualDealer", "Company", "Farm"];
 const alphaNumericWithSpaces = /^[a-zA-Z0-9 ]+$/;
 const lettersAndSpaces = /^[A-Za-z ]+$/;
 const phoneRegex = /^\+?[0-9]{10,15}$/;
 
 const procurementSchema = new mongoose.Schema({
-  produceName: { type: String, enum: PRODUCE_CATALOG, required: true },
+  // Staff-facing reference such as MAT-P-2026-000045, issued per branch and year.
+  documentNumber: { type: String },
+  produceName: { type: String, required: true, validate: catalogProduceValidator },
   produceType: {
     type: String,
     required: true,
@@ -20,6 +22,8 @@ const procurementSchema = new mongoose.Schema({
   time: { type: String, required: true },
   tonnage: { type: Number, required: true, min: 100 },
   cost: { type: Number, required: true, min: 10000 },
+  // Older records predate the supplier registry and only carry the free-text source fields.
+  supplier: { type: mongoose.Schema.Types.ObjectId, ref: "Supplier" },
   sourceType: { type: String, enum: PROCUREMENT_SOURCE_TYPES, required: true },
   sourceName: {
     type: String,
@@ -27,8 +31,8 @@ const procurementSchema = new mongoose.Schema({
     minlength: 2,
     match: alphaNumericWithSpaces,
     validate: {
-      validator: function validateSourceRules(value) {
-        const sourceValidation = validateProcurementSource({
+      validator: async function validateSourceRules(value) {
+        const sourceValidation = await validateProcurementSource({
           sourceType: this.sourceType,
           sourceName: value,
           tonnage: this.tonnage
@@ -38,9 +42,17 @@ const procurementSchema = new mongoose.Schema({
       message: "Invalid procurement source details"
     }
   },
-  branch: { type: String, enum: BRANCHES, required: true },
+  branch: { type: String, validate: branchValidator, required: true },
   contact: { type: String, required: true, match: phoneRegex },
+  // Opening selling price if this procurement created the inventory record; later prices are
+  // set through the selling-price endpoint.
   sellingPrice: { type: Number, required: true, min: 1 }
 });
 
+procurementSchema.index({ supplier: 1, date: -1 });
+procurementSchema.index(
+  { documentNumber: 1 },
+  { unique: true, partialFilterExpression: { documentNumber: { $exists: true } } }
+);
+
 module.exports = mongoose.model("Procurement", procurementSchema);
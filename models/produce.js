@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const lettersAndSpaces = /^[A-Za-z ]+$/;
+const produceNamePattern = /^[A-Za-z][A-Za-z -]*$/;
+
+const produceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      minlength: 2,
+      match: produceNamePattern
+    },
+    // Empty list means any alphabetic produceType is accepted for this produce.
+    produceTypes: {
+      type: [{ type: String, trim: true, minlength: 2, match: lettersAndSpaces }],
+      default: []
+    },
+    unit: { type: String, required: true, trim: true, default: "kg" },
+    active: { type: Boolean, default: true },
+    minimumSellingPrice: { type: Number, min: 1 }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Produce", produceSchema);
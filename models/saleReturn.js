@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const { branchValidator } = require("../utils/branchRegistry");
+
+const RETURN_CONDITIONS = ["Resaleable", "Damaged"];
+// How the part of the refund not taken off a credit sale's balance reaches the buyer.
+const REFUND_SETTLEMENTS = ["CashRefund", "CreditNote"];
+
+const lotAllocationSchema = new mongoose.Schema(
+  {
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot", required: true },
+    quantityKg: { type: Number, required: true, min: 0 },
+    unitCost: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const saleReturnSchema = new mongoose.Schema(
+  {
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: "Sale", required: true },
+    // Line of a multi-item sale the goods came from.
+    item: { type: mongoose.Schema.Types.ObjectId },
+    saleType: { type: String, enum: ["Cash", "Credit"], required: true },
+    branch: { type: String, validate: branchValidator, required: true },
+    produceName: { type: String, required: true },
+    produceType: { type: String, required: true },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+    quantityKg: { type: Number, required: true, min: 0 },
+    condition: { type: String, enum: RETURN_CONDITIONS, required: true },
+    reason: { type: String, required: true, maxlength: 500 },
+
+    // Returned kg at the per-kg amount the buyer was charged, and what the buyer gets back.
+    returnValue: { type: Number, required: true, min: 0 },
+    refundAmount: { type: Number, required: true, min: 0 },
+    balanceAdjustment: { type: Number, min: 0, default: 0 },
+    settlement: { type: String, enum: REFUND_SETTLEMENTS, required: true },
+    settledAmount: { type: Number, min: 0, default: 0 },
+
+    // Lots the returned kg came from: restocked for resaleable returns, written off for damaged.
+    lots: { type: [lotAllocationSchema], default: undefined },
+    restockedCost: { type: Number, min: 0, default: 0 },
+    writeOffValue: { type: Number, min: 0, default: 0 },
+
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    recordedByName: { type: String, required: true }
+  },
+  { timestamps: true }
+);
+
+saleReturnSchema.index({ sale: 1, createdAt: 1 });
+saleReturnSchema.index({ branch: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SaleReturn", saleReturnSchema);
@@ -1,11 +1,50 @@
 const mongoose = require("mongoose");
+const { catalogProduceValidator } = require("../utils/produceCatalog");
+const { CREDIT_STATUSES } = require("../utils/creditStatus");
+const { branchValidator } = require("../utils/branchRegistry");
 
-const PRODUCE_CATALOG = ["Beans", "Grain Maize", "Cow peas", "G-nuts", "Soybeans"];
-const BRANCHES = ["Maganjo", "Matugga"];
 const alphaNumericWithSpaces = /^[a-zA-Z0-9 ]+$/;
 const lettersAndSpaces = /^[A-Za-z ]+$/;
 const ninRegex = /^(CM|CF)[A-Z0-9]{12}$/i;
 const phoneRegex = /^\+?[0-9]{10,15}$/;
+// Sales recorded before voiding existed have no status and count as Completed.
+const SALE_STATUSES = ["Completed", "Voided"];
+
+const lotAllocationSchema = new mongoose.Schema(
+  {
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot", required: true },
+    quantityKg: { type: Number, required: true, min: 0 },
+    unitCost: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+// Where a per-kg price came from: the inventory selling price, a quantity tier, or the buyer's
+// contract price.
+const pricingDefinition = {
+  source: { type: String, enum: ["Base", "Tier", "Contract"] },
+  basePrice: { type: Number },
+  tierMinKg: { type: Number },
+  contractPrice: { type: mongoose.Schema.Types.ObjectId }
+};
+
+// One produce line of a multi-item sale; single-item sales keep these fields on the sale itself.
+const saleItemSchema = new mongoose.Schema({
+  produceName: { type: String, required: true, validate: catalogProduceValidator },
+  produceType: { type: String, required: true, match: lettersAndSpaces },
+  tonnage: { type: Number, required: true, min: 1 },
+  unitPriceUsed: { type: Number, required: true, min: 1 },
+  pricing: pricingDefinition,
+  lineTotal: { type: Number, required: true, min: 0 },
+  lots: { type: [lotAllocationSchema], default: undefined },
+  costOfGoodsSold: { type: Number, min: 0 },
+  returnedKg: { type: Number, min: 0 },
+  returnedAmount: { type: Number, min: 0 }
+});
+
+const isSingleItem = function isSingleItem() {
+  return !this.items || this.items.length === 0;
+};
 
 const saleSchema = new mongoose.Schema(
   {
@@ -14,28 +53,47 @@ const saleSchema = new mongoose.Schema(
       enum: ["Cash", "Credit"],
       required: true
     },
+    // Staff-facing reference such as MAG-S-2026-000123, issued per branch and year.
+    documentNumber: { type: String },
+    status: { type: String, enum: SALE_STATUSES, default: "Completed" },
+    // Printed on the buyer's receipt; runs 1, 2, 3... per branch with no gaps. Sales recorded
+    // before receipts existed have none.
+    receiptNumber: { type: Number, min: 1 },
+    // Voided sales are kept for audit; their stock is restored and they leave sales totals.
+    voidReason: { type: String, maxlength: 500 },
+    voidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    voidedByName: { type: String },
+    voidedAt: { type: Date },
 
     produceName: {
       type: String,
-      enum: PRODUCE_CATALOG,
-      required: true
+      required: isSingleItem,
+      validate: catalogProduceValidator
     },
     produceType: {
       type: String,
       required: function requiredProduceType() {
-        return this.saleType === "Credit";
+        return this.saleType === "Credit" && isSingleItem.call(this);
       },
       match: lettersAndSpaces
     },
     branch: {
       type: String,
-      enum: BRANCHES,
+      validate: branchValidator,
       required: true
     },
-    tonnage: { type: Number, required: true, min: 1 },
+    tonnage: { type: Number, required: isSingleItem, min: 1 },
 
-    unitPriceUsed: { type: Number, required: true, min: 1 },
+    unitPriceUsed: { type: Number, required: isSingleItem, min: 1 },
+    // Sales made before tiered pricing have no pricing record.
+    pricing: pricingDefinition,
+    // Multi-item sales hold their produce lines here instead of the single-item fields above.
+    items: { type: [saleItemSchema], default: undefined },
+    // Amount the buyer owes: tonnage at unitPriceUsed (or the sum of line totals), less any
+    // approved discount.
     totalExpected: { type: Number, required: true, min: 1 },
+    discount: { type: mongoose.Schema.Types.ObjectId, ref: "Discount" },
+    discountAmount: { type: Number, min: 0 },
     amountPaid: {
       type: Number,
       required: function requiredAmountPaid() {
@@ -50,6 +108,32 @@ const saleSchema = new mongoose.Schema(
       },
       min: 10000
     },
+    amountCollected: { type: Number, min: 0 },
+    outstandingBalance: { type: Number, min: 0 },
+    creditStatus: { type: String, enum: CREDIT_STATUSES },
+    // Set by the overdue scheduler once the branch manager has been notified.
+    overdueNotifiedAt: { type: Date },
+
+    // Registry entry for credit buyers; older sales only carry the inline buyer fields.
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer" },
+    creditLimitOverride: {
+      approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      approvedByName: { type: String },
+      reason: { type: String, maxlength: 500 },
+      outstandingBefore: { type: Number },
+      creditLimit: { type: Number },
+      approvedAt: { type: Date }
+    },
+
+    // Stock lots drawn FIFO and their cost; sales made before lot tracking have neither.
+    lots: { type: [lotAllocationSchema], default: undefined },
+    costOfGoodsSold: { type: Number, min: 0 },
+
+    // Running totals of customer returns. Returns take kg off lots (what the buyer still holds)
+    // and, for credit sales, refunds off amountDue. Reports take refunds and restocked cost from
+    // the returns themselves, by the date they were recorded.
+    returnedKg: { type: Number, min: 0 },
+    returnedAmount: { type: Number, min: 0 },
 
     buyerName: {
       type: String,
@@ -80,12 +164,13 @@ const saleSchema = new mongoose.Schema(
       match: phoneRegex
     },
 
-    salesAgentName: {
-      type: String,
-      required: true,
-      minlength: 2,
-      match: alphaNumericWithSpaces
-    },
+    // Authenticated user who recorded the sale and their display name. Cash sales count toward
+    // their till for the sale date, and a sales agent can only change sales they recorded.
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    recordedByName: { type: String },
+    // Kept for older clients: the free-text name sales used to carry, now a copy of recordedByName.
+    // Sales the agent backfill could not match to a user only have this.
+    salesAgentName: { type: String, trim: true },
     dueDate: {
       type: Date,
       required: function requiredDueDate() {
@@ -115,4 +200,18 @@ const saleSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+saleSchema.index({ customer: 1, createdAt: -1 });
+saleSchema.index({ recordedBy: 1, saleType: 1, date: 1 });
+saleSchema.index({ "lots.lot": 1 });
+saleSchema.index({ "items.lots.lot": 1 });
+saleSchema.index({ status: 1, branch: 1, voidedAt: -1 });
+saleSchema.index(
+  { documentNumber: 1 },
+  { unique: true, partialFilterExpression: { documentNumber: { $exists: true } } }
+);
+saleSchema.index(
+  { branch: 1, receiptNumber: 1 },
+  { unique: true, partialFilterExpression: { receiptNumber: { $exists: true } } }
+);
+
 module.exports = mongoose.model("Sale", saleSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+const { catalogProduceValidator } = require("../utils/produceCatalog");
+const { branchValidator } = require("../utils/branchRegistry");
+
+const ADJUSTMENT_REASONS = ["Spoilage", "Pest damage", "Moisture loss", "Recount", "Theft"];
+const ADJUSTMENT_STATUSES = ["PendingApproval", "Applied", "Rejected"];
+
+const lotAllocationSchema = new mongoose.Schema(
+  {
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot", required: true },
+    quantityKg: { type: Number, required: true, min: 0 },
+    unitCost: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const stockAdjustmentSchema = new mongoose.Schema(
+  {
+    inventory: { type: mongoose.Schema.Types.ObjectId, ref: "Inventory", required: true },
+    produceName: { type: String, required: true, validate: catalogProduceValidator },
+    produceType: { type: String, required: true },
+    branch: { type: String, validate: branchValidator, required: true },
+    adjustmentKg: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: (value) => value !== 0,
+        message: "adjustmentKg cannot be zero"
+      }
+    },
+    reason: { type: String, enum: ADJUSTMENT_REASONS, required: true },
+    notes: { type: String, maxlength: 500 },
+    status: { type: String, enum: ADJUSTMENT_STATUSES, required: true },
+    // Latest procurement cost per kg at request time; once a loss is applied, unitCost and
+    // lossValue are re-valued from the lots it was drawn from.
+    unitCost: { type: Number, min: 0, default: 0 },
+    lossValue: { type: Number, min: 0, default: 0 },
+    // Losses draw FIFO unless the manager names the lot being written off, e.g. a recalled batch.
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot" },
+    lots: { type: [lotAllocationSchema], default: undefined },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    requestedByName: { type: String, required: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedByName: { type: String },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, maxlength: 500 },
+    appliedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+stockAdjustmentSchema.index({ branch: 1, status: 1, createdAt: -1 });
+stockAdjustmentSchema.index({ "lots.lot": 1 });
+
+module.exports = mongoose.model("StockAdjustment", stockAdjustmentSchema);
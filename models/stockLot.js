@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Opening lots hold stock that predates lot tracking, valued at the latest procurement cost.
+const LOT_SOURCE_TYPES = ["Procurement", "Transfer", "Adjustment", "Opening"];
+
+const stockLotSchema = new mongoose.Schema(
+  {
+    inventory: { type: mongoose.Schema.Types.ObjectId, ref: "Inventory", required: true },
+    produceName: { type: String, required: true },
+    produceType: { type: String, required: true },
+    branch: { type: String, required: true },
+    sourceType: { type: String, enum: LOT_SOURCE_TYPES, required: true },
+    sourceId: { type: mongoose.Schema.Types.ObjectId },
+    supplier: { type: mongoose.Schema.Types.ObjectId, ref: "Supplier" },
+    // Lots a transferred batch was drawn from at the sending branch.
+    originLots: [{ type: mongoose.Schema.Types.ObjectId, ref: "StockLot" }],
+    quantityKg: { type: Number, required: true, min: 0 },
+    remainingKg: { type: Number, required: true, min: 0 },
+    unitCost: { type: Number, required: true, min: 0, default: 0 },
+    receivedAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+// FIFO draws scan open lots of one inventory key oldest first.
+stockLotSchema.index({ produceName: 1, produceType: 1, branch: 1, receivedAt: 1 });
+stockLotSchema.index({ sourceType: 1, sourceId: 1 });
+stockLotSchema.index({ supplier: 1, receivedAt: -1 });
+
+module.exports = mongoose.model("StockLot", stockLotSchema);
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+const STOCK_MOVEMENT_TYPES = [
+  "ProcurementCreate",
+  "ProcurementUpdate",
+  "ProcurementDelete",
+  "SaleCreate",
+  "SaleUpdate",
+  "SaleDelete",
+  "SaleVoid",
+  "SaleReturn",
+  "Adjustment",
+  "TransferOut",
+  "TransferIn",
+  "TransferCancel"
+];
+const STOCK_SOURCE_TYPES = ["Procurement", "Sale", "Adjustment", "Transfer"];
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    inventory: { type: mongoose.Schema.Types.ObjectId, ref: "Inventory", required: true },
+    produceName: { type: String, required: true },
+    produceType: { type: String, required: true },
+    branch: { type: String, required: true },
+    movementType: { type: String, enum: STOCK_MOVEMENT_TYPES, required: true },
+    quantityBeforeKg: { type: Number, required: true },
+    quantityAfterKg: { type: Number, required: true },
+    deltaKg: { type: Number, required: true },
+    sourceType: { type: String, enum: STOCK_SOURCE_TYPES, required: true },
+    sourceId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    performedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    performedByName: { type: String },
+    note: { type: String }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockMovementSchema.index({ inventory: 1, createdAt: 1 });
+stockMovementSchema.index({ sourceType: 1, sourceId: 1 });
+
+// Movements are an append-only ledger: block every update/delete path exposed by mongoose.
+const rejectMutation = function rejectMutation() {
+  throw new Error("Stock movements are append-only and cannot be modified");
+};
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete"
+].forEach((operation) => {
+  stockMovementSchema.pre(operation, rejectMutation);
+});
+
+stockMovementSchema.pre("save", function preventResave() {
+  if (!this.isNew) {
+    throw new Error("Stock movements are append-only and cannot be modified");
+  }
+});
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { catalogProduceValidator } = require("../utils/produceCatalog");
+const { branchValidator } = require("../utils/branchRegistry");
+
+const TRANSFER_STATUSES = ["InTransit", "Received", "Cancelled"];
+
+const lotAllocationSchema = new mongoose.Schema(
+  {
+    lot: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot", required: true },
+    quantityKg: { type: Number, required: true, min: 0 },
+    unitCost: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const stockTransferSchema = new mongoose.Schema(
+  {
+    // Staff-facing reference such as MAG-T-2026-000007, numbered by the sending branch.
+    documentNumber: { type: String },
+    produceName: { type: String, required: true, validate: catalogProduceValidator },
+    produceType: { type: String, required: true },
+    fromBranch: { type: String, validate: branchValidator, required: true },
+    toBranch: {
+      type: String,
+      required: true,
+      validate: [
+        branchValidator,
+        {
+          validator: function differentBranch(value) {
+            return value !== this.fromBranch;
+          },
+          message: "toBranch must differ from fromBranch"
+        }
+      ]
+    },
+    quantityKg: { type: Number, required: true, min: 1 },
+    // Sending-branch lots the load was drawn from; they are restored if the transfer is cancelled.
+    lots: { type: [lotAllocationSchema], default: undefined },
+    // Weighed on arrival; may differ from quantityKg because of handling losses or moisture.
+    receivedKg: { type: Number, min: 0 },
+    varianceKg: { type: Number },
+    // Sender's selling price, used only when the receiving branch has no record for this produce yet.
+    sellingPrice: { type: Number, required: true, min: 1 },
+    status: { type: String, enum: TRANSFER_STATUSES, required: true, default: "InTransit" },
+    notes: { type: String, maxlength: 500 },
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    sentByName: { type: String, required: true },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    receivedByName: { type: String },
+    receivedAt: { type: Date },
+    receiptNotes: { type: String, maxlength: 500 },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelledAt: { type: Date },
+    cancelReason: { type: String, maxlength: 500 }
+  },
+  { timestamps: true }
+);
+
+stockTransferSchema.index({ fromBranch: 1, status: 1, createdAt: -1 });
+stockTransferSchema.index({ toBranch: 1, status: 1, createdAt: -1 });
+stockTransferSchema.index({ "lots.lot": 1 });
+stockTransferSchema.index(
+  { documentNumber: 1 },
+  { unique: true, partialFilterExpression: { documentNumber: { $exists: true } } }
+);
+
+module.exports = mongoose.model("StockTransfer", stockTransferSchema);
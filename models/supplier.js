@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+const PROCUREMENT_SOURCE_TYPES = ["IndividualDealer", "Company", "Farm"];
+const alphaNumericWithSpaces = /^[a-zA-Z0-9 ]+$/;
+const ninRegex = /^(CM|CF)[A-Z0-9]{12}$/i;
+const phoneRegex = /^\+?[0-9]{10,15}$/;
+
+const supplierSchema = new mongoose.Schema(
+  {
+    supplierType: { type: String, enum: PROCUREMENT_SOURCE_TYPES, required: true },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      minlength: 2,
+      match: alphaNumericWithSpaces
+    },
+    phone: { type: String, required: true, trim: true, match: phoneRegex },
+    location: { type: String, trim: true, maxlength: 200 },
+    nin: {
+      type: String,
+      uppercase: true,
+      match: ninRegex,
+      required: function requiredNin() {
+        return this.supplierType === "IndividualDealer";
+      }
+    },
+    registrationNumber: {
+      type: String,
+      trim: true,
+      required: function requiredRegistrationNumber() {
+        return this.supplierType === "Company";
+      }
+    },
+    active: { type: Boolean, default: true }
+  },
+  { timestamps: true }
+);
+
+// Case-insensitive uniqueness stops the same dealer being registered under different casing.
+supplierSchema.index(
+  { supplierType: 1, name: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+
+module.exports = mongoose.model("Supplier", supplierSchema);
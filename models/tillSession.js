@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const { branchValidator } = require("../utils/branchRegistry");
+
+// Open while the user is selling; Closed once the counted cash is entered; SignedOff after the
+// branch manager (or Director) reviews the count.
+const TILL_STATUSES = ["Open", "Closed", "SignedOff"];
+
+const tillSessionSchema = new mongoose.Schema(
+  {
+    agent: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    agentName: { type: String, required: true },
+    branch: { type: String, validate: branchValidator, required: true },
+    // Midnight UTC of the trading day; cash sales dated that day belong to this till.
+    businessDate: { type: Date, required: true },
+    openingFloat: { type: Number, required: true, min: 0 },
+    status: { type: String, enum: TILL_STATUSES, required: true, default: "Open" },
+
+    // Fixed when the till is closed: float plus the day's cash sales less the cash refunded for
+    // returns, against the cash counted.
+    cashSalesCount: { type: Number, min: 0 },
+    cashSalesTotal: { type: Number, min: 0 },
+    cashRefundsCount: { type: Number, min: 0 },
+    cashRefundsTotal: { type: Number, min: 0 },
+    expectedCash: { type: Number },
+    countedCash: { type: Number, min: 0 },
+    variance: { type: Number },
+    closedAt: { type: Date },
+    closeNote: { type: String, maxlength: 500 },
+
+    signedOffBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    signedOffByName: { type: String },
+    signedOffAt: { type: Date },
+    signOffNote: { type: String, maxlength: 500 }
+  },
+  { timestamps: true }
+);
+
+tillSessionSchema.index({ agent: 1, businessDate: 1 }, { unique: true });
+tillSessionSchema.index({ branch: 1, businessDate: -1, status: 1 });
+
+module.exports = mongoose.model("TillSession", tillSessionSchema);
@@ -1,5 +1,5 @@
 const mongoose = require("mongoose");
-const BRANCHES = ["Maganjo", "Matugga"];
+const { branchValidator } = require("../utils/branchRegistry");
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true },
@@ -7,7 +7,7 @@ const userSchema = new mongoose.Schema({
   password: { type: String, required: true },
   branch: {
     type: String,
-    enum: BRANCHES,
+    validate: branchValidator,
     required: function requiredBranch() {
       return this.role === "Manager" || this.role === "SalesAgent";
     }
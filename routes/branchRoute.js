@@ -0,0 +1,273 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const auth = require("../middleware/authMiddleware");
+const role = require("../middleware/roleMiddleware");
+const {
+  listBranches,
+  getBranchById,
+  createBranch,
+  updateBranchById,
+  deleteBranchById
+} = require("../controllers/branchController");
+
+const router = express.Router();
+const branchNamePattern = /^[A-Za-z][A-Za-z ]*$/;
+const phoneRegex = /^\+?[0-9]{10,15}$/;
+const branchCodePattern = /^[A-Za-z]{2,5}$/;
+
+const branchSettingsValidators = [
+  body("code")
+    .optional()
+    .trim()
+    .matches(branchCodePattern)
+    .withMessage("code must be 2 to 5 letters"),
+  body("address")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage("address must be between 2 and 200 characters"),
+  body("contact")
+    .optional()
+    .trim()
+    .matches(phoneRegex)
+    .withMessage("contact must be a valid phone number"),
+  body("openingDate")
+    .optional()
+    .isISO8601()
+    .withMessage("openingDate must be a valid date"),
+  body("active")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("active must be true or false"),
+  body("ownFarm")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("ownFarm must be true or false"),
+  body("minimumStaff.Manager")
+    .optional()
+    .isInt({ min: 0, max: 1 })
+    .withMessage("minimumStaff.Manager must be 0 or 1"),
+  body("minimumStaff.SalesAgent")
+    .optional()
+    .isInt({ min: 0, max: 2 })
+    .withMessage("minimumStaff.SalesAgent must be 0, 1 or 2")
+];
+
+/**
+ * @swagger
+ * /branches:
+ *   get:
+ *     summary: List branches (any authenticated role)
+ *     tags:
+ *       - Branches
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Branches returned
+ *       401:
+ *         description: Missing or invalid token
+ */
+router.get(
+  "/",
+  auth,
+  [
+    query("active")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("active must be true or false")
+  ],
+  listBranches
+);
+
+/**
+ * @swagger
+ * /branches/{id}:
+ *   get:
+ *     summary: Get branch by id (any authenticated role)
+ *     tags:
+ *       - Branches
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Branch returned
+ *       404:
+ *         description: Branch not found
+ */
+router.get(
+  "/:id",
+  auth,
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  getBranchById
+);
+
+/**
+ * @swagger
+ * /branches:
+ *   post:
+ *     summary: Open a new branch (Director only)
+ *     description: Staff the branch afterwards by creating its manager through POST /users.
+ *     tags:
+ *       - Branches
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Kasangati
+ *               code:
+ *                 type: string
+ *                 description: Document number prefix; defaults to the first three letters of the name
+ *                 example: KAS
+ *               address:
+ *                 type: string
+ *               contact:
+ *                 type: string
+ *                 example: "+256700000000"
+ *               openingDate:
+ *                 type: string
+ *                 format: date
+ *               active:
+ *                 type: boolean
+ *               ownFarm:
+ *                 type: boolean
+ *                 description: Allows the branch as sourceName for Farm procurements
+ *               minimumStaff:
+ *                 type: object
+ *                 description: Fewest staff the branch must keep; roles left out use the defaults (1 manager, 2 sales agents)
+ *                 properties:
+ *                   Manager:
+ *                     type: integer
+ *                     enum: [0, 1]
+ *                   SalesAgent:
+ *                     type: integer
+ *                     enum: [0, 1, 2]
+ *     responses:
+ *       201:
+ *         description: Branch created
+ *       400:
+ *         description: Validation error, duplicate name or code in use
+ *       403:
+ *         description: Director role required
+ */
+router.post(
+  "/",
+  auth,
+  role("Director"),
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage("name must have at least 2 characters")
+      .matches(branchNamePattern)
+      .withMessage("name must be alphabetic"),
+    ...branchSettingsValidators
+  ],
+  createBranch
+);
+
+/**
+ * @swagger
+ * /branches/{id}:
+ *   patch:
+ *     summary: Update branch details (Director only)
+ *     description: Setting active to false blocks new sales, procurement, inbound transfers and staff assignments; history stays readable.
+ *     tags:
+ *       - Branches
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Can only be set on a branch that has no code yet
+ *               address:
+ *                 type: string
+ *               contact:
+ *                 type: string
+ *               openingDate:
+ *                 type: string
+ *                 format: date
+ *               active:
+ *                 type: boolean
+ *               ownFarm:
+ *                 type: boolean
+ *               minimumStaff:
+ *                 type: object
+ *                 description: Fewest staff the branch must keep; roles left out use the defaults (1 manager, 2 sales agents)
+ *                 properties:
+ *                   Manager:
+ *                     type: integer
+ *                     enum: [0, 1]
+ *                   SalesAgent:
+ *                     type: integer
+ *                     enum: [0, 1, 2]
+ *     responses:
+ *       200:
+ *         description: Branch updated
+ *       400:
+ *         description: Validation error, attempt to rename or change the code, or code in use
+ *       404:
+ *         description: Branch not found
+ */
+router.patch(
+  "/:id",
+  auth,
+  role("Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id"), ...branchSettingsValidators],
+  updateBranchById
+);
+
+/**
+ * @swagger
+ * /branches/{id}:
+ *   delete:
+ *     summary: Delete an unused branch (Director only)
+ *     tags:
+ *       - Branches
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Branch deleted
+ *       404:
+ *         description: Branch not found
+ *       409:
+ *         description: Branch has staff or trading history
+ */
+router.delete(
+  "/:id",
+  auth,
+  role("Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  deleteBranchById
+);
+
+module.exports = router;
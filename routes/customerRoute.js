@@ -0,0 +1,442 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const auth = require("../middleware/authMiddleware");
+const role = require("../middleware/roleMiddleware");
+const {
+  addContractPrice,
+  updateContractPrice,
+  listCustomers,
+  getCustomerById,
+  createCustomer,
+  updateCustomerById,
+  getCustomerHistory
+} = require("../controllers/customerController");
+const { assertBranch } = require("../utils/branchRegistry");
+const { assertCatalogProduce } = require("../utils/produceCatalog");
+
+const router = express.Router();
+const alphaNumericWithSpaces = /^[a-zA-Z0-9 ]+$/;
+const ninRegex = /^(CM|CF)[A-Z0-9]{12}$/i;
+const phoneRegex = /^\+?[0-9]{10,15}$/;
+const lettersAndSpaces = /^[A-Za-z ]+$/;
+
+const customerDetailValidators = [
+  body("location")
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage("location must have at least 2 characters")
+    .matches(alphaNumericWithSpaces)
+    .withMessage("location must be alphanumeric"),
+  body("contact")
+    .optional()
+    .trim()
+    .matches(phoneRegex)
+    .withMessage("contact must be a valid phone number"),
+  body("creditLimit")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("creditLimit must be 0 or greater"),
+  body("creditHold")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("creditHold must be true or false"),
+  body("holdReason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("holdReason must be at most 500 characters")
+];
+
+/**
+ * @swagger
+ * /customers:
+ *   get:
+ *     summary: List registered buyers (Manager, Sales Agent, Director)
+ *     tags:
+ *       - Customers
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Case-insensitive match on name or nationalId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: creditHold
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Customers returned
+ */
+router.get(
+  "/",
+  auth,
+  role("Manager", "SalesAgent", "Director"),
+  [
+    query("search")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("search must be at most 100 characters"),
+    query("creditHold")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("creditHold must be true or false")
+  ],
+  listCustomers
+);
+
+/**
+ * @swagger
+ * /customers/{id}:
+ *   get:
+ *     summary: Get customer by id (Manager, Sales Agent, Director)
+ *     tags:
+ *       - Customers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Customer returned
+ *       404:
+ *         description: Customer not found
+ */
+router.get(
+  "/:id",
+  auth,
+  role("Manager", "SalesAgent", "Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  getCustomerById
+);
+
+/**
+ * @swagger
+ * /customers/{id}/history:
+ *   get:
+ *     summary: Customer purchase and credit history (Manager, Sales Agent, Director)
+ *     description: Credit exposure covers all branches; sales and repayments are limited to the caller's branch unless the caller is Director.
+ *     tags:
+ *       - Customers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         description: Director only
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Credit summary, sales and repayments returned
+ *       404:
+ *         description: Customer not found
+ */
+router.get(
+  "/:id/history",
+  auth,
+  role("Manager", "SalesAgent", "Director"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value)),
+    query("startDate").optional().isISO8601().withMessage("startDate must be a valid date"),
+    query("endDate").optional().isISO8601().withMessage("endDate must be a valid date")
+  ],
+  getCustomerHistory
+);
+
+/**
+ * @swagger
+ * /customers:
+ *   post:
+ *     summary: Register a buyer ahead of their first credit sale (Manager, Director)
+ *     tags:
+ *       - Customers
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - nationalId
+ *               - name
+ *             properties:
+ *               nationalId:
+ *                 type: string
+ *                 example: CF1234567890AB
+ *               name:
+ *                 type: string
+ *                 example: Buyer45
+ *               location:
+ *                 type: string
+ *               contact:
+ *                 type: string
+ *                 example: "+256701234567"
+ *               creditLimit:
+ *                 type: number
+ *                 description: Defaults to CUSTOMER_DEFAULT_CREDIT_LIMIT
+ *               creditHold:
+ *                 type: boolean
+ *               holdReason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Customer registered
+ *       400:
+ *         description: Validation error or duplicate nationalId
+ */
+router.post(
+  "/",
+  auth,
+  role("Manager", "Director"),
+  [
+    body("nationalId")
+      .trim()
+      .matches(ninRegex)
+      .withMessage("nationalId must be a valid NIN format"),
+    body("name")
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage("name must have at least 2 characters")
+      .matches(alphaNumericWithSpaces)
+      .withMessage("name must be alphanumeric"),
+    ...customerDetailValidators
+  ],
+  createCustomer
+);
+
+/**
+ * @swagger
+ * /customers/{id}:
+ *   patch:
+ *     summary: Update customer details, credit limit or credit hold (Manager, Director)
+ *     tags:
+ *       - Customers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               contact:
+ *                 type: string
+ *               creditLimit:
+ *                 type: number
+ *               creditHold:
+ *                 type: boolean
+ *               holdReason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Customer updated
+ *       400:
+ *         description: Validation error or attempt to change nationalId
+ *       404:
+ *         description: Customer not found
+ */
+router.patch(
+  "/:id",
+  auth,
+  role("Manager", "Director"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage("name must have at least 2 characters")
+      .matches(alphaNumericWithSpaces)
+      .withMessage("name must be alphanumeric"),
+    ...customerDetailValidators
+  ],
+  updateCustomerById
+);
+
+const contractTermValidators = [
+  body("validFrom").optional().isISO8601().withMessage("validFrom must be a valid date"),
+  body("validTo").optional().isISO8601().withMessage("validTo must be a valid date"),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("note must be at most 500 characters")
+];
+
+/**
+ * @swagger
+ * /customers/{id}/contract-prices:
+ *   post:
+ *     summary: Agree a contract price per kg with a buyer (Manager, Director)
+ *     description: >
+ *       Sales to this buyer are charged the contract price while it is active and in its validity
+ *       window, unless the selling price or a quantity tier is lower. Managers agree prices for
+ *       their own branch; the Director may omit branch to cover every branch. Prices below the
+ *       latest procurement cost per kg can only be agreed by the Director.
+ *     tags:
+ *       - Customers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - produceName
+ *               - produceType
+ *               - unitPrice
+ *             properties:
+ *               produceName:
+ *                 type: string
+ *               produceType:
+ *                 type: string
+ *               branch:
+ *                 type: string
+ *               unitPrice:
+ *                 type: number
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *               validTo:
+ *                 type: string
+ *                 format: date
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Contract price added
+ *       400:
+ *         description: Validation error, invalid period or below the catalog minimum
+ *       403:
+ *         description: Other branch, or below-cost price agreed by a Manager
+ *       404:
+ *         description: Customer not found
+ */
+router.post(
+  "/:id/contract-prices",
+  auth,
+  role("Manager", "Director"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("produceName")
+      .trim()
+      .custom((value) => assertCatalogProduce(value)),
+    body("produceType")
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage("produceType must have at least 2 characters")
+      .matches(lettersAndSpaces)
+      .withMessage("produceType must be alphabetic"),
+    body("branch")
+      .optional()
+      .custom((value) => assertBranch(value)),
+    body("unitPrice").isFloat({ min: 1 }).withMessage("unitPrice must be greater than 0"),
+    ...contractTermValidators
+  ],
+  addContractPrice
+);
+
+/**
+ * @swagger
+ * /customers/{id}/contract-prices/{contractId}:
+ *   patch:
+ *     summary: Change or end a buyer's contract price (Manager of the branch, Director)
+ *     tags:
+ *       - Customers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: contractId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               unitPrice:
+ *                 type: number
+ *               validFrom:
+ *                 type: string
+ *                 format: date
+ *               validTo:
+ *                 type: string
+ *                 format: date
+ *               active:
+ *                 type: boolean
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contract price updated
+ *       400:
+ *         description: Validation error, invalid period or below the catalog minimum
+ *       403:
+ *         description: Other branch, company-wide contract, or below-cost price set by a Manager
+ *       404:
+ *         description: Customer or contract price not found
+ */
+router.patch(
+  "/:id/contract-prices/:contractId",
+  auth,
+  role("Manager", "Director"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    param("contractId").isMongoId().withMessage("contractId must be a valid Mongo id"),
+    body("unitPrice")
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage("unitPrice must be greater than 0"),
+    ...contractTermValidators,
+    body("active")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("active must be true or false")
+  ],
+  updateContractPrice
+);
+
+module.exports = router;
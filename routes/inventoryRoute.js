@@ -0,0 +1,911 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const auth = require("../middleware/authMiddleware");
+const role = require("../middleware/roleMiddleware");
+const {
+  listInventory,
+  getInventoryById,
+  listInventoryMovements,
+  getInventoryBranchReport,
+  listStockLots,
+  getStockLotTrace
+} = require("../controllers/inventoryController");
+const {
+  createStockAdjustment,
+  listStockAdjustments,
+  approveStockAdjustment,
+  rejectStockAdjustment,
+  getAdjustmentLossReport
+} = require("../controllers/adjustmentController");
+const {
+  setSellingPrice,
+  setPriceTiers,
+  listPriceHistory,
+  listPriceChanges,
+  approvePriceChange,
+  rejectPriceChange,
+  cancelPriceChange
+} = require("../controllers/priceController");
+const { assertCatalogProduce } = require("../utils/produceCatalog");
+const { assertBranch } = require("../utils/branchRegistry");
+
+const router = express.Router();
+const lettersAndSpaces = /^[A-Za-z ]+$/;
+const ADJUSTMENT_REASONS = ["Spoilage", "Pest damage", "Moisture loss", "Recount", "Theft"];
+const ADJUSTMENT_STATUSES = ["PendingApproval", "Applied", "Rejected"];
+const LOT_SOURCE_TYPES = ["Procurement", "Transfer", "Adjustment", "Opening"];
+const PRICE_CHANGE_STATUSES = ["PendingApproval", "Scheduled", "Applied", "Rejected", "Cancelled"];
+
+const inventoryFilterValidators = [
+  query("produceName")
+    .optional()
+    .trim()
+    .custom((value) => assertCatalogProduce(value)),
+  query("produceType")
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage("produceType must have at least 2 characters")
+    .matches(lettersAndSpaces)
+    .withMessage("produceType must be alphabetic"),
+  query("lowStock")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("lowStock must be true or false"),
+  query("threshold")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("threshold must be a non-negative number")
+];
+
+/**
+ * @swagger
+ * /inventory/reports/branches:
+ *   get:
+ *     summary: Director-only cross-branch stock view
+ *     description: Groups inventory by branch with total kg and stock value at current selling prices.
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           description: Branch name from the registry (GET /branches)
+ *       - in: query
+ *         name: produceName
+ *         schema:
+ *           type: string
+ *           description: Produce name from the catalog (GET /produce)
+ *       - in: query
+ *         name: produceType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lowStock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: threshold
+ *         description: Low-stock threshold in kg (default 1000)
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Per-branch stock returned
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Director role required
+ */
+router.get(
+  "/reports/branches",
+  auth,
+  role("Director"),
+  [
+    ...inventoryFilterValidators,
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value))
+  ],
+  getInventoryBranchReport
+);
+
+const reviewValidators = [
+  param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("note must be at most 500 characters")
+];
+
+/**
+ * @swagger
+ * /inventory/reports/adjustment-losses:
+ *   get:
+ *     summary: Director-only stock losses from applied adjustments, valued at procurement cost
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           description: Branch name from the registry (GET /branches)
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Loss totals by branch, produce and reason
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Director role required
+ */
+router.get(
+  "/reports/adjustment-losses",
+  auth,
+  role("Director"),
+  [
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value)),
+    query("startDate").optional().isISO8601().withMessage("startDate must be a valid date"),
+    query("endDate").optional().isISO8601().withMessage("endDate must be a valid date")
+  ],
+  getAdjustmentLossReport
+);
+
+/**
+ * @swagger
+ * /inventory/adjustments:
+ *   post:
+ *     summary: Record a manual stock adjustment (Manager only)
+ *     description: >
+ *       Negative adjustmentKg removes stock. Only Recount may increase stock. Adjustments larger
+ *       than ADJUSTMENT_APPROVAL_THRESHOLD_KG (default 100kg) are held for Director approval.
+ *     tags:
+ *       - Inventory
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - produceName
+ *               - produceType
+ *               - adjustmentKg
+ *               - reason
+ *             properties:
+ *               produceName:
+ *                 type: string
+ *                 description: Produce name from the catalog (GET /produce)
+ *               produceType:
+ *                 type: string
+ *                 example: Grain
+ *               adjustmentKg:
+ *                 type: number
+ *                 example: -25
+ *               reason:
+ *                 type: string
+ *                 enum: [Spoilage, Pest damage, Moisture loss, Recount, Theft]
+ *               notes:
+ *                 type: string
+ *               lotId:
+ *                 type: string
+ *                 description: Lot to write a loss off against, e.g. a recalled batch; losses draw the oldest lots otherwise
+ *     responses:
+ *       201:
+ *         description: Adjustment applied to stock
+ *       202:
+ *         description: Adjustment recorded and awaiting Director approval
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Inventory record not found
+ *       409:
+ *         description: Insufficient stock, or current accounting period closed
+ */
+router.post(
+  "/adjustments",
+  auth,
+  role("Manager"),
+  [
+    body("produceName")
+      .trim()
+      .custom((value) => assertCatalogProduce(value)),
+    body("produceType")
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage("produceType must have at least 2 characters")
+      .matches(lettersAndSpaces)
+      .withMessage("produceType must be alphabetic"),
+    body("branch")
+      .optional()
+      .custom((value) => assertBranch(value)),
+    body("adjustmentKg")
+      .isNumeric()
+      .withMessage("adjustmentKg must be numeric")
+      .custom((value) => Number(value) !== 0)
+      .withMessage("adjustmentKg cannot be zero"),
+    body("reason")
+      .isIn(ADJUSTMENT_REASONS)
+      .withMessage("reason must be Spoilage, Pest damage, Moisture loss, Recount, or Theft"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("notes must be at most 500 characters"),
+    body("lotId").optional().isMongoId().withMessage("lotId must be a valid Mongo id"),
+    body().custom((value) => {
+      if (value.reason !== "Recount" && Number(value.adjustmentKg) > 0) {
+        throw new Error("Only Recount adjustments can increase stock");
+      }
+      return true;
+    })
+  ],
+  createStockAdjustment
+);
+
+/**
+ * @swagger
+ * /inventory/adjustments:
+ *   get:
+ *     summary: List stock adjustments (Manager for own branch, Director for all branches)
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PendingApproval, Applied, Rejected]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [Spoilage, Pest damage, Moisture loss, Recount, Theft]
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           description: Branch name from the registry (GET /branches)
+ *     responses:
+ *       200:
+ *         description: Adjustments returned
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/adjustments",
+  auth,
+  role("Manager", "Director"),
+  [
+    query("status")
+      .optional()
+      .isIn(ADJUSTMENT_STATUSES)
+      .withMessage("status must be PendingApproval, Applied, or Rejected"),
+    query("reason")
+      .optional()
+      .isIn(ADJUSTMENT_REASONS)
+      .withMessage("reason must be Spoilage, Pest damage, Moisture loss, Recount, or Theft"),
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value))
+  ],
+  listStockAdjustments
+);
+
+/**
+ * @swagger
+ * /inventory/adjustments/{id}/approve:
+ *   patch:
+ *     summary: Approve a pending stock adjustment and apply it to stock (Director only)
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Adjustment approved and applied
+ *       404:
+ *         description: Adjustment not found
+ *       409:
+ *         description: Adjustment not pending, insufficient stock, or accounting period closed
+ */
+router.patch(
+  "/adjustments/:id/approve",
+  auth,
+  role("Director"),
+  reviewValidators,
+  approveStockAdjustment
+);
+
+/**
+ * @swagger
+ * /inventory/adjustments/{id}/reject:
+ *   patch:
+ *     summary: Reject a pending stock adjustment (Director only)
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Adjustment rejected
+ *       404:
+ *         description: Adjustment not found
+ *       409:
+ *         description: Adjustment not pending
+ */
+router.patch(
+  "/adjustments/:id/reject",
+  auth,
+  role("Director"),
+  reviewValidators,
+  rejectStockAdjustment
+);
+
+/**
+ * @swagger
+ * /inventory/lots:
+ *   get:
+ *     summary: List stock lots (Manager for own branch, Director for all branches)
+ *     description: Each procurement, received transfer and recount is a lot; sales and losses draw from the oldest open lots first.
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           description: Branch name from the registry (GET /branches)
+ *       - in: query
+ *         name: produceName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: produceType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sourceType
+ *         schema:
+ *           type: string
+ *           enum: [Procurement, Transfer, Adjustment, Opening]
+ *       - in: query
+ *         name: open
+ *         description: Only lots with stock remaining
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lots returned, newest first
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/lots",
+  auth,
+  role("Manager", "Director"),
+  [
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value)),
+    query("produceName")
+      .optional()
+      .trim()
+      .custom((value) => assertCatalogProduce(value)),
+    query("produceType")
+      .optional()
+      .trim()
+      .matches(lettersAndSpaces)
+      .withMessage("produceType must be alphabetic"),
+    query("supplierId").optional().isMongoId().withMessage("supplierId must be a valid Mongo id"),
+    query("sourceType")
+      .optional()
+      .isIn(LOT_SOURCE_TYPES)
+      .withMessage("sourceType must be Procurement, Transfer, Adjustment, or Opening"),
+    query("open")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("open must be true or false"),
+    query("limit").optional().isInt({ min: 1 }).withMessage("limit must be a positive integer")
+  ],
+  listStockLots
+);
+
+/**
+ * @swagger
+ * /inventory/lots/{id}/trace:
+ *   get:
+ *     summary: Trace a stock lot back to its supplier and forward to buyers (Manager for own branch, Director)
+ *     description: Lists the sales, transfers and losses that drew from the lot. Use derivedLots to follow stock transferred to other branches.
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lot trace returned
+ *       403:
+ *         description: Lot belongs to another branch
+ *       404:
+ *         description: Stock lot not found
+ */
+router.get(
+  "/lots/:id/trace",
+  auth,
+  role("Manager", "Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  getStockLotTrace
+);
+
+/**
+ * @swagger
+ * /inventory/price-changes:
+ *   get:
+ *     summary: List selling price changes (Manager for own branch, Director for all branches)
+ *     description: Filter by status=PendingApproval for below-cost prices awaiting Director approval.
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PendingApproval, Scheduled, Applied, Rejected, Cancelled]
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           description: Branch name from the registry (GET /branches)
+ *     responses:
+ *       200:
+ *         description: Price changes returned
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/price-changes",
+  auth,
+  role("Manager", "Director"),
+  [
+    query("status")
+      .optional()
+      .isIn(PRICE_CHANGE_STATUSES)
+      .withMessage("status must be PendingApproval, Scheduled, Applied, Rejected, or Cancelled"),
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value))
+  ],
+  listPriceChanges
+);
+
+/**
+ * @swagger
+ * /inventory/price-changes/{id}/approve:
+ *   patch:
+ *     summary: Approve a below-cost selling price (Director only)
+ *     description: The price applies now, or at effectiveFrom if that is still in the future.
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Price change approved
+ *       404:
+ *         description: Price change not found
+ *       409:
+ *         description: Price change is not pending approval
+ */
+router.patch(
+  "/price-changes/:id/approve",
+  auth,
+  role("Director"),
+  reviewValidators,
+  approvePriceChange
+);
+
+/**
+ * @swagger
+ * /inventory/price-changes/{id}/reject:
+ *   patch:
+ *     summary: Reject a below-cost selling price (Director only)
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Price change rejected
+ *       404:
+ *         description: Price change not found
+ *       409:
+ *         description: Price change is not pending approval
+ */
+router.patch(
+  "/price-changes/:id/reject",
+  auth,
+  role("Director"),
+  reviewValidators,
+  rejectPriceChange
+);
+
+/**
+ * @swagger
+ * /inventory/price-changes/{id}/cancel:
+ *   patch:
+ *     summary: Withdraw a pending or scheduled selling price change (Manager of the branch)
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price change cancelled
+ *       404:
+ *         description: Price change not found
+ *       409:
+ *         description: Price change already applied, rejected or cancelled
+ */
+router.patch(
+  "/price-changes/:id/cancel",
+  auth,
+  role("Manager"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  cancelPriceChange
+);
+
+/**
+ * @swagger
+ * /inventory:
+ *   get:
+ *     summary: List stock and selling prices for the assigned branch (Manager or Sales Agent)
+ *     description: Filter by produceName and produceType to look up a single inventory key.
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: query
+ *         name: produceName
+ *         schema:
+ *           type: string
+ *           description: Produce name from the catalog (GET /produce)
+ *       - in: query
+ *         name: produceType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lowStock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: threshold
+ *         description: Low-stock threshold in kg (default 1000)
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Inventory returned
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Access denied
+ */
+router.get("/", auth, role("Manager", "SalesAgent"), inventoryFilterValidators, listInventory);
+
+/**
+ * @swagger
+ * /inventory/{id}:
+ *   get:
+ *     summary: Get inventory record by id (Manager or Sales Agent)
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inventory record returned
+ *       403:
+ *         description: Record belongs to another branch
+ *       404:
+ *         description: Inventory record not found
+ */
+router.get(
+  "/:id",
+  auth,
+  role("Manager", "SalesAgent"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  getInventoryById
+);
+
+/**
+ * @swagger
+ * /inventory/{id}/movements:
+ *   get:
+ *     summary: Stock movement history for an inventory key (Manager or Director)
+ *     description: Append-only ledger of every stock change, newest first. Managers are limited to their branch.
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Movements returned
+ *       403:
+ *         description: Record belongs to another branch
+ *       404:
+ *         description: Inventory record not found
+ */
+router.get(
+  "/:id/movements",
+  auth,
+  role("Manager", "Director"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    query("startDate").optional().isISO8601().withMessage("startDate must be a valid date"),
+    query("endDate").optional().isISO8601().withMessage("endDate must be a valid date"),
+    query("limit").optional().isInt({ min: 1 }).withMessage("limit must be a positive integer")
+  ],
+  listInventoryMovements
+);
+
+/**
+ * @swagger
+ * /inventory/{id}/selling-price:
+ *   patch:
+ *     summary: Set the selling price for an inventory record (Manager of the branch)
+ *     description: >
+ *       Applies immediately unless effectiveFrom is in the future, in which case it is scheduled.
+ *       Prices below the latest procurement cost per kg wait for Director approval. Procurement
+ *       no longer changes the price of an existing inventory record.
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sellingPrice
+ *             properties:
+ *               sellingPrice:
+ *                 type: number
+ *                 example: 3500
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Price applied
+ *       202:
+ *         description: Price scheduled or awaiting Director approval
+ *       400:
+ *         description: Validation error, unchanged price or below the catalog minimum
+ *       403:
+ *         description: Record belongs to another branch
+ *       404:
+ *         description: Inventory record not found
+ */
+router.patch(
+  "/:id/selling-price",
+  auth,
+  role("Manager"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("sellingPrice")
+      .isFloat({ min: 1 })
+      .withMessage("sellingPrice must be greater than 0"),
+    body("effectiveFrom")
+      .optional()
+      .isISO8601()
+      .withMessage("effectiveFrom must be a valid date"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("reason must be at most 500 characters")
+  ],
+  setSellingPrice
+);
+
+/**
+ * @swagger
+ * /inventory/{id}/price-tiers:
+ *   patch:
+ *     summary: Replace the quantity price tiers for an inventory record (Manager of the branch, Director)
+ *     description: >
+ *       A sale reaching a tier's minKg is charged that tier's unitPrice when it is lower than the
+ *       selling price. Tiers below the latest procurement cost per kg can only be set by the
+ *       Director. Send an empty list to remove tiered pricing.
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - priceTiers
+ *             properties:
+ *               priceTiers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     minKg:
+ *                       type: number
+ *                       example: 1000
+ *                     unitPrice:
+ *                       type: number
+ *                       example: 3200
+ *     responses:
+ *       200:
+ *         description: Price tiers saved
+ *       400:
+ *         description: Validation error, duplicate minKg or below the catalog minimum
+ *       403:
+ *         description: Record belongs to another branch or tier below cost set by a Manager
+ *       404:
+ *         description: Inventory record not found
+ */
+router.patch(
+  "/:id/price-tiers",
+  auth,
+  role("Manager", "Director"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("priceTiers").isArray({ max: 20 }).withMessage("priceTiers must be a list of up to 20"),
+    body("priceTiers.*.minKg").isFloat({ min: 1 }).withMessage("minKg must be at least 1"),
+    body("priceTiers.*.unitPrice")
+      .isFloat({ min: 1 })
+      .withMessage("unitPrice must be greater than 0")
+  ],
+  setPriceTiers
+);
+
+/**
+ * @swagger
+ * /inventory/{id}/price-history:
+ *   get:
+ *     summary: Selling price history for an inventory record, newest first (Manager, Sales Agent, Director)
+ *     tags:
+ *       - Inventory
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current price and history returned
+ *       403:
+ *         description: Record belongs to another branch
+ *       404:
+ *         description: Inventory record not found
+ */
+router.get(
+  "/:id/price-history",
+  auth,
+  role("Manager", "SalesAgent", "Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  listPriceHistory
+);
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const auth = require("../middleware/authMiddleware");
+const role = require("../middleware/roleMiddleware");
+const {
+  listAccountingPeriods,
+  closeAccountingPeriod,
+  reopenAccountingPeriod
+} = require("../controllers/periodController");
+const { assertBranch } = require("../utils/branchRegistry");
+
+const router = express.Router();
+const PERIOD_STATUSES = ["Closed", "Reopened"];
+const monthPattern = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * @swagger
+ * /accounting-periods:
+ *   get:
+ *     summary: List closed and reopened accounting periods (Director; Manager for own branch)
+ *     tags:
+ *       - Accounting Periods
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Closed, Reopened]
+ *     responses:
+ *       200:
+ *         description: Periods with their close/reopen history, newest month first
+ */
+router.get(
+  "/",
+  auth,
+  role("Director", "Manager"),
+  [
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value)),
+    query("status")
+      .optional()
+      .isIn(PERIOD_STATUSES)
+      .withMessage(`status must be one of ${PERIOD_STATUSES.join(", ")}`)
+  ],
+  listAccountingPeriods
+);
+
+/**
+ * @swagger
+ * /accounting-periods:
+ *   post:
+ *     summary: Close a month for a branch (Director only)
+ *     description: Sales, procurements, sale returns and stock adjustments dated in a closed month cannot be created, changed, voided or deleted. Also closes a reopened month again.
+ *     tags:
+ *       - Accounting Periods
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - branch
+ *               - month
+ *             properties:
+ *               branch:
+ *                 type: string
+ *                 example: Maganjo
+ *               month:
+ *                 type: string
+ *                 example: 2026-09
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Period closed
+ *       400:
+ *         description: Validation error or month not started
+ *       409:
+ *         description: Period is already closed
+ */
+router.post(
+  "/",
+  auth,
+  role("Director"),
+  [
+    body("branch").custom((value) => assertBranch(value)),
+    body("month")
+      .matches(monthPattern)
+      .withMessage("month must be in YYYY-MM format"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("reason must be at most 500 characters")
+  ],
+  closeAccountingPeriod
+);
+
+/**
+ * @swagger
+ * /accounting-periods/{id}/reopen:
+ *   patch:
+ *     summary: Reopen a closed period (Director only)
+ *     description: The reason, user and time are added to the period history.
+ *     tags:
+ *       - Accounting Periods
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Correct misdated procurement
+ *     responses:
+ *       200:
+ *         description: Period reopened
+ *       404:
+ *         description: Accounting period not found
+ *       409:
+ *         description: Period is not closed
+ */
+router.patch(
+  "/:id/reopen",
+  auth,
+  role("Director"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("reason")
+      .trim()
+      .isLength({ min: 2, max: 500 })
+      .withMessage("reason must be between 2 and 500 characters")
+  ],
+  reopenAccountingPeriod
+);
+
+module.exports = router;
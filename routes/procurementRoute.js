@@ -5,33 +5,30 @@ const role = require("../middleware/roleMiddleware");
 const {
   listProcurements,
   getProcurementById,
+  getProcurementByNumber,
   createProcurement,
   updateProcurementById,
   deleteProcurementById
 } = require("../controllers/procurementController");
-const { validateProcurementSource } = require("../utils/procurementSourceRule");
+const {
+  assertCatalogProduce,
+  assertAllowedProduceType,
+  assertMinimumSellingPrice
+} = require("../utils/produceCatalog");
+const { assertBranch } = require("../utils/branchRegistry");
+const { documentNumberPattern } = require("../utils/documentNumbers");
 
 const router = express.Router();
-const PRODUCE_CATALOG = ["Beans", "Grain Maize", "Cow peas", "G-nuts", "Soybeans"];
-const BRANCHES = ["Maganjo", "Matugga"];
-const PROCUREMENT_SOURCE_TYPES = ["IndividualDealer", "Company", "Farm"];
-const alphaNumericWithSpaces = /^[a-zA-Z0-9 ]+$/;
 const lettersAndSpaces = /^[A-Za-z ]+$/;
-const phoneRegex = /^\+?[0-9]{10,15}$/;
 const time24h = /^([01]\d|2[0-3]):([0-5]\d)$/;
 
 const procurementCreateValidators = [
-  body().custom((value) => {
-    if (!value.sourceName && !value.dealerName) {
-      throw new Error("sourceName is required");
-    }
-
-    return true;
-  }),
+  body("supplierId")
+    .isMongoId()
+    .withMessage("supplierId must be a valid Mongo id"),
   body("produceName")
     .trim()
-    .isIn(PRODUCE_CATALOG)
-    .withMessage("produceName must be from the approved produce catalog"),
+    .custom((value) => assertCatalogProduce(value, { activeOnly: true })),
   body("produceType")
     .trim()
     .isLength({ min: 2 })
@@ -58,48 +55,15 @@ const procurementCreateValidators = [
     .withMessage("cost must be numeric")
     .isFloat({ min: 10000 })
     .withMessage("cost must be at least 10000"),
-  body("sourceType")
-    .isIn(PROCUREMENT_SOURCE_TYPES)
-    .withMessage("sourceType must be IndividualDealer, Company, or Farm"),
-  body("sourceName")
-    .trim()
-    .optional()
-    .isLength({ min: 2 })
-    .withMessage("sourceName must have at least 2 characters")
-    .matches(alphaNumericWithSpaces)
-    .withMessage("sourceName must be alphanumeric"),
-  body("dealerName")
-    .trim()
-    .optional()
-    .isLength({ min: 2 })
-    .withMessage("dealerName must have at least 2 characters")
-    .matches(alphaNumericWithSpaces)
-    .withMessage("dealerName must be alphanumeric"),
   body("branch")
-    .isIn(BRANCHES)
-    .withMessage("branch must be Maganjo or Matugga"),
-  body("contact")
-    .trim()
-    .matches(phoneRegex)
-    .withMessage("contact must be a valid phone number"),
+    .custom((value) => assertBranch(value, { activeOnly: true })),
   body("sellingPrice")
     .isNumeric()
     .withMessage("sellingPrice must be numeric")
     .isFloat({ min: 1 })
     .withMessage("sellingPrice must be greater than 0"),
-  body().custom((value) => {
-    const sourceName = value.sourceName || value.dealerName;
-    const sourceValidation = validateProcurementSource({
-      sourceType: value.sourceType,
-      sourceName,
-      tonnage: value.tonnage
-    });
-    if (!sourceValidation.valid) {
-      throw new Error(sourceValidation.message);
-    }
-
-    return true;
-  })
+  body().custom((value) => assertAllowedProduceType(value)),
+  body().custom((value) => assertMinimumSellingPrice(value))
 ];
 
 const procurementUpdateValidators = [
@@ -107,8 +71,7 @@ const procurementUpdateValidators = [
   body("produceName")
     .optional()
     .trim()
-    .isIn(PRODUCE_CATALOG)
-    .withMessage("produceName must be from the approved produce catalog"),
+    .custom((value) => assertCatalogProduce(value)),
   body("produceType")
     .optional()
     .trim()
@@ -136,33 +99,13 @@ const procurementUpdateValidators = [
     .withMessage("cost must be numeric")
     .isFloat({ min: 10000 })
     .withMessage("cost must be at least 10000"),
-  body("sourceType")
-    .optional()
-    .isIn(PROCUREMENT_SOURCE_TYPES)
-    .withMessage("sourceType must be IndividualDealer, Company, or Farm"),
-  body("sourceName")
+  body("supplierId")
     .optional()
-    .trim()
-    .isLength({ min: 2 })
-    .withMessage("sourceName must have at least 2 characters")
-    .matches(alphaNumericWithSpaces)
-    .withMessage("sourceName must be alphanumeric"),
-  body("dealerName")
-    .optional()
-    .trim()
-    .isLength({ min: 2 })
-    .withMessage("dealerName must have at least 2 characters")
-    .matches(alphaNumericWithSpaces)
-    .withMessage("dealerName must be alphanumeric"),
+    .isMongoId()
+    .withMessage("supplierId must be a valid Mongo id"),
   body("branch")
     .optional()
-    .isIn(BRANCHES)
-    .withMessage("branch must be Maganjo or Matugga"),
-  body("contact")
-    .optional()
-    .trim()
-    .matches(phoneRegex)
-    .withMessage("contact must be a valid phone number"),
+    .custom((value) => assertBranch(value)),
   body("sellingPrice")
     .optional()
     .isNumeric()
@@ -171,6 +114,12 @@ const procurementUpdateValidators = [
     .withMessage("sellingPrice must be greater than 0")
 ];
 
+const documentNumberValidator = param("documentNumber")
+  .trim()
+  .toUpperCase()
+  .matches(documentNumberPattern)
+  .withMessage("documentNumber must look like MAT-P-2026-000045");
+
 /**
  * @swagger
  * /procurement:
@@ -191,15 +140,13 @@ const procurementUpdateValidators = [
  *               - time
  *               - tonnage
  *               - cost
- *               - sourceType
- *               - sourceName
+ *               - supplierId
  *               - branch
- *               - contact
  *               - sellingPrice
  *             properties:
  *               produceName:
  *                 type: string
- *                 enum: [Beans, Grain Maize, Cow peas, G-nuts, Soybeans]
+ *                 description: Produce name from the catalog (GET /produce)
  *                 example: Beans
  *               produceType:
  *                 type: string
@@ -217,24 +164,16 @@ const procurementUpdateValidators = [
  *               cost:
  *                 type: number
  *                 minimum: 10000
- *               sourceType:
- *                 type: string
- *                 enum: [IndividualDealer, Company, Farm]
- *               sourceName:
- *                 type: string
- *                 example: Dealer12
- *               dealerName:
+ *               supplierId:
  *                 type: string
- *                 description: Backward-compatible alias for sourceName
+ *                 description: Supplier from the registry (GET /suppliers); source type, name and contact are copied from it
  *               branch:
  *                 type: string
- *                 enum: [Maganjo, Matugga]
- *               contact:
- *                 type: string
- *                 example: "+256701234567"
+ *                 description: Branch name from the registry (GET /branches)
  *               sellingPrice:
  *                 type: number
  *                 minimum: 1
+ *                 description: Opening price when this creates the inventory record; existing prices change through PATCH /inventory/{id}/selling-price
  *     responses:
  *       201:
  *         description: Procurement recorded successfully
@@ -244,6 +183,8 @@ const procurementUpdateValidators = [
  *         description: Missing or invalid token
  *       403:
  *         description: Access denied
+ *       409:
+ *         description: Accounting period closed for the procurement date
  */
 router.post(
   "/",
@@ -265,7 +206,7 @@ router.post(
  *         name: branch
  *         schema:
  *           type: string
- *           enum: [Maganjo, Matugga]
+ *           description: Branch name from the registry (GET /branches)
  *     responses:
  *       200:
  *         description: Procurement records returned
@@ -276,6 +217,34 @@ router.post(
  */
 router.get("/", auth, role("Manager"), listProcurements);
 
+/**
+ * @swagger
+ * /procurement/number/{documentNumber}:
+ *   get:
+ *     summary: Get procurement by document number (Manager only)
+ *     tags:
+ *       - Procurement
+ *     parameters:
+ *       - in: path
+ *         name: documentNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: MAT-P-2026-000045
+ *     responses:
+ *       200:
+ *         description: Procurement record returned
+ *       404:
+ *         description: Procurement not found
+ */
+router.get(
+  "/number/:documentNumber",
+  auth,
+  role("Manager"),
+  [documentNumberValidator],
+  getProcurementByNumber
+);
+
 /**
  * @swagger
  * /procurement/{id}:
@@ -325,7 +294,7 @@ router.get(
  *             properties:
  *               produceName:
  *                 type: string
- *                 enum: [Beans, Grain Maize, Cow peas, G-nuts, Soybeans]
+ *                 description: Produce name from the catalog (GET /produce)
  *               produceType:
  *                 type: string
  *               date:
@@ -337,25 +306,22 @@ router.get(
  *                 type: number
  *               cost:
  *                 type: number
- *               sourceType:
- *                 type: string
- *                 enum: [IndividualDealer, Company, Farm]
- *               sourceName:
- *                 type: string
- *               dealerName:
+ *               supplierId:
  *                 type: string
+ *                 description: Switch to another registered supplier
  *               branch:
  *                 type: string
- *                 enum: [Maganjo, Matugga]
- *               contact:
- *                 type: string
+ *                 description: Branch name from the registry (GET /branches)
  *               sellingPrice:
  *                 type: number
+ *                 description: Only prices an inventory record this edit creates
  *     responses:
  *       200:
  *         description: Procurement updated
  *       404:
  *         description: Procurement not found
+ *       409:
+ *         description: Stock already drawn from its lot, or accounting period closed
  */
 router.patch(
   "/:id",
@@ -383,6 +349,8 @@ router.patch(
  *         description: Procurement deleted
  *       404:
  *         description: Procurement not found
+ *       409:
+ *         description: Stock already drawn from its lot, or accounting period closed
  */
 router.delete(
   "/:id",
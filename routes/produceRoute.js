@@ -0,0 +1,207 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const auth = require("../middleware/authMiddleware");
+const role = require("../middleware/roleMiddleware");
+const {
+  listProduce,
+  getProduceById,
+  createProduce,
+  updateProduce
+} = require("../controllers/produceController");
+
+const router = express.Router();
+const produceNamePattern = /^[A-Za-z][A-Za-z -]*$/;
+const lettersAndSpaces = /^[A-Za-z ]+$/;
+
+const produceTypesValidators = [
+  body("produceTypes")
+    .optional()
+    .isArray()
+    .withMessage("produceTypes must be an array"),
+  body("produceTypes.*")
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage("each produceType must have at least 2 characters")
+    .matches(lettersAndSpaces)
+    .withMessage("each produceType must be alphabetic")
+];
+
+const produceSettingsValidators = [
+  ...produceTypesValidators,
+  body("unit")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage("unit must be between 1 and 20 characters"),
+  body("active")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("active must be true or false"),
+  body("minimumSellingPrice")
+    .optional({ values: "null" })
+    .isFloat({ min: 1 })
+    .withMessage("minimumSellingPrice must be greater than 0")
+];
+
+/**
+ * @swagger
+ * /produce:
+ *   get:
+ *     summary: List the produce catalog (any authenticated role)
+ *     tags:
+ *       - Produce
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Catalog returned
+ *       401:
+ *         description: Missing or invalid token
+ */
+router.get(
+  "/",
+  auth,
+  [
+    query("active")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("active must be true or false")
+  ],
+  listProduce
+);
+
+/**
+ * @swagger
+ * /produce/{id}:
+ *   get:
+ *     summary: Get catalog entry by id (any authenticated role)
+ *     tags:
+ *       - Produce
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Catalog entry returned
+ *       404:
+ *         description: Produce not found
+ */
+router.get(
+  "/:id",
+  auth,
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  getProduceById
+);
+
+/**
+ * @swagger
+ * /produce:
+ *   post:
+ *     summary: Add produce to the catalog (Director only)
+ *     tags:
+ *       - Produce
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Sorghum
+ *               produceTypes:
+ *                 type: array
+ *                 description: Allowed produce types; empty allows any alphabetic type
+ *                 items:
+ *                   type: string
+ *                 example: [Red, White]
+ *               unit:
+ *                 type: string
+ *                 example: kg
+ *               active:
+ *                 type: boolean
+ *               minimumSellingPrice:
+ *                 type: number
+ *                 description: Floor for the selling price set on procurement
+ *     responses:
+ *       201:
+ *         description: Produce created
+ *       400:
+ *         description: Validation error or duplicate name
+ *       403:
+ *         description: Director role required
+ */
+router.post(
+  "/",
+  auth,
+  role("Director"),
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage("name must have at least 2 characters")
+      .matches(produceNamePattern)
+      .withMessage("name must be alphabetic"),
+    ...produceSettingsValidators
+  ],
+  createProduce
+);
+
+/**
+ * @swagger
+ * /produce/{id}:
+ *   patch:
+ *     summary: Update catalog entry (Director only)
+ *     description: Setting active to false blocks new procurement and sales; existing records stay readable.
+ *     tags:
+ *       - Produce
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               produceTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               unit:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *               minimumSellingPrice:
+ *                 type: number
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Produce updated
+ *       400:
+ *         description: Validation error or attempt to rename
+ *       404:
+ *         description: Produce not found
+ */
+router.patch(
+  "/:id",
+  auth,
+  role("Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id"), ...produceSettingsValidators],
+  updateProduce
+);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require("express");
-const { body, param } = require("express-validator");
+const { body, param, query } = require("express-validator");
 const auth = require("../middleware/authMiddleware");
 const role = require("../middleware/roleMiddleware");
 const {
@@ -7,19 +7,97 @@ const {
   createCreditSale,
   listSales,
   getSaleById,
+  getSaleByNumber,
+  getSaleReceipt,
   updateSaleById,
-  deleteSaleById,
-  getSalesTotalsReport
+  voidSaleById,
+  listVoidedSales,
+  listOverdueCreditSales,
+  getSalesTotalsReport,
+  getReceivablesAgingReport,
+  getGrossMarginReport
 } = require("../controllers/saleController");
+const {
+  recordSalePayment,
+  listSalePayments,
+  reverseSalePayment
+} = require("../controllers/paymentController");
+const {
+  requestDiscount,
+  listDiscounts,
+  approveDiscount,
+  rejectDiscount
+} = require("../controllers/discountController");
+const { recordSaleReturn, listSaleReturns } = require("../controllers/returnController");
+const { assertCatalogProduce } = require("../utils/produceCatalog");
+const { assertBranch } = require("../utils/branchRegistry");
+const { documentNumberPattern } = require("../utils/documentNumbers");
 
 const router = express.Router();
-const PRODUCE_CATALOG = ["Beans", "Grain Maize", "Cow peas", "G-nuts", "Soybeans"];
-const BRANCHES = ["Maganjo", "Matugga"];
 const alphaNumericWithSpaces = /^[a-zA-Z0-9 ]+$/;
 const lettersAndSpaces = /^[A-Za-z ]+$/;
 const ninRegex = /^(CM|CF)[A-Z0-9]{12}$/i;
 const phoneRegex = /^\+?[0-9]{10,15}$/;
 const time24h = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DISCOUNT_STATUSES = ["Pending", "Approved", "Rejected", "Applied"];
+const RETURN_CONDITIONS = ["Resaleable", "Damaged"];
+const REFUND_SETTLEMENTS = ["CashRefund", "CreditNote"];
+const RECEIPT_FORMATS = ["pdf", "html"];
+const PAYMENT_METHODS = ["Cash", "CreditNote"];
+
+const discountIdValidator = body("discountId")
+  .optional()
+  .isMongoId()
+  .withMessage("discountId must be a valid Mongo id");
+
+const documentNumberValidator = param("documentNumber")
+  .trim()
+  .toUpperCase()
+  .matches(documentNumberPattern)
+  .withMessage("documentNumber must look like MAG-S-2026-000123");
+
+const withoutItems = () => body("items").not().exists();
+
+// Single-item requests name the produce in top-level fields; multi-item requests list items.
+const saleProduceValidators = [
+  body("produceName")
+    .if(withoutItems())
+    .trim()
+    .custom((value) => assertCatalogProduce(value, { activeOnly: true })),
+  body("produceType")
+    .if(withoutItems())
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage("produceType must have at least 2 characters")
+    .matches(lettersAndSpaces)
+    .withMessage("produceType must be alphabetic"),
+  body("tonnage")
+    .if(withoutItems())
+    .isNumeric()
+    .withMessage("tonnage must be numeric")
+    .isFloat({ min: 1 })
+    .withMessage("tonnage must be greater than 0"),
+  body("items")
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage("items must list between 1 and 20 produce items"),
+  body("items.*.produceName")
+    .trim()
+    .custom((value) => assertCatalogProduce(value, { activeOnly: true })),
+  body("items.*.produceType")
+    .optional()
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage("produceType must have at least 2 characters")
+    .matches(lettersAndSpaces)
+    .withMessage("produceType must be alphabetic"),
+  body("items.*.tonnage")
+    .isNumeric()
+    .withMessage("tonnage must be numeric")
+    .isFloat({ min: 1 })
+    .withMessage("tonnage must be greater than 0")
+];
 
 const saleUpdateValidators = [
   param("id").isMongoId().withMessage("id must be a valid Mongo id"),
@@ -30,8 +108,7 @@ const saleUpdateValidators = [
   body("produceName")
     .optional()
     .trim()
-    .isIn(PRODUCE_CATALOG)
-    .withMessage("produceName must be from the approved produce catalog"),
+    .custom((value) => assertCatalogProduce(value)),
   body("produceType")
     .optional()
     .trim()
@@ -41,8 +118,7 @@ const saleUpdateValidators = [
     .withMessage("produceType must be alphabetic"),
   body("branch")
     .optional()
-    .isIn(BRANCHES)
-    .withMessage("branch must be Maganjo or Matugga"),
+    .custom((value) => assertBranch(value)),
   body("tonnage")
     .optional()
     .isNumeric()
@@ -83,6 +159,11 @@ const saleUpdateValidators = [
     .optional()
     .matches(time24h)
     .withMessage("time must be in HH:mm format"),
+  body("creditLimitOverrideReason")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage("creditLimitOverrideReason must be between 2 and 500 characters"),
   body("nationalId")
     .optional()
     .trim()
@@ -120,6 +201,7 @@ const saleUpdateValidators = [
  * /sales/cash:
  *   post:
  *     summary: Record cash sale
+ *     description: amountPaid must equal tonnage times the applicable per-kg price, the lowest of the inventory selling price, the quantity tier reached and the buyer's contract price, less any approved discount. A multi-item sale lists its produce in items and pays one total for all of them; stock for every item is deducted together or not at all.
  *     tags:
  *       - Sales
  *     requestBody:
@@ -129,18 +211,15 @@ const saleUpdateValidators = [
  *           schema:
  *             type: object
  *             required:
- *               - produceName
  *               - branch
- *               - tonnage
  *               - amountPaid
  *               - buyerName
- *               - salesAgentName
  *               - date
  *               - time
  *             properties:
  *               produceName:
  *                 type: string
- *                 enum: [Beans, Grain Maize, Cow peas, G-nuts, Soybeans]
+ *                 description: Produce name from the catalog (GET /produce)
  *                 example: Beans
  *               produceType:
  *                 type: string
@@ -148,19 +227,39 @@ const saleUpdateValidators = [
  *                 example: Grain
  *               branch:
  *                 type: string
- *                 enum: [Maganjo, Matugga]
+ *                 description: Branch name from the registry (GET /branches)
  *               tonnage:
  *                 type: number
  *                 minimum: 1
+ *               items:
+ *                 type: array
+ *                 description: Several produce items in one sale, sent instead of produceName, produceType and tonnage
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - produceName
+ *                     - tonnage
+ *                   properties:
+ *                     produceName:
+ *                       type: string
+ *                     produceType:
+ *                       type: string
+ *                     tonnage:
+ *                       type: number
+ *                       minimum: 1
  *               amountPaid:
  *                 type: number
  *                 minimum: 10000
  *               buyerName:
  *                 type: string
  *                 example: Buyer23
+ *               nationalId:
+ *                 type: string
+ *                 description: Registered buyer's NIN; applies their contract prices
  *               salesAgentName:
  *                 type: string
- *                 example: Agent11
+ *                 deprecated: true
+ *                 description: Ignored; the sale is attributed to the authenticated user
  *               date:
  *                 type: string
  *                 format: date
@@ -168,6 +267,9 @@ const saleUpdateValidators = [
  *               time:
  *                 type: string
  *                 example: "15:10"
+ *               discountId:
+ *                 type: string
+ *                 description: Approved discount for this branch, produce and tonnage (POST /sales/discounts); single-item sales only
  *     responses:
  *       201:
  *         description: Cash sale recorded
@@ -177,6 +279,8 @@ const saleUpdateValidators = [
  *         description: Missing or invalid token
  *       403:
  *         description: Manager or sales agent role required
+ *       409:
+ *         description: Your till for the sale date is closed, or the accounting period is closed
  */
 
 router.post(
@@ -184,25 +288,9 @@ router.post(
   auth,
   role("SalesAgent", "Manager"),
   [
-    body("produceName")
-      .trim()
-      .isIn(PRODUCE_CATALOG)
-      .withMessage("produceName must be from the approved produce catalog"),
-    body("produceType")
-      .optional()
-      .trim()
-      .isLength({ min: 2 })
-      .withMessage("produceType must have at least 2 characters")
-      .matches(lettersAndSpaces)
-      .withMessage("produceType must be alphabetic"),
+    ...saleProduceValidators,
     body("branch")
-      .isIn(BRANCHES)
-      .withMessage("branch must be Maganjo or Matugga"),
-    body("tonnage")
-      .isNumeric()
-      .withMessage("tonnage must be numeric")
-      .isFloat({ min: 1 })
-      .withMessage("tonnage must be greater than 0"),
+      .custom((value) => assertBranch(value, { activeOnly: true })),
     body("amountPaid")
       .isNumeric()
       .withMessage("amountPaid must be numeric")
@@ -214,7 +302,13 @@ router.post(
       .withMessage("buyerName must have at least 2 characters")
       .matches(alphaNumericWithSpaces)
       .withMessage("buyerName must be alphanumeric"),
+    body("nationalId")
+      .optional()
+      .trim()
+      .matches(ninRegex)
+      .withMessage("nationalId must be a valid NIN format"),
     body("salesAgentName")
+      .optional()
       .trim()
       .isLength({ min: 2 })
       .withMessage("salesAgentName must have at least 2 characters")
@@ -229,7 +323,8 @@ router.post(
       .notEmpty()
       .withMessage("time is required")
       .matches(time24h)
-      .withMessage("time must be in HH:mm format")
+      .withMessage("time must be in HH:mm format"),
+    discountIdValidator
   ],
   createCashSale
 );
@@ -239,6 +334,7 @@ router.post(
  * /sales/credit:
  *   post:
  *     summary: Record credit sale
+ *     description: The buyer is registered by nationalId on first credit sale. Sales that push the buyer's outstanding credit past their limit are rejected unless a Manager supplies creditLimitOverrideReason; buyers on credit hold are always rejected. amountDue is priced like a cash sale, including the buyer's contract prices and any approved discount. Several produce items can be sold together through items.
  *     tags:
  *       - Sales
  *     requestBody:
@@ -253,11 +349,8 @@ router.post(
  *               - location
  *               - contacts
  *               - amountDue
- *               - salesAgentName
  *               - dueDate
- *               - produceName
  *               - branch
- *               - tonnage
  *               - dispatchDate
  *             properties:
  *               buyerName:
@@ -277,25 +370,48 @@ router.post(
  *                 minimum: 10000
  *               salesAgentName:
  *                 type: string
- *                 example: Agent11
+ *                 deprecated: true
+ *                 description: Ignored; the sale is attributed to the authenticated user
  *               dueDate:
  *                 type: string
  *                 format: date
  *               produceName:
  *                 type: string
- *                 enum: [Beans, Grain Maize, Cow peas, G-nuts, Soybeans]
+ *                 description: Produce name from the catalog (GET /produce)
  *               produceType:
  *                 type: string
  *                 description: Required if more than one type exists for produce in the selected branch
  *               branch:
  *                 type: string
- *                 enum: [Maganjo, Matugga]
+ *                 description: Branch name from the registry (GET /branches)
  *               tonnage:
  *                 type: number
  *                 minimum: 1
+ *               items:
+ *                 type: array
+ *                 description: Several produce items in one sale, sent instead of produceName, produceType and tonnage
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - produceName
+ *                     - tonnage
+ *                   properties:
+ *                     produceName:
+ *                       type: string
+ *                     produceType:
+ *                       type: string
+ *                     tonnage:
+ *                       type: number
+ *                       minimum: 1
  *               dispatchDate:
  *                 type: string
  *                 format: date
+ *               creditLimitOverrideReason:
+ *                 type: string
+ *                 description: Manager only; approves a sale beyond the buyer's credit limit
+ *               discountId:
+ *                 type: string
+ *                 description: Approved discount for this branch, produce and tonnage (POST /sales/discounts); single-item sales only
  *     responses:
  *       201:
  *         description: Credit sale recorded
@@ -304,7 +420,9 @@ router.post(
  *       401:
  *         description: Missing or invalid token
  *       403:
- *         description: Manager or sales agent role required
+ *         description: Manager or sales agent role required, or override attempted by a sales agent
+ *       409:
+ *         description: Buyer is on credit hold or credit limit exceeded, or accounting period closed
  */
 router.post(
   "/credit",
@@ -349,6 +467,7 @@ router.post(
       .isFloat({ min: 10000 })
       .withMessage("amountDue must be at least 10000"),
     body("salesAgentName")
+      .optional()
       .trim()
       .isLength({ min: 2 })
       .withMessage("salesAgentName must have at least 2 characters")
@@ -359,30 +478,20 @@ router.post(
       .withMessage("dueDate is required")
       .isISO8601()
       .withMessage("dueDate must be valid"),
-    body("produceName")
-      .trim()
-      .isIn(PRODUCE_CATALOG)
-      .withMessage("produceName must be from the approved produce catalog"),
-    body("produceType")
-      .optional()
-      .trim()
-      .isLength({ min: 2 })
-      .withMessage("produceType must have at least 2 characters")
-      .matches(lettersAndSpaces)
-      .withMessage("produceType must be alphabetic"),
+    ...saleProduceValidators,
     body("branch")
-      .isIn(BRANCHES)
-      .withMessage("branch must be Maganjo or Matugga"),
-    body("tonnage")
-      .isNumeric()
-      .withMessage("tonnage must be numeric")
-      .isFloat({ min: 1 })
-      .withMessage("tonnage must be greater than 0"),
+      .custom((value) => assertBranch(value, { activeOnly: true })),
     body("dispatchDate")
       .notEmpty()
       .withMessage("dispatchDate is required")
       .isISO8601()
-      .withMessage("dispatchDate must be valid")
+      .withMessage("dispatchDate must be valid"),
+    body("creditLimitOverrideReason")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 500 })
+      .withMessage("creditLimitOverrideReason must be between 2 and 500 characters"),
+    discountIdValidator
   ],
   createCreditSale
 );
@@ -392,6 +501,7 @@ router.post(
  * /sales/reports/totals:
  *   get:
  *     summary: Director-only aggregated totals across branches
+ *     description: totalReturns is the refunds of returns recorded between startDate and endDate, whenever the sale was made.
  *     tags:
  *       - Sales
  *     parameters:
@@ -417,150 +527,957 @@ router.get("/reports/totals", auth, role("Director"), getSalesTotalsReport);
 
 /**
  * @swagger
- * /sales:
+ * /sales/reports/aging:
  *   get:
- *     summary: List sales records (Manager or Sales Agent)
+ *     summary: Director-only accounts receivable aging per branch and per buyer
+ *     description: Outstanding credit is bucketed by days past dueDate as of now (current, 1-30, 31-60, 61-90, 90+). startDate/endDate filter on when the sale was recorded, like the totals report.
  *     tags:
  *       - Sales
  *     parameters:
  *       - in: query
- *         name: saleType
+ *         name: branch
  *         schema:
  *           type: string
- *           enum: [Cash, Credit]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: Sales returned
- *       401:
- *         description: Missing or invalid token
+ *         description: Aging totals, per-branch rows and per-buyer rows (most overdue first)
+ *       400:
+ *         description: Invalid date or branch
  *       403:
- *         description: Access denied
+ *         description: Director role required
  */
-router.get("/", auth, role("Manager", "SalesAgent"), listSales);
+router.get(
+  "/reports/aging",
+  auth,
+  role("Director"),
+  [
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value))
+  ],
+  getReceivablesAgingReport
+);
 
 /**
  * @swagger
- * /sales/{id}:
+ * /sales/reports/margins:
  *   get:
- *     summary: Get sale by id (Manager or Sales Agent)
+ *     summary: Gross margin per branch, produce and produce type (Director, or Manager for own branch)
+ *     description: Cost of goods sold is the FIFO cost of the stock lots each sale drew from (costBasis Lots). Only sales recorded before lot tracking fall back to the weighted average procurement cost per kg up to endDate, using the branch average (costBasis Branch) or, for branches that only received stock by transfer, the company-wide average (costBasis Company); such items with no procurement history have costBasis null. Returns recorded in the period take their refund off revenue and their restocked lot cost off cost of goods sold, whenever the sale was made.
  *     tags:
  *       - Sales
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: branch
+ *         description: Director may filter by branch
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: produceName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: produceType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: Sale returned
- *       404:
- *         description: Sale not found
+ *         description: Revenue, cost of goods sold and gross margin
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Access denied
  */
 router.get(
-  "/:id",
+  "/reports/margins",
   auth,
-  role("Manager", "SalesAgent"),
-  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
-  getSaleById
+  role("Director", "Manager"),
+  [
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value)),
+    query("produceName")
+      .optional()
+      .trim()
+      .custom((value) => assertCatalogProduce(value)),
+    query("produceType")
+      .optional()
+      .trim()
+      .matches(lettersAndSpaces)
+      .withMessage("produceType must be alphabetic")
+  ],
+  getGrossMarginReport
 );
 
 /**
  * @swagger
- * /sales/{id}:
- *   patch:
- *     summary: Update sale by id (Manager or Sales Agent)
+ * /sales/credit/overdue:
+ *   get:
+ *     summary: Unpaid credit sales past due date, bucketed by days overdue (Manager or Sales Agent for own branch, Director)
  *     tags:
  *       - Sales
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: branch
+ *         description: Director may filter by branch
  *         schema:
  *           type: string
+ *     responses:
+ *       200:
+ *         description: Overdue sales grouped into 1-30, 31-60, 61-90 and 90+ day buckets
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/credit/overdue",
+  auth,
+  role("Manager", "SalesAgent", "Director"),
+  [
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value))
+  ],
+  listOverdueCreditSales
+);
+
+/**
+ * @swagger
+ * /sales/discounts:
+ *   post:
+ *     summary: Request a discount for a sale about to be recorded (Sales Agent)
+ *     description: >
+ *       Give either discountPercent or discountAmount. Once the branch manager approves it, pass
+ *       its id as discountId when recording a sale of the same produce, type, branch and tonnage;
+ *       each discount can be used by one sale.
+ *     tags:
+ *       - Sales
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - produceName
+ *               - produceType
+ *               - branch
+ *               - tonnage
+ *               - reason
  *             properties:
  *               produceName:
  *                 type: string
- *                 enum: [Beans, Grain Maize, Cow peas, G-nuts, Soybeans]
  *               produceType:
  *                 type: string
  *               branch:
  *                 type: string
- *                 enum: [Maganjo, Matugga]
  *               tonnage:
  *                 type: number
- *               amountPaid:
- *                 type: number
- *               amountDue:
- *                 type: number
- *               buyerName:
- *                 type: string
- *               salesAgentName:
- *                 type: string
- *               date:
- *                 type: string
- *                 format: date
- *               time:
- *                 type: string
+ *                 minimum: 1
  *               nationalId:
  *                 type: string
- *               location:
- *                 type: string
- *               contacts:
- *                 type: string
- *               contact:
- *                 type: string
- *               dueDate:
- *                 type: string
- *                 format: date
- *               dispatchDate:
+ *                 description: Registered buyer's NIN, so the request is priced with their contract prices; the discount then only applies to sales to this buyer
+ *               discountPercent:
+ *                 type: number
+ *                 example: 5
+ *               discountAmount:
+ *                 type: number
+ *                 example: 20000
+ *               reason:
  *                 type: string
- *                 format: date
  *     responses:
- *       200:
- *         description: Sale updated
+ *       201:
+ *         description: Discount requested and branch manager notified
+ *       400:
+ *         description: Validation error, or discount leaves less than the minimum sale amount
+ *       403:
+ *         description: Other branch
  *       404:
- *         description: Sale not found
+ *         description: Inventory record not found
  */
-router.patch(
-  "/:id",
+router.post(
+  "/discounts",
   auth,
-  role("Manager", "SalesAgent"),
-  saleUpdateValidators,
-  updateSaleById
+  role("SalesAgent"),
+  [
+    body("produceName")
+      .trim()
+      .custom((value) => assertCatalogProduce(value, { activeOnly: true })),
+    body("produceType")
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage("produceType must have at least 2 characters")
+      .matches(lettersAndSpaces)
+      .withMessage("produceType must be alphabetic"),
+    body("branch")
+      .custom((value) => assertBranch(value, { activeOnly: true })),
+    body("tonnage")
+      .isFloat({ min: 1 })
+      .withMessage("tonnage must be greater than 0"),
+    body("nationalId")
+      .optional()
+      .trim()
+      .matches(ninRegex)
+      .withMessage("nationalId must be a valid NIN format"),
+    body().custom((value) => {
+      const hasPercent = typeof value.discountPercent !== "undefined";
+      const hasAmount = typeof value.discountAmount !== "undefined";
+      if (hasPercent === hasAmount) {
+        throw new Error("Provide either discountPercent or discountAmount");
+      }
+      return true;
+    }),
+    body("discountPercent")
+      .optional()
+      .isFloat({ gt: 0, lt: 100 })
+      .withMessage("discountPercent must be between 0 and 100"),
+    body("discountAmount")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("discountAmount must be greater than 0"),
+    body("reason")
+      .trim()
+      .isLength({ min: 2, max: 500 })
+      .withMessage("reason must be between 2 and 500 characters")
+  ],
+  requestDiscount
 );
 
 /**
  * @swagger
- * /sales/{id}:
- *   delete:
- *     summary: Delete sale by id (Manager or Sales Agent)
+ * /sales/discounts:
+ *   get:
+ *     summary: List discount requests, newest first (Manager or Sales Agent for own branch, Director)
  *     tags:
  *       - Sales
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: branch
+ *         description: Director may filter by branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
  *         schema:
  *           type: string
+ *           enum: [Pending, Approved, Rejected, Applied]
  *     responses:
  *       200:
- *         description: Sale deleted
- *       404:
- *         description: Sale not found
+ *         description: Discounts returned
+ *       403:
+ *         description: Access denied
  */
-router.delete(
-  "/:id",
+router.get(
+  "/discounts",
+  auth,
+  role("Manager", "SalesAgent", "Director"),
+  [
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value)),
+    query("status")
+      .optional()
+      .isIn(DISCOUNT_STATUSES)
+      .withMessage(`status must be one of ${DISCOUNT_STATUSES.join(", ")}`)
+  ],
+  listDiscounts
+);
+
+const discountReviewValidators = [
+  param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("note must be at most 500 characters")
+];
+
+/**
+ * @swagger
+ * /sales/discounts/{id}/approve:
+ *   patch:
+ *     summary: Approve a discount request (Manager of the branch)
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Discount approved
+ *       403:
+ *         description: Other branch or own request
+ *       404:
+ *         description: Discount not found
+ *       409:
+ *         description: Discount is not pending review
+ */
+router.patch(
+  "/discounts/:id/approve",
+  auth,
+  role("Manager"),
+  discountReviewValidators,
+  approveDiscount
+);
+
+/**
+ * @swagger
+ * /sales/discounts/{id}/reject:
+ *   patch:
+ *     summary: Reject a discount request (Manager of the branch)
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Discount rejected
+ *       403:
+ *         description: Other branch or own request
+ *       404:
+ *         description: Discount not found
+ *       409:
+ *         description: Discount is not pending review
+ */
+router.patch(
+  "/discounts/:id/reject",
+  auth,
+  role("Manager"),
+  discountReviewValidators,
+  rejectDiscount
+);
+
+/**
+ * @swagger
+ * /sales/voided:
+ *   get:
+ *     summary: Voided sales per branch, newest first (Director)
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         description: Filters on when the sale was voided
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Per-branch voided counts and amounts, and the voided sales
+ *       400:
+ *         description: Invalid date or branch
+ *       403:
+ *         description: Director role required
+ */
+router.get(
+  "/voided",
+  auth,
+  role("Director"),
+  [
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value))
+  ],
+  listVoidedSales
+);
+
+/**
+ * @swagger
+ * /sales:
+ *   get:
+ *     summary: List sales records (Manager or Sales Agent)
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: query
+ *         name: saleType
+ *         schema:
+ *           type: string
+ *           enum: [Cash, Credit]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Completed, Voided]
+ *     responses:
+ *       200:
+ *         description: Sales returned
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Access denied
+ */
+router.get("/", auth, role("Manager", "SalesAgent"), listSales);
+
+/**
+ * @swagger
+ * /sales/number/{documentNumber}:
+ *   get:
+ *     summary: Get sale by document number (Manager or Sales Agent)
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: documentNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: MAG-S-2026-000123
+ *     responses:
+ *       200:
+ *         description: Sale returned
+ *       404:
+ *         description: Sale not found
+ */
+router.get(
+  "/number/:documentNumber",
+  auth,
+  role("Manager", "SalesAgent"),
+  [documentNumberValidator],
+  getSaleByNumber
+);
+
+/**
+ * @swagger
+ * /sales/{id}:
+ *   get:
+ *     summary: Get sale by id (Manager or Sales Agent)
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sale returned
+ *       404:
+ *         description: Sale not found
+ */
+router.get(
+  "/:id",
+  auth,
+  role("Manager", "SalesAgent"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  getSaleById
+);
+
+/**
+ * @swagger
+ * /sales/{id}:
+ *   patch:
+ *     summary: Update sale by id (Manager, or the Sales Agent who recorded it)
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               produceName:
+ *                 type: string
+ *                 description: Produce name from the catalog (GET /produce)
+ *               produceType:
+ *                 type: string
+ *               branch:
+ *                 type: string
+ *                 description: Branch name from the registry (GET /branches)
+ *               tonnage:
+ *                 type: number
+ *               amountPaid:
+ *                 type: number
+ *               amountDue:
+ *                 type: number
+ *               buyerName:
+ *                 type: string
+ *               salesAgentName:
+ *                 type: string
+ *                 deprecated: true
+ *                 description: Ignored; a sale stays attributed to the user who recorded it
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               time:
+ *                 type: string
+ *               nationalId:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               contacts:
+ *                 type: string
+ *               contact:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               dispatchDate:
+ *                 type: string
+ *                 format: date
+ *               creditLimitOverrideReason:
+ *                 type: string
+ *                 description: Manager only; needed when a credit sale's larger balance or new buyer exceeds the credit limit
+ *     responses:
+ *       200:
+ *         description: Sale updated
+ *       403:
+ *         description: Sale belongs to another branch or, for a sales agent, another user
+ *       404:
+ *         description: Sale not found
+ *       409:
+ *         description: Buyer on credit hold or over limit, sale voided, returned or multi-item, or period or till closed
+ */
+router.patch(
+  "/:id",
+  auth,
+  role("Manager", "SalesAgent"),
+  saleUpdateValidators,
+  updateSaleById
+);
+
+/**
+ * @swagger
+ * /sales/{id}/void:
+ *   patch:
+ *     summary: Void a sale (Manager, or the Sales Agent who recorded it)
+ *     description: >
+ *       Sales are never deleted. A voided sale is kept with the reason, user and time, its stock
+ *       is restored and it no longer counts in sales totals. Credit sales with repayments must
+ *       have them reversed first.
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sale voided
+ *       403:
+ *         description: Sale belongs to another branch or, for a sales agent, another user
+ *       404:
+ *         description: Sale not found
+ *       409:
+ *         description: Sale already voided, has recorded repayments, or its accounting period or till day is closed
+ */
+router.patch(
+  "/:id/void",
+  auth,
+  role("Manager", "SalesAgent"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("reason")
+      .trim()
+      .isLength({ min: 2, max: 500 })
+      .withMessage("reason must be between 2 and 500 characters")
+  ],
+  voidSaleById
+);
+
+/**
+ * @swagger
+ * /sales/{id}/receipt:
+ *   get:
+ *     summary: Printable receipt for a sale (Manager or Sales Agent)
+ *     description: PDF by default; format=html returns the same receipt as a web page. Credit sale receipts show the due date and current outstanding balance.
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, html]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Receipt returned
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Sale not found
+ *       409:
+ *         description: Sale was recorded before receipt numbering
+ */
+router.get(
+  "/:id/receipt",
+  auth,
+  role("Manager", "SalesAgent"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    query("format")
+      .optional()
+      .isIn(RECEIPT_FORMATS)
+      .withMessage(`format must be one of ${RECEIPT_FORMATS.join(", ")}`)
+  ],
+  getSaleReceipt
+);
+
+/**
+ * @swagger
+ * /sales/{id}/payments:
+ *   post:
+ *     summary: Record a repayment against a credit sale (Manager or Sales Agent)
+ *     description: Partial payments are allowed; the total collected can never exceed amountDue. With method CreditNote the amount is taken from the buyer's credit note balance, issued by earlier returns.
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 1
+ *                 example: 50000
+ *               method:
+ *                 type: string
+ *                 enum: [Cash, CreditNote]
+ *                 description: Defaults to Cash
+ *               paymentDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Repayment recorded with updated balance and creditStatus
+ *       400:
+ *         description: Validation error, not a credit sale, or amount exceeds outstanding balance or credit note balance
+ *       404:
+ *         description: Sale not found
+ *       409:
+ *         description: Balance changed concurrently, retry
+ */
+router.post(
+  "/:id/payments",
+  auth,
+  role("Manager", "SalesAgent"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("amount")
+      .isNumeric()
+      .withMessage("amount must be numeric")
+      .isFloat({ min: 1 })
+      .withMessage("amount must be greater than 0"),
+    body("method")
+      .optional()
+      .isIn(PAYMENT_METHODS)
+      .withMessage(`method must be one of ${PAYMENT_METHODS.join(", ")}`),
+    body("paymentDate")
+      .optional()
+      .isISO8601()
+      .withMessage("paymentDate must be valid")
+      .custom((value) => {
+        if (new Date(value) > new Date()) {
+          throw new Error("paymentDate cannot be in the future");
+        }
+        return true;
+      }),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("notes must be at most 500 characters")
+  ],
+  recordSalePayment
+);
+
+/**
+ * @swagger
+ * /sales/{id}/payments:
+ *   get:
+ *     summary: List repayments and outstanding balance of a credit sale (Manager or Sales Agent)
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Balance summary and repayments (including reversed ones) returned
+ *       404:
+ *         description: Sale not found
+ */
+router.get(
+  "/:id/payments",
+  auth,
+  role("Manager", "SalesAgent"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  listSalePayments
+);
+
+/**
+ * @swagger
+ * /sales/{id}/payments/{paymentId}/reverse:
+ *   patch:
+ *     summary: Reverse a recorded repayment (Manager only)
+ *     description: The repayment is kept for audit and flagged as reversed; the amount is added back to the balance, and a credit note payment goes back to the buyer's credit note balance.
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Cheque bounced
+ *     responses:
+ *       200:
+ *         description: Repayment reversed
+ *       404:
+ *         description: Sale or repayment not found
+ *       409:
+ *         description: Repayment already reversed
+ */
+router.patch(
+  "/:id/payments/:paymentId/reverse",
+  auth,
+  role("Manager"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    param("paymentId").isMongoId().withMessage("paymentId must be a valid Mongo id"),
+    body("reason")
+      .trim()
+      .isLength({ min: 2, max: 500 })
+      .withMessage("reason must be between 2 and 500 characters")
+  ],
+  reverseSalePayment
+);
+
+/**
+ * @swagger
+ * /sales/{id}/returns:
+ *   post:
+ *     summary: Record goods returned from a sale (Manager or Sales Agent)
+ *     description: >
+ *       Resaleable kg go back into inventory; damaged kg are written off. The refund defaults to
+ *       the returned kg at the per-kg amount charged. On a credit sale it first reduces the
+ *       outstanding balance; any remainder is paid per settlement. Sales with returns can no
+ *       longer be edited or voided. The return is reported on the day it is recorded, so only
+ *       the current accounting period must be open, not the sale's.
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantityKg
+ *               - condition
+ *               - reason
+ *             properties:
+ *               itemId:
+ *                 type: string
+ *                 description: Required for multi-item sales; the item the goods came from
+ *               quantityKg:
+ *                 type: number
+ *                 example: 200
+ *               condition:
+ *                 type: string
+ *                 enum: [Resaleable, Damaged]
+ *               refundAmount:
+ *                 type: number
+ *                 description: Defaults to the full value of the returned kg
+ *               settlement:
+ *                 type: string
+ *                 enum: [CashRefund, CreditNote]
+ *                 description: Defaults to CashRefund; credit notes need a registered buyer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Return recorded with the updated sale
+ *       400:
+ *         description: Validation error, more kg than remain on the sale, or refund too large
+ *       403:
+ *         description: Sale belongs to another branch
+ *       404:
+ *         description: Sale not found
+ *       409:
+ *         description: Sale is voided, the current accounting period is closed, or a cash refund is due and your till for today is closed
+ */
+router.post(
+  "/:id/returns",
+  auth,
+  role("Manager", "SalesAgent"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("itemId")
+      .optional()
+      .isMongoId()
+      .withMessage("itemId must be a valid Mongo id"),
+    body("quantityKg")
+      .isFloat({ gt: 0 })
+      .withMessage("quantityKg must be greater than 0"),
+    body("condition")
+      .isIn(RETURN_CONDITIONS)
+      .withMessage(`condition must be one of ${RETURN_CONDITIONS.join(", ")}`),
+    body("refundAmount")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("refundAmount must be 0 or greater"),
+    body("settlement")
+      .optional()
+      .isIn(REFUND_SETTLEMENTS)
+      .withMessage(`settlement must be one of ${REFUND_SETTLEMENTS.join(", ")}`),
+    body("reason")
+      .trim()
+      .isLength({ min: 2, max: 500 })
+      .withMessage("reason must be between 2 and 500 characters")
+  ],
+  recordSaleReturn
+);
+
+/**
+ * @swagger
+ * /sales/{id}/returns:
+ *   get:
+ *     summary: List returns recorded against a sale (Manager or Sales Agent)
+ *     tags:
+ *       - Sales
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Returned totals and returns, oldest first
+ *       404:
+ *         description: Sale not found
+ */
+router.get(
+  "/:id/returns",
   auth,
   role("Manager", "SalesAgent"),
   [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
-  deleteSaleById
+  listSaleReturns
 );
 
 module.exports = router;
@@ -0,0 +1,382 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const auth = require("../middleware/authMiddleware");
+const role = require("../middleware/roleMiddleware");
+const {
+  listSuppliers,
+  getSupplierById,
+  createSupplier,
+  updateSupplierById,
+  deleteSupplierById,
+  getSupplierPurchaseHistory,
+  getSupplierSpendReport
+} = require("../controllers/supplierController");
+const { assertBranch } = require("../utils/branchRegistry");
+
+const router = express.Router();
+const PROCUREMENT_SOURCE_TYPES = ["IndividualDealer", "Company", "Farm"];
+const alphaNumericWithSpaces = /^[a-zA-Z0-9 ]+$/;
+const ninRegex = /^(CM|CF)[A-Z0-9]{12}$/i;
+const phoneRegex = /^\+?[0-9]{10,15}$/;
+
+const supplierDetailValidators = [
+  body("phone")
+    .optional()
+    .trim()
+    .matches(phoneRegex)
+    .withMessage("phone must be a valid phone number"),
+  body("location")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage("location must be between 2 and 200 characters"),
+  body("nin")
+    .optional()
+    .trim()
+    .matches(ninRegex)
+    .withMessage("nin must be a valid NIN"),
+  body("registrationNumber")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("registrationNumber must be between 2 and 50 characters"),
+  body("active")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("active must be true or false")
+];
+
+const dateRangeValidators = [
+  query("branch")
+    .optional()
+    .custom((value) => assertBranch(value)),
+  query("startDate").optional().isISO8601().withMessage("startDate must be a valid date"),
+  query("endDate").optional().isISO8601().withMessage("endDate must be a valid date")
+];
+
+/**
+ * @swagger
+ * /suppliers/reports/spend:
+ *   get:
+ *     summary: Total procurement spend per supplier (Director only)
+ *     tags:
+ *       - Suppliers
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *           description: Branch name from the registry (GET /branches)
+ *       - in: query
+ *         name: supplierType
+ *         schema:
+ *           type: string
+ *           enum: [IndividualDealer, Company, Farm]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Spend per supplier, highest first
+ *       403:
+ *         description: Director role required
+ */
+router.get(
+  "/reports/spend",
+  auth,
+  role("Director"),
+  [
+    ...dateRangeValidators,
+    query("supplierType")
+      .optional()
+      .isIn(PROCUREMENT_SOURCE_TYPES)
+      .withMessage("supplierType must be IndividualDealer, Company, or Farm")
+  ],
+  getSupplierSpendReport
+);
+
+/**
+ * @swagger
+ * /suppliers:
+ *   get:
+ *     summary: List suppliers (Manager, Director)
+ *     tags:
+ *       - Suppliers
+ *     parameters:
+ *       - in: query
+ *         name: supplierType
+ *         schema:
+ *           type: string
+ *           enum: [IndividualDealer, Company, Farm]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         description: Case-insensitive match on supplier name
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suppliers returned
+ */
+router.get(
+  "/",
+  auth,
+  role("Manager", "Director"),
+  [
+    query("supplierType")
+      .optional()
+      .isIn(PROCUREMENT_SOURCE_TYPES)
+      .withMessage("supplierType must be IndividualDealer, Company, or Farm"),
+    query("active")
+      .optional()
+      .isIn(["true", "false"])
+      .withMessage("active must be true or false"),
+    query("search")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("search must be at most 100 characters")
+  ],
+  listSuppliers
+);
+
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   get:
+ *     summary: Get supplier by id (Manager, Director)
+ *     tags:
+ *       - Suppliers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier returned
+ *       404:
+ *         description: Supplier not found
+ */
+router.get(
+  "/:id",
+  auth,
+  role("Manager", "Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  getSupplierById
+);
+
+/**
+ * @swagger
+ * /suppliers/{id}/procurements:
+ *   get:
+ *     summary: Purchase history and totals for a supplier (Manager for own branch, Director)
+ *     tags:
+ *       - Suppliers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: branch
+ *         description: Director only
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Supplier, totals and procurement records returned
+ *       404:
+ *         description: Supplier not found
+ */
+router.get(
+  "/:id/procurements",
+  auth,
+  role("Manager", "Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id"), ...dateRangeValidators],
+  getSupplierPurchaseHistory
+);
+
+/**
+ * @swagger
+ * /suppliers:
+ *   post:
+ *     summary: Register a supplier (Manager, Director)
+ *     description: IndividualDealer suppliers need a NIN, Company suppliers a registration number, and Farm suppliers must be an own-farm branch.
+ *     tags:
+ *       - Suppliers
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplierType
+ *               - name
+ *               - phone
+ *             properties:
+ *               supplierType:
+ *                 type: string
+ *                 enum: [IndividualDealer, Company, Farm]
+ *               name:
+ *                 type: string
+ *                 example: Dealer12
+ *               phone:
+ *                 type: string
+ *                 example: "+256701234567"
+ *               location:
+ *                 type: string
+ *               nin:
+ *                 type: string
+ *                 example: CM12345678901A
+ *               registrationNumber:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Supplier registered
+ *       400:
+ *         description: Validation error or duplicate supplier
+ */
+router.post(
+  "/",
+  auth,
+  role("Manager", "Director"),
+  [
+    body("supplierType")
+      .isIn(PROCUREMENT_SOURCE_TYPES)
+      .withMessage("supplierType must be IndividualDealer, Company, or Farm"),
+    body("name")
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage("name must have at least 2 characters")
+      .matches(alphaNumericWithSpaces)
+      .withMessage("name must be alphanumeric"),
+    body("phone")
+      .exists()
+      .withMessage("phone is required"),
+    body("nin")
+      .if(body("supplierType").equals("IndividualDealer"))
+      .exists()
+      .withMessage("nin is required for IndividualDealer suppliers"),
+    body("registrationNumber")
+      .if(body("supplierType").equals("Company"))
+      .exists()
+      .withMessage("registrationNumber is required for Company suppliers"),
+    ...supplierDetailValidators
+  ],
+  createSupplier
+);
+
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   patch:
+ *     summary: Update supplier details or deactivate (Manager, Director)
+ *     tags:
+ *       - Suppliers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               nin:
+ *                 type: string
+ *               registrationNumber:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       400:
+ *         description: Validation error or attempt to change supplierType
+ *       404:
+ *         description: Supplier not found
+ */
+router.patch(
+  "/:id",
+  auth,
+  role("Manager", "Director"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage("name must have at least 2 characters")
+      .matches(alphaNumericWithSpaces)
+      .withMessage("name must be alphanumeric"),
+    ...supplierDetailValidators
+  ],
+  updateSupplierById
+);
+
+/**
+ * @swagger
+ * /suppliers/{id}:
+ *   delete:
+ *     summary: Delete a supplier with no procurement history (Director only)
+ *     tags:
+ *       - Suppliers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier deleted
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: Supplier has procurement history
+ */
+router.delete(
+  "/:id",
+  auth,
+  role("Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  deleteSupplierById
+);
+
+module.exports = router;
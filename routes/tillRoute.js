@@ -0,0 +1,235 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const auth = require("../middleware/authMiddleware");
+const role = require("../middleware/roleMiddleware");
+const {
+  openTill,
+  listTills,
+  getTillById,
+  closeTill,
+  signOffTill
+} = require("../controllers/tillController");
+const { assertBranch } = require("../utils/branchRegistry");
+
+const router = express.Router();
+const TILL_STATUSES = ["Open", "Closed", "SignedOff"];
+
+const noteValidator = body("note")
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage("note must be at most 500 characters");
+
+/**
+ * @swagger
+ * /tills:
+ *   post:
+ *     summary: Open your till for today (Sales Agent or Manager)
+ *     description: One till per user per day. Cash sales you record dated today count toward it.
+ *     tags:
+ *       - Tills
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - openingFloat
+ *             properties:
+ *               openingFloat:
+ *                 type: number
+ *                 example: 50000
+ *     responses:
+ *       201:
+ *         description: Till opened
+ *       409:
+ *         description: A till already exists for you today
+ */
+router.post(
+  "/",
+  auth,
+  role("SalesAgent", "Manager"),
+  [
+    body("openingFloat")
+      .isFloat({ min: 0 })
+      .withMessage("openingFloat must be 0 or more")
+  ],
+  openTill
+);
+
+/**
+ * @swagger
+ * /tills:
+ *   get:
+ *     summary: List till sessions (Sales Agent for own tills, Manager for own branch, Director)
+ *     tags:
+ *       - Tills
+ *     parameters:
+ *       - in: query
+ *         name: branch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: agentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Open, Closed, SignedOff]
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Till sessions returned, newest day first
+ */
+router.get(
+  "/",
+  auth,
+  role("SalesAgent", "Manager", "Director"),
+  [
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value)),
+    query("agentId")
+      .optional()
+      .isMongoId()
+      .withMessage("agentId must be a valid Mongo id"),
+    query("status")
+      .optional()
+      .isIn(TILL_STATUSES)
+      .withMessage(`status must be one of ${TILL_STATUSES.join(", ")}`),
+    query("date")
+      .optional()
+      .isISO8601()
+      .withMessage("date must be a valid date")
+  ],
+  listTills
+);
+
+/**
+ * @swagger
+ * /tills/{id}:
+ *   get:
+ *     summary: Get a till session (Sales Agent for own tills, Manager for own branch, Director)
+ *     description: An open till also returns the cash sales and cash refunds so far and the cash expected in it.
+ *     tags:
+ *       - Tills
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Till session returned
+ *       404:
+ *         description: Till session not found
+ */
+router.get(
+  "/:id",
+  auth,
+  role("SalesAgent", "Manager", "Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  getTillById
+);
+
+/**
+ * @swagger
+ * /tills/{id}/close:
+ *   patch:
+ *     summary: Close your till with the cash counted (Sales Agent or Manager)
+ *     description: Fixes expected cash (opening float plus the day's cash sales, less the cash refunds for returns you recorded that day) and the variance. The branch manager is notified when the variance exceeds TILL_VARIANCE_THRESHOLD. Cash sales and refunds can no longer be recorded, changed or voided for that day.
+ *     tags:
+ *       - Tills
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - countedCash
+ *             properties:
+ *               countedCash:
+ *                 type: number
+ *                 example: 1250000
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Till closed
+ *       403:
+ *         description: Not your till
+ *       404:
+ *         description: Till session not found
+ *       409:
+ *         description: Till is already closed
+ */
+router.patch(
+  "/:id/close",
+  auth,
+  role("SalesAgent", "Manager"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("countedCash")
+      .isFloat({ min: 0 })
+      .withMessage("countedCash must be 0 or more"),
+    noteValidator
+  ],
+  closeTill
+);
+
+/**
+ * @swagger
+ * /tills/{id}/sign-off:
+ *   patch:
+ *     summary: Sign off a closed till (Manager of the branch, or Director)
+ *     description: Nobody can sign off their own till.
+ *     tags:
+ *       - Tills
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Till signed off
+ *       403:
+ *         description: Other branch or own till
+ *       404:
+ *         description: Till session not found
+ *       409:
+ *         description: Till is not closed
+ */
+router.patch(
+  "/:id/sign-off",
+  auth,
+  role("Manager", "Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id"), noteValidator],
+  signOffTill
+);
+
+module.exports = router;
@@ -0,0 +1,319 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const auth = require("../middleware/authMiddleware");
+const role = require("../middleware/roleMiddleware");
+const {
+  createTransfer,
+  listTransfers,
+  getTransferById,
+  getTransferByNumber,
+  receiveTransfer,
+  cancelTransfer
+} = require("../controllers/transferController");
+const { assertCatalogProduce } = require("../utils/produceCatalog");
+const { assertBranch } = require("../utils/branchRegistry");
+const { documentNumberPattern } = require("../utils/documentNumbers");
+
+const router = express.Router();
+const TRANSFER_STATUSES = ["InTransit", "Received", "Cancelled"];
+const lettersAndSpaces = /^[A-Za-z ]+$/;
+
+const documentNumberValidator = param("documentNumber")
+  .trim()
+  .toUpperCase()
+  .matches(documentNumberPattern)
+  .withMessage("documentNumber must look like MAG-T-2026-000007");
+
+/**
+ * @swagger
+ * /transfers:
+ *   post:
+ *     summary: Send stock to another branch (Manager of sending branch)
+ *     description: Stock leaves the sending branch immediately and stays InTransit until the receiving manager confirms it.
+ *     tags:
+ *       - Transfers
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - produceName
+ *               - produceType
+ *               - toBranch
+ *               - quantityKg
+ *             properties:
+ *               produceName:
+ *                 type: string
+ *                 description: Produce name from the catalog (GET /produce)
+ *               produceType:
+ *                 type: string
+ *                 example: Grain
+ *               fromBranch:
+ *                 type: string
+ *                 description: Branch name from the registry (GET /branches); defaults to the manager's branch
+ *               toBranch:
+ *                 type: string
+ *                 description: Branch name from the registry (GET /branches)
+ *               quantityKg:
+ *                 type: number
+ *                 minimum: 1
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Transfer created and stock moved to InTransit
+ *       400:
+ *         description: Validation error or insufficient stock
+ *       403:
+ *         description: Manager can only send from assigned branch
+ *       404:
+ *         description: Inventory record not found at sending branch
+ */
+router.post(
+  "/",
+  auth,
+  role("Manager"),
+  [
+    body("produceName")
+      .trim()
+      .custom((value) => assertCatalogProduce(value)),
+    body("produceType")
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage("produceType must have at least 2 characters")
+      .matches(lettersAndSpaces)
+      .withMessage("produceType must be alphabetic"),
+    body("fromBranch")
+      .optional()
+      .custom((value) => assertBranch(value, { field: "fromBranch" })),
+    body("toBranch")
+      .custom((value) => assertBranch(value, { field: "toBranch", activeOnly: true })),
+    body("quantityKg")
+      .isNumeric()
+      .withMessage("quantityKg must be numeric")
+      .isFloat({ min: 1 })
+      .withMessage("quantityKg must be at least 1kg"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("notes must be at most 500 characters")
+  ],
+  createTransfer
+);
+
+/**
+ * @swagger
+ * /transfers:
+ *   get:
+ *     summary: List stock transfers (Manager sees own branch in/out, Director sees all)
+ *     tags:
+ *       - Transfers
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [InTransit, Received, Cancelled]
+ *       - in: query
+ *         name: direction
+ *         description: Manager only
+ *         schema:
+ *           type: string
+ *           enum: [incoming, outgoing]
+ *       - in: query
+ *         name: branch
+ *         description: Director only
+ *         schema:
+ *           type: string
+ *           description: Branch name from the registry (GET /branches)
+ *     responses:
+ *       200:
+ *         description: Transfers returned
+ *       401:
+ *         description: Missing or invalid token
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  "/",
+  auth,
+  role("Manager", "Director"),
+  [
+    query("status")
+      .optional()
+      .isIn(TRANSFER_STATUSES)
+      .withMessage("status must be InTransit, Received, or Cancelled"),
+    query("direction")
+      .optional()
+      .isIn(["incoming", "outgoing"])
+      .withMessage("direction must be incoming or outgoing"),
+    query("branch")
+      .optional()
+      .custom((value) => assertBranch(value))
+  ],
+  listTransfers
+);
+
+/**
+ * @swagger
+ * /transfers/number/{documentNumber}:
+ *   get:
+ *     summary: Get stock transfer by document number (Manager of either branch, or Director)
+ *     tags:
+ *       - Transfers
+ *     parameters:
+ *       - in: path
+ *         name: documentNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: MAG-T-2026-000007
+ *     responses:
+ *       200:
+ *         description: Transfer returned
+ *       404:
+ *         description: Stock transfer not found
+ */
+router.get(
+  "/number/:documentNumber",
+  auth,
+  role("Manager", "Director"),
+  [documentNumberValidator],
+  getTransferByNumber
+);
+
+/**
+ * @swagger
+ * /transfers/{id}:
+ *   get:
+ *     summary: Get stock transfer by id (Manager of either branch, or Director)
+ *     tags:
+ *       - Transfers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transfer returned
+ *       404:
+ *         description: Stock transfer not found
+ */
+router.get(
+  "/:id",
+  auth,
+  role("Manager", "Director"),
+  [param("id").isMongoId().withMessage("id must be a valid Mongo id")],
+  getTransferById
+);
+
+/**
+ * @swagger
+ * /transfers/{id}/receive:
+ *   patch:
+ *     summary: Confirm receipt of an in-transit transfer (Manager of receiving branch)
+ *     description: receivedKg defaults to the dispatched quantity; any difference is stored as varianceKg.
+ *     tags:
+ *       - Transfers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               receivedKg:
+ *                 type: number
+ *                 minimum: 1
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer received and receiving branch stock increased
+ *       403:
+ *         description: Not the receiving branch manager
+ *       404:
+ *         description: Stock transfer not found
+ *       409:
+ *         description: Transfer is not in transit
+ */
+router.patch(
+  "/:id/receive",
+  auth,
+  role("Manager"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("receivedKg")
+      .optional()
+      .isNumeric()
+      .withMessage("receivedKg must be numeric")
+      .isFloat({ min: 1 })
+      .withMessage("receivedKg must be at least 1kg"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("notes must be at most 500 characters")
+  ],
+  receiveTransfer
+);
+
+/**
+ * @swagger
+ * /transfers/{id}/cancel:
+ *   patch:
+ *     summary: Cancel an in-transit transfer and return stock to the sender (Manager of sending branch)
+ *     tags:
+ *       - Transfers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled and stock restored
+ *       403:
+ *         description: Not the sending branch manager
+ *       404:
+ *         description: Stock transfer not found
+ *       409:
+ *         description: Transfer is not in transit
+ */
+router.patch(
+  "/:id/cancel",
+  auth,
+  role("Manager"),
+  [
+    param("id").isMongoId().withMessage("id must be a valid Mongo id"),
+    body("reason")
+      .trim()
+      .isLength({ min: 2, max: 500 })
+      .withMessage("reason must be between 2 and 500 characters")
+  ],
+  cancelTransfer
+);
+
+module.exports = router;
@@ -11,9 +11,9 @@ const {
   updateUserById,
   deleteUserById
 } = require("../controllers/userController");
+const { assertBranch } = require("../utils/branchRegistry");
 
 const router = express.Router();
-const BRANCHES = ["Maganjo", "Matugga"];
 const alphaNumeric = /^[a-zA-Z0-9]+$/;
 
 /**
@@ -102,7 +102,7 @@ router.post(
  *                 description: Director bootstrap can create Manager only
  *               branch:
  *                 type: string
- *                 enum: [Maganjo, Matugga]
+ *                 description: Branch name from the registry (GET /branches)
  *               staffSlot:
  *                 type: integer
  *                 enum: [1, 2]
@@ -136,8 +136,7 @@ router.post(
       .isIn(["Manager", "SalesAgent"])
       .withMessage("role must be Manager or SalesAgent"),
     body("branch")
-      .isIn(BRANCHES)
-      .withMessage("branch must be Maganjo or Matugga"),
+      .custom((value) => assertBranch(value, { activeOnly: true })),
     body("staffSlot")
       .optional()
       .isInt({ min: 1, max: 2 })
@@ -202,7 +201,7 @@ router.post(
  *         name: branch
  *         schema:
  *           type: string
- *           enum: [Maganjo, Matugga]
+ *           description: Branch name from the registry (GET /branches)
  *     responses:
  *       200:
  *         description: Users returned
@@ -271,7 +270,7 @@ router.get(
  *                 enum: [Manager, SalesAgent]
  *               branch:
  *                 type: string
- *                 enum: [Maganjo, Matugga]
+ *                 description: Branch name from the registry (GET /branches)
  *               staffSlot:
  *                 type: integer
  *                 enum: [1, 2]
@@ -307,8 +306,7 @@ router.patch(
       .withMessage("role must be Manager or SalesAgent"),
     body("branch")
       .optional()
-      .isIn(BRANCHES)
-      .withMessage("branch must be Maganjo or Matugga"),
+      .custom((value) => assertBranch(value, { activeOnly: true })),
     body("staffSlot")
       .optional()
       .isInt({ min: 1, max: 2 })
@@ -3,6 +3,10 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const connectDB = require("./config/db");
 const User = require("./models/user");
+const Produce = require("./models/produce");
+const Branch = require("./models/branch");
+const { DEFAULT_PRODUCE_CATALOG } = require("./utils/produceCatalog");
+const { DEFAULT_BRANCHES } = require("./utils/branchRegistry");
 
 const REQUIRED_ENV_VARS = ["DATABASE_URI"];
 // Baseline workforce required by business rules: 1 director, 1 manager + 2 sales agents per branch.
@@ -102,10 +106,43 @@ const upsertUser = async (seedUser) => {
   return "updated";
 };
 
+// Inserts missing default branches only, so Director edits survive re-seeding.
+// Runs before users because user branches are validated against the registry.
+const seedBranches = async () => {
+  const result = await Branch.bulkWrite(
+    DEFAULT_BRANCHES.map((branch) => ({
+      updateOne: {
+        filter: { name: branch.name },
+        update: { $setOnInsert: { ...branch, active: true } },
+        upsert: true
+      }
+    }))
+  );
+
+  return result.upsertedCount;
+};
+
+// Inserts missing default produce only, so Director catalog edits survive re-seeding.
+const seedProduceCatalog = async () => {
+  const result = await Produce.bulkWrite(
+    DEFAULT_PRODUCE_CATALOG.map((name) => ({
+      updateOne: {
+        filter: { name },
+        update: { $setOnInsert: { name, unit: "kg", active: true } },
+        upsert: true
+      }
+    }))
+  );
+
+  return result.upsertedCount;
+};
+
 const seed = async () => {
   assertRequiredEnvVars();
   await connectDB();
 
+  const branchesCreated = await seedBranches();
+
   let created = 0;
   let updated = 0;
 
@@ -118,7 +155,12 @@ const seed = async () => {
     }
   }
 
-  console.log(`Seed complete. created=${created}, updated=${updated}`);
+  const produceCreated = await seedProduceCatalog();
+
+  console.log(
+    `Seed complete. created=${created}, updated=${updated}, ` +
+      `branchesCreated=${branchesCreated}, produceCreated=${produceCreated}`
+  );
 };
 
 seed()
@@ -1,11 +1,21 @@
 require("dotenv").config();
 const express = require("express");
 const connectDB = require("./config/db");
+const { createOverdueCreditScheduler } = require("./utils/overdueCreditScheduler");
+const { createPriceChangeScheduler } = require("./utils/priceChangeScheduler");
 const swaggerJsdoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
 
+const branchRoutes = require("./routes/branchRoute");
+const produceRoutes = require("./routes/produceRoute");
+const supplierRoutes = require("./routes/supplierRoute");
 const procurementRoutes = require("./routes/procurementRoute");
+const inventoryRoutes = require("./routes/inventoryRoute");
+const transferRoutes = require("./routes/transferRoute");
+const customerRoutes = require("./routes/customerRoute");
 const salesRoutes = require("./routes/saleRoute");
+const tillRoutes = require("./routes/tillRoute");
+const periodRoutes = require("./routes/periodRoute");
 const notificationRoutes = require("./routes/notificationRoute");
 const userRoutes = require("./routes/userRoute");
 
@@ -61,8 +71,16 @@ app.use(
   })
 );
 
+app.use("/branches", branchRoutes);
+app.use("/produce", produceRoutes);
+app.use("/suppliers", supplierRoutes);
 app.use("/procurement", procurementRoutes);
+app.use("/inventory", inventoryRoutes);
+app.use("/transfers", transferRoutes);
+app.use("/customers", customerRoutes);
 app.use("/sales", salesRoutes);
+app.use("/tills", tillRoutes);
+app.use("/accounting-periods", periodRoutes);
 app.use("/notifications", notificationRoutes);
 app.use("/users", userRoutes);
 
@@ -85,6 +103,8 @@ const assertRequiredEnvVars = () => {
 const startServer = async () => {
   assertRequiredEnvVars();
   await connectDB();
+  createOverdueCreditScheduler().start();
+  createPriceChangeScheduler().start();
 
   app.listen(process.env.PORT, () =>
     console.log(`Server running on port ${process.env.PORT}`)
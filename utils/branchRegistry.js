@@ -0,0 +1,70 @@
+const Branch = require("../models/branch");
+
+// Branches operating before the registry existed; seeded so existing records stay valid.
+const DEFAULT_BRANCHES = [
+  { name: "Maganjo", code: "MAG", ownFarm: true },
+  { name: "Matugga", code: "MAT", ownFarm: true }
+];
+
+// Staffing floor per role for branches without their own minimumStaff, including branches
+// referenced by users before the registry was seeded.
+const DEFAULT_MINIMUM_STAFF = Object.freeze({
+  Manager: 1,
+  SalesAgent: 2
+});
+
+const findBranch = async (name) => Branch.findOne({ name });
+
+const getMinimumStaff = (branch, role) => {
+  const configured = branch && branch.minimumStaff ? branch.minimumStaff[role] : undefined;
+  return typeof configured === "number" ? configured : DEFAULT_MINIMUM_STAFF[role] || 0;
+};
+
+const listBranchNames = async (query = {}) => {
+  const branches = await Branch.find(query).sort({ name: 1 }).select("name");
+  return branches.map((branch) => branch.name);
+};
+
+const listOwnFarmNames = async () => listBranchNames({ ownFarm: true, active: true });
+
+// Mongoose validator: records may reference inactive branches so history stays readable.
+const branchValidator = {
+  validator: async (value) => Boolean(await Branch.exists({ name: value })),
+  message: "branch must exist in the branch registry"
+};
+
+// express-validator custom rule; activeOnly blocks new activity at closed branches.
+const assertBranch = async (value, { field = "branch", activeOnly = false } = {}) => {
+  const branch = await findBranch(value);
+  if (!branch) {
+    throw new Error(`${field} must be a registered branch`);
+  }
+
+  if (activeOnly && !branch.active) {
+    throw new Error(`${branch.name} branch is not active`);
+  }
+
+  return true;
+};
+
+// Fills report rows so every registered branch appears, including ones with no activity yet.
+const withAllBranches = async (rows, emptyRow, { branch } = {}) => {
+  const names = branch ? [branch] : await listBranchNames();
+  const byBranch = new Map(rows.map((row) => [row.branch, row]));
+  const filled = names.map((name) => byBranch.get(name) || { branch: name, ...emptyRow });
+  const unregistered = rows.filter((row) => !names.includes(row.branch));
+
+  return [...filled, ...unregistered];
+};
+
+module.exports = {
+  DEFAULT_BRANCHES,
+  DEFAULT_MINIMUM_STAFF,
+  findBranch,
+  getMinimumStaff,
+  listBranchNames,
+  listOwnFarmNames,
+  branchValidator,
+  assertBranch,
+  withAllBranches
+};
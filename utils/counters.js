@@ -0,0 +1,23 @@
+const Counter = require("../models/counter");
+
+/**
+ * Advances the sequence stored under key and returns the new value, starting at 1. Pass the
+ * session of the transaction that records the numbered document: if it aborts, the increment
+ * rolls back with it and the number is handed out again.
+ */
+const nextSequence = async (key, session) => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return counter.seq;
+};
+
+const receiptCounterKey = (branch) => `receipt:${branch}`;
+
+module.exports = {
+  nextSequence,
+  receiptCounterKey
+};
@@ -0,0 +1,45 @@
+const { roundMoney } = require("./helpers");
+
+const CREDIT_STATUSES = ["Open", "PartiallyPaid", "Settled", "Overdue"];
+
+// Derives balance and settlement status of a credit sale from what has been collected so far.
+const resolveCreditStatus = ({ amountDue, amountCollected, dueDate, now = new Date() }) => {
+  const collected = roundMoney(amountCollected || 0);
+  const outstandingBalance = Math.max(0, roundMoney(Number(amountDue) - collected));
+
+  let creditStatus = "Open";
+  if (outstandingBalance < 0.01) {
+    creditStatus = "Settled";
+  } else if (dueDate && new Date(dueDate) < now) {
+    creditStatus = "Overdue";
+  } else if (collected > 0) {
+    creditStatus = "PartiallyPaid";
+  }
+
+  return { amountCollected: collected, outstandingBalance, creditStatus };
+};
+
+// Credit sales recorded before repayments existed have no outstandingBalance; everything they
+// were due still counts as owed.
+const outstandingBalanceExpr = {
+  $ifNull: [
+    "$outstandingBalance",
+    { $subtract: ["$amountDue", { $ifNull: ["$amountCollected", 0] }] }
+  ]
+};
+
+// Query condition for credit sales that still have money owed, including those older sales.
+const hasOutstandingBalance = { $expr: { $gt: [outstandingBalanceExpr, 0] } };
+
+const getOutstandingBalance = (sale) =>
+  typeof sale.outstandingBalance === "number"
+    ? sale.outstandingBalance
+    : resolveCreditStatus(sale).outstandingBalance;
+
+module.exports = {
+  CREDIT_STATUSES,
+  resolveCreditStatus,
+  outstandingBalanceExpr,
+  hasOutstandingBalance,
+  getOutstandingBalance
+};
@@ -0,0 +1,105 @@
+const Customer = require("../models/customer");
+const Sale = require("../models/sales");
+const { outstandingBalanceExpr } = require("./creditStatus");
+const { buildError } = require("./helpers");
+
+const DEFAULT_CREDIT_LIMIT = 5000000;
+
+// Credit limit given to buyers registered automatically by their first credit sale.
+const getDefaultCreditLimit = () => {
+  const configured = Number(process.env.CUSTOMER_DEFAULT_CREDIT_LIMIT);
+  return Number.isFinite(configured) && configured >= 0 ? configured : DEFAULT_CREDIT_LIMIT;
+};
+
+// Finds or registers the buyer inside the caller's transaction. Writing lastCreditActivityAt makes
+// concurrent credit sales to the same buyer conflict, so a retry re-checks fresh balances.
+const touchCreditCustomer = async ({ buyer, session }) =>
+  Customer.findOneAndUpdate(
+    { nationalId: String(buyer.nationalId).toUpperCase() },
+    {
+      $setOnInsert: {
+        name: buyer.buyerName,
+        location: buyer.location,
+        contact: buyer.contact,
+        creditLimit: getDefaultCreditLimit()
+      },
+      $set: { lastCreditActivityAt: new Date() }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true, session }
+  );
+
+// Sums unpaid credit across all branches; sales recorded before the registry match by national ID.
+const getOutstandingCredit = async ({ customer, excludeSaleId, session }) => {
+  const match = {
+    saleType: "Credit",
+    $or: [{ customer: customer._id }, { nationalId: customer.nationalId }]
+  };
+  if (excludeSaleId) {
+    match._id = { $ne: excludeSaleId };
+  }
+
+  const [totals] = await Sale.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        outstandingBalance: {
+          $sum: outstandingBalanceExpr
+        }
+      }
+    }
+  ])
+    .collation({ locale: "en", strength: 2 })
+    .session(session || null);
+
+  return totals ? totals.outstandingBalance : 0;
+};
+
+// Throws when new credit would breach the buyer's limit; a Manager may override with a reason.
+// Returns the override record to store on the sale, or undefined when within the limit.
+const assertCreditAvailable = async ({
+  customer,
+  additionalCredit,
+  overrideReason,
+  actor,
+  excludeSaleId,
+  session
+}) => {
+  if (customer.creditHold) {
+    const reason = customer.holdReason ? `: ${customer.holdReason}` : "";
+    throw buildError(`${customer.name} is on credit hold${reason}`, 409);
+  }
+
+  const outstanding = await getOutstandingCredit({ customer, excludeSaleId, session });
+  if (outstanding + Number(additionalCredit) <= customer.creditLimit) {
+    return undefined;
+  }
+
+  if (!overrideReason) {
+    throw buildError(
+      `Credit limit exceeded for ${customer.name}: outstanding ${outstanding} plus ` +
+        `${additionalCredit} exceeds limit ${customer.creditLimit}`,
+      409
+    );
+  }
+
+  if (actor.role !== "Manager") {
+    throw buildError("Only a Manager can override a customer credit limit", 403);
+  }
+
+  return {
+    approvedBy: actor.id,
+    approvedByName: actor.username,
+    reason: overrideReason,
+    outstandingBefore: outstanding,
+    creditLimit: customer.creditLimit,
+    approvedAt: new Date()
+  };
+};
+
+module.exports = {
+  getDefaultCreditLimit,
+  touchCreditCustomer,
+  getOutstandingCredit,
+  assertCreditAvailable
+};
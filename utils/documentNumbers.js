@@ -0,0 +1,48 @@
+const Branch = require("../models/branch");
+const { nextSequence } = require("./counters");
+
+// Letter identifying the document type inside a number, e.g. the S in MAG-S-2026-000123.
+const DOCUMENT_TYPE_CODES = {
+  Sale: "S",
+  Procurement: "P",
+  Transfer: "T"
+};
+
+const documentNumberPattern = /^[A-Z]{2,5}-[SPT]-\d{4}-\d{6,}$/;
+
+// Default code for a branch without one: the first three letters of its name.
+const deriveBranchCode = (branchName) =>
+  String(branchName).replace(/[^A-Za-z]/g, "").slice(0, 3).toUpperCase();
+
+const resolveBranchCode = async (branchName, session) => {
+  const branch = await Branch.findOne({ name: branchName }).session(session || null);
+  return branch && branch.code ? branch.code : deriveBranchCode(branchName);
+};
+
+const formatDocumentNumber = ({ branchCode, documentType, year, sequence }) =>
+  `${branchCode}-${DOCUMENT_TYPE_CODES[documentType]}-${year}-${String(sequence).padStart(6, "0")}`;
+
+// Counter a branch's numbers for one document type and year are drawn from.
+const documentCounterKey = ({ branch, documentType, year }) =>
+  `doc:${branch}:${documentType}:${year}`;
+
+/**
+ * Issues the next number for a document of a branch, e.g. MAG-S-2026-000123. Numbers run per
+ * branch, document type and UTC calendar year of issuedAt. Call it inside the transaction that
+ * writes the document so an aborted write hands the number back and the sequence stays gap-free.
+ */
+const issueDocumentNumber = async ({ branch, documentType, issuedAt = new Date(), session }) => {
+  const year = new Date(issuedAt).getUTCFullYear();
+  const sequence = await nextSequence(documentCounterKey({ branch, documentType, year }), session);
+  const branchCode = await resolveBranchCode(branch, session);
+
+  return formatDocumentNumber({ branchCode, documentType, year, sequence });
+};
+
+module.exports = {
+  DOCUMENT_TYPE_CODES,
+  documentNumberPattern,
+  deriveBranchCode,
+  documentCounterKey,
+  issueDocumentNumber
+};
@@ -0,0 +1,17 @@
+// Money is kept to the shilling cent and quantities to the gram.
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+const roundKg = (value) => Math.round(Number(value) * 1000) / 1000;
+
+// Error carrying the HTTP status the controller's catch block responds with.
+const buildError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = {
+  roundMoney,
+  roundKg,
+  buildError
+};
@@ -0,0 +1,29 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days-overdue buckets shared by the overdue listing and the receivables aging report.
+const OVERDUE_BUCKETS = [
+  { label: "1-30", minDays: 1, maxDays: 30 },
+  { label: "31-60", minDays: 31, maxDays: 60 },
+  { label: "61-90", minDays: 61, maxDays: 90 },
+  { label: "90+", minDays: 91, maxDays: Infinity }
+];
+
+// Any part of a day past dueDate counts as a full day, matching resolveCreditStatus.
+const getDaysOverdue = (dueDate, now = new Date()) => {
+  if (!dueDate) {
+    return 0;
+  }
+
+  const elapsed = new Date(now).getTime() - new Date(dueDate).getTime();
+  return elapsed > 0 ? Math.ceil(elapsed / DAY_MS) : 0;
+};
+
+const findOverdueBucket = (daysOverdue) =>
+  OVERDUE_BUCKETS.find((bucket) => daysOverdue >= bucket.minDays && daysOverdue <= bucket.maxDays);
+
+module.exports = {
+  DAY_MS,
+  OVERDUE_BUCKETS,
+  getDaysOverdue,
+  findOverdueBucket
+};
@@ -0,0 +1,122 @@
+const Sale = require("../models/sales");
+const Notification = require("../models/notification");
+const { runInTransaction } = require("./transaction");
+const { DAY_MS } = require("./overdueCredit");
+const { hasOutstandingBalance, getOutstandingBalance } = require("./creditStatus");
+const { describeSaleProduce } = require("./saleLines");
+
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+// Flags unpaid credit sales past dueDate as Overdue and notifies the branch manager once per sale.
+const scanOverdueCreditSales = async ({ now = new Date() } = {}) => {
+  const candidates = await Sale.find({
+    saleType: "Credit",
+    ...hasOutstandingBalance,
+    dueDate: { $lt: now },
+    overdueNotifiedAt: { $exists: false }
+  }).select("_id");
+
+  let marked = 0;
+  for (const candidate of candidates) {
+    const flagged = await runInTransaction(async (session) => {
+      // Conditional update so overlapping scans or a concurrent repayment cannot double-notify.
+      const sale = await Sale.findOneAndUpdate(
+        {
+          _id: candidate._id,
+          ...hasOutstandingBalance,
+          dueDate: { $lt: now },
+          overdueNotifiedAt: { $exists: false }
+        },
+        { $set: { creditStatus: "Overdue", overdueNotifiedAt: now } },
+        { new: true, session }
+      );
+      if (!sale) {
+        return null;
+      }
+
+      await Notification.create(
+        [
+          {
+            targetRole: "Manager",
+            title: "Credit sale overdue",
+            message:
+              `${sale.buyerName} owes ${getOutstandingBalance(sale)} for ` +
+              `${describeSaleProduce(sale)} at ${sale.branch}; ` +
+              `payment was due on ${formatDate(sale.dueDate)}`,
+            branch: sale.branch,
+            produceName: sale.produceName,
+            produceType: sale.produceType
+          }
+        ],
+        { session }
+      );
+
+      return sale;
+    });
+
+    if (flagged) {
+      marked += 1;
+    }
+  }
+
+  return { scanned: candidates.length, marked };
+};
+
+// Runs the overdue scan on start and then every intervalMs. The clock and timer functions are
+// injectable so the schedule can be driven deterministically.
+const createOverdueCreditScheduler = ({
+  now = () => new Date(),
+  intervalMs = DAY_MS,
+  setTimer = setInterval,
+  clearTimer = clearInterval,
+  logger = console
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  const runOnce = async () => {
+    if (running) {
+      return null;
+    }
+
+    running = true;
+    try {
+      const result = await scanOverdueCreditSales({ now: now() });
+      if (result.marked > 0) {
+        logger.log(`Overdue credit scan marked ${result.marked} sale(s) overdue`);
+      }
+      return result;
+    } catch (error) {
+      logger.error("Overdue credit scan failed", error);
+      return null;
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+
+    timer = setTimer(runOnce, intervalMs);
+    if (timer && typeof timer.unref === "function") {
+      timer.unref();
+    }
+    runOnce();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearTimer(timer);
+      timer = null;
+    }
+  };
+
+  return { start, stop, runOnce };
+};
+
+module.exports = {
+  scanOverdueCreditSales,
+  createOverdueCreditScheduler
+};
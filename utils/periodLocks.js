@@ -0,0 +1,39 @@
+const AccountingPeriod = require("../models/accountingPeriod");
+
+// Calendar month (UTC) a date falls in, as YYYY-MM.
+const monthOf = (value) => new Date(value).toISOString().slice(0, 7);
+
+const isValidDate = (value) => Boolean(value) && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Throws an error with statusCode 409 when any of dates falls in a closed accounting period of
+ * branch. Callers pass every date a record is reported under (its business date and when it was
+ * entered), old and new, so an edit can neither change nor move a record into a closed month.
+ */
+const assertPeriodsOpen = async ({ branch, dates, session }) => {
+  const months = [...new Set(dates.filter(isValidDate).map(monthOf))];
+  if (months.length === 0) {
+    return;
+  }
+
+  const closed = await AccountingPeriod.findOne({
+    branch,
+    month: { $in: months },
+    status: "Closed"
+  })
+    .sort({ month: 1 })
+    .session(session || null);
+  if (closed) {
+    const error = new Error(
+      `Accounting period ${closed.month} is closed for ${branch}; ` +
+        "the Director must reopen it before records dated in it can change"
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+module.exports = {
+  monthOf,
+  assertPeriodsOpen
+};
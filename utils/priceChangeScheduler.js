@@ -0,0 +1,64 @@
+const { applyDuePriceChanges } = require("./priceChanges");
+
+// Sales also apply due changes for their inventory key first, so this only keeps the stored
+// prices current for listings between sales.
+const PRICE_CHANGE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Applies due scheduled price changes on start and then every intervalMs. The clock and timer
+// functions are injectable so the schedule can be driven deterministically.
+const createPriceChangeScheduler = ({
+  now = () => new Date(),
+  intervalMs = PRICE_CHANGE_INTERVAL_MS,
+  setTimer = setInterval,
+  clearTimer = clearInterval,
+  logger = console
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  const runOnce = async () => {
+    if (running) {
+      return null;
+    }
+
+    running = true;
+    try {
+      const result = await applyDuePriceChanges({ now: now() });
+      if (result.applied > 0) {
+        logger.log(`Applied ${result.applied} scheduled selling price change(s)`);
+      }
+      return result;
+    } catch (error) {
+      logger.error("Scheduled price change run failed", error);
+      return null;
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+
+    timer = setTimer(runOnce, intervalMs);
+    if (timer && typeof timer.unref === "function") {
+      timer.unref();
+    }
+    runOnce();
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearTimer(timer);
+      timer = null;
+    }
+  };
+
+  return { start, stop, runOnce };
+};
+
+module.exports = {
+  PRICE_CHANGE_INTERVAL_MS,
+  createPriceChangeScheduler
+};
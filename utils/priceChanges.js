@@ -0,0 +1,108 @@
+const Inventory = require("../models/inventory");
+const PriceChange = require("../models/priceChange");
+const Notification = require("../models/notification");
+const { runInTransaction } = require("./transaction");
+
+// Applies one scheduled price change inside the caller's transaction. Returns null when the
+// change is no longer Scheduled (already applied, cancelled, or picked up by another run).
+const applyPriceChange = async ({ change, now = new Date(), session }) => {
+  const inventory = await Inventory.findById(change.inventory).session(session);
+  if (!inventory) {
+    return null;
+  }
+
+  const applied = await PriceChange.findOneAndUpdate(
+    { _id: change._id, status: "Scheduled" },
+    { $set: { status: "Applied", oldPrice: inventory.sellingPrice, appliedAt: now } },
+    { new: true, session }
+  );
+  if (!applied) {
+    return null;
+  }
+
+  const updated = await Inventory.findOneAndUpdate(
+    { _id: inventory._id },
+    { $set: { sellingPrice: applied.newPrice } },
+    { new: true, session }
+  );
+
+  return { priceChange: applied, inventory: updated };
+};
+
+/**
+ * Applies every Scheduled change whose effectiveFrom has passed, oldest first, each in its own
+ * transaction. filter narrows the run to matching changes (e.g. one branch or inventory record)
+ * so reads that depend on the price can bring it up to date first.
+ */
+const applyDuePriceChanges = async ({ filter = {}, now = new Date() } = {}) => {
+  const due = await PriceChange.find({
+    ...filter,
+    status: "Scheduled",
+    effectiveFrom: { $lte: now }
+  }).sort({ effectiveFrom: 1, _id: 1 });
+
+  let applied = 0;
+  for (const change of due) {
+    const result = await runInTransaction(async (session) => {
+      const outcome = await applyPriceChange({ change, now, session });
+      if (!outcome) {
+        return null;
+      }
+
+      await Notification.create(
+        [
+          {
+            targetRole: "Manager",
+            title: "Selling price changed",
+            message:
+              `Scheduled price for ${change.produceName} (${change.produceType}) at ` +
+              `${change.branch} is now ${outcome.priceChange.newPrice} per kg ` +
+              `(was ${outcome.priceChange.oldPrice})`,
+            branch: change.branch,
+            produceName: change.produceName,
+            produceType: change.produceType
+          }
+        ],
+        { session }
+      );
+
+      return outcome;
+    });
+
+    if (result) {
+      applied += 1;
+    }
+  }
+
+  return { due: due.length, applied };
+};
+
+// Records the opening price of an inventory record created by a procurement or transfer.
+const recordInitialPrice = async ({ inventory, source, sourceId, actor = {}, session }) => {
+  const now = new Date();
+  await PriceChange.create(
+    [
+      {
+        inventory: inventory._id,
+        produceName: inventory.produceName,
+        produceType: inventory.produceType,
+        branch: inventory.branch,
+        source,
+        sourceId,
+        newPrice: inventory.sellingPrice,
+        effectiveFrom: now,
+        status: "Applied",
+        requestedBy: actor.id,
+        requestedByName: actor.username,
+        appliedAt: now
+      }
+    ],
+    { session }
+  );
+};
+
+module.exports = {
+  applyPriceChange,
+  applyDuePriceChanges,
+  recordInitialPrice
+};
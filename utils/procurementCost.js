@@ -0,0 +1,34 @@
+const Procurement = require("../models/procurement");
+const { roundMoney } = require("./helpers");
+
+const toUnitCost = (cost, tonnage) => {
+  if (!Number(tonnage)) {
+    return 0;
+  }
+
+  return roundMoney(Number(cost) / Number(tonnage));
+};
+
+// Cost per kg of the most recent procurement for an inventory key, or 0 when none exists.
+// Without a branch, the most recent procurement at any branch is used.
+const getLatestUnitCost = async ({ produceName, produceType, branch }, session) => {
+  const query = { produceName, produceType };
+  if (branch) {
+    query.branch = branch;
+  }
+
+  const latest = await Procurement.findOne(query)
+    .sort({ date: -1, time: -1 })
+    .session(session || null);
+
+  if (!latest) {
+    return 0;
+  }
+
+  return toUnitCost(latest.cost, latest.tonnage);
+};
+
+module.exports = {
+  toUnitCost,
+  getLatestUnitCost
+};
@@ -1,23 +1,32 @@
-const OWN_FARM_NAMES = ["Maganjo", "Matugga"];
+const { listOwnFarmNames } = require("./branchRegistry");
 
-const validateProcurementSource = ({ sourceType, sourceName, tonnage }) => {
-  if (sourceType === "IndividualDealer" && Number(tonnage) < 1000) {
-    return {
-      valid: false,
-      message: "IndividualDealer procurements must be at least 1000kg"
-    };
+// Checks that a supplier profile can ever be used as a procurement source.
+const validateSupplierProfile = async ({ supplierType, name }) => {
+  if (supplierType === "Farm") {
+    const ownFarmNames = await listOwnFarmNames();
+    if (!ownFarmNames.includes(name)) {
+      return {
+        valid: false,
+        message: `Farm sourceName must be one of: ${ownFarmNames.join(", ")}`
+      };
+    }
   }
 
-  if (sourceType === "Farm" && !OWN_FARM_NAMES.includes(sourceName)) {
+  return { valid: true };
+};
+
+const validateProcurementSource = async ({ sourceType, sourceName, tonnage }) => {
+  if (sourceType === "IndividualDealer" && Number(tonnage) < 1000) {
     return {
       valid: false,
-      message: "Farm sourceName must be Maganjo or Matugga"
+      message: "IndividualDealer procurements must be at least 1000kg"
     };
   }
 
-  return { valid: true };
+  return validateSupplierProfile({ supplierType: sourceType, name: sourceName });
 };
 
 module.exports = {
+  validateSupplierProfile,
   validateProcurementSource
 };
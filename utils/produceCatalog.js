@@ -0,0 +1,67 @@
+const Produce = require("../models/produce");
+
+// Produce carried before the catalog became configurable; seeded so existing records stay valid.
+const DEFAULT_PRODUCE_CATALOG = ["Beans", "Grain Maize", "Cow peas", "G-nuts", "Soybeans"];
+
+const findProduce = async (name) => Produce.findOne({ name });
+
+// Mongoose validator: records may reference inactive produce so history stays readable and editable.
+const catalogProduceValidator = {
+  validator: async (value) => Boolean(await Produce.exists({ name: value })),
+  message: "produceName must exist in the produce catalog"
+};
+
+// express-validator custom rule; activeOnly blocks new procurement/sales of deactivated produce.
+const assertCatalogProduce = async (value, { activeOnly = false } = {}) => {
+  const produce = await findProduce(value);
+  if (!produce) {
+    throw new Error("produceName must be from the approved produce catalog");
+  }
+
+  if (activeOnly && !produce.active) {
+    throw new Error(`${produce.name} is deactivated in the produce catalog`);
+  }
+
+  return true;
+};
+
+// Checks produceType against the catalog entry; an empty produceTypes list allows any type.
+const assertAllowedProduceType = async ({ produceName, produceType }) => {
+  if (!produceName || !produceType) {
+    return true;
+  }
+
+  const produce = await findProduce(produceName);
+  if (produce && produce.produceTypes.length > 0 && !produce.produceTypes.includes(produceType)) {
+    throw new Error(
+      `produceType for ${produce.name} must be one of: ${produce.produceTypes.join(", ")}`
+    );
+  }
+
+  return true;
+};
+
+// Validates the selling price floor configured on the catalog entry.
+const assertMinimumSellingPrice = async ({ produceName, sellingPrice }) => {
+  const produce = await findProduce(produceName);
+  if (
+    produce &&
+    produce.minimumSellingPrice &&
+    Number(sellingPrice) < Number(produce.minimumSellingPrice)
+  ) {
+    throw new Error(
+      `sellingPrice for ${produce.name} must be at least ${produce.minimumSellingPrice}`
+    );
+  }
+
+  return true;
+};
+
+module.exports = {
+  DEFAULT_PRODUCE_CATALOG,
+  findProduce,
+  catalogProduceValidator,
+  assertCatalogProduce,
+  assertAllowedProduceType,
+  assertMinimumSellingPrice
+};
@@ -0,0 +1,51 @@
+// A sale keeps one produce line in its top-level fields (single-item requests and sales recorded
+// before line items existed) or several in items. These read both shapes the same way.
+
+// Produce lines of a sale; a single-item sale comes back as one line built from the sale itself.
+const getSaleLines = (sale) => {
+  if (sale.items && sale.items.length > 0) {
+    return sale.items;
+  }
+
+  return [
+    {
+      produceName: sale.produceName,
+      produceType: sale.produceType,
+      tonnage: sale.tonnage,
+      unitPriceUsed: sale.unitPriceUsed,
+      pricing: sale.pricing,
+      lineTotal: sale.totalExpected,
+      lots: sale.lots,
+      costOfGoodsSold: sale.costOfGoodsSold,
+      returnedKg: sale.returnedKg,
+      returnedAmount: sale.returnedAmount
+    }
+  ];
+};
+
+const describeSaleProduce = (sale) =>
+  [...new Set(getSaleLines(sale).map((line) => line.produceName))].join(", ");
+
+// Aggregation counterpart of getSaleLines for pipelines that $unwind sales into lines.
+const saleLinesExpr = {
+  $ifNull: [
+    "$items",
+    [
+      {
+        produceName: "$produceName",
+        produceType: "$produceType",
+        tonnage: "$tonnage",
+        lineTotal: "$totalExpected",
+        discountAmount: "$discountAmount",
+        costOfGoodsSold: "$costOfGoodsSold",
+        returnedAmount: "$returnedAmount"
+      }
+    ]
+  ]
+};
+
+module.exports = {
+  getSaleLines,
+  describeSaleProduce,
+  saleLinesExpr
+};
@@ -0,0 +1,107 @@
+const { getLatestUnitCost } = require("./procurementCost");
+const { assertMinimumSellingPrice } = require("./produceCatalog");
+const { roundMoney, buildError } = require("./helpers");
+
+// Highest quantity break the sale reaches, or null when it is below every tier.
+const findPriceTier = (priceTiers, tonnage) => {
+  let match = null;
+  for (const tier of priceTiers || []) {
+    if (Number(tonnage) >= Number(tier.minKg) && (!match || tier.minKg > match.minKg)) {
+      match = tier;
+    }
+  }
+
+  return match;
+};
+
+const isContractInForce = (contract, now) =>
+  contract.active &&
+  (!contract.validFrom || contract.validFrom <= now) &&
+  (!contract.validTo || contract.validTo >= now);
+
+// Lowest active contract price the customer holds for this inventory key.
+const findContractPrice = (customer, inventory, now = new Date()) => {
+  let match = null;
+  for (const contract of (customer && customer.contractPrices) || []) {
+    if (
+      isContractInForce(contract, now) &&
+      contract.produceName === inventory.produceName &&
+      contract.produceType === inventory.produceType &&
+      (!contract.branch || contract.branch === inventory.branch) &&
+      (!match || contract.unitPrice < match.unitPrice)
+    ) {
+      match = contract;
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Picks the per-kg price a sale is charged: the lowest of the inventory selling price, the
+ * quantity tier the tonnage reaches and the buyer's contract price. Returns the price with a
+ * pricing record naming which one applied.
+ */
+const resolveSalePrice = ({ inventory, tonnage, customer, now = new Date() }) => {
+  const basePrice = Number(inventory.sellingPrice);
+  let unitPrice = basePrice;
+  let pricing = { source: "Base", basePrice };
+
+  const tier = findPriceTier(inventory.priceTiers, tonnage);
+  if (tier && Number(tier.unitPrice) < unitPrice) {
+    unitPrice = Number(tier.unitPrice);
+    pricing = { source: "Tier", basePrice, tierMinKg: tier.minKg };
+  }
+
+  const contract = findContractPrice(customer, inventory, now);
+  if (contract && Number(contract.unitPrice) < unitPrice) {
+    unitPrice = Number(contract.unitPrice);
+    pricing = { source: "Contract", basePrice, contractPrice: contract._id };
+  }
+
+  return { unitPrice, pricing };
+};
+
+// Money taken off a sale total by a discount: a percentage of it or a fixed amount, never more
+// than the total itself.
+const computeDiscountAmount = ({ discountType, discountValue }, listAmount) => {
+  const amount =
+    discountType === "Percent"
+      ? (Number(listAmount) * Number(discountValue)) / 100
+      : Number(discountValue);
+
+  return Math.min(roundMoney(amount), Number(listAmount));
+};
+
+/**
+ * Checks negotiated or tier prices for an inventory key (branch may be omitted for all branches)
+ * against the catalog minimum, and against the latest procurement cost per kg: only the Director
+ * may price below cost. Throws an error with statusCode when a price is not allowed.
+ */
+const assertPriceFloor = async ({ key, prices, actor }) => {
+  for (const price of prices) {
+    try {
+      await assertMinimumSellingPrice({ produceName: key.produceName, sellingPrice: price });
+    } catch (error) {
+      throw buildError(error.message, 400);
+    }
+  }
+
+  const unitCost = await getLatestUnitCost(key);
+  const belowCost = prices.some((price) => unitCost > 0 && Number(price) < unitCost);
+  if (belowCost && actor.role !== "Director") {
+    throw buildError(
+      `Prices below the latest procurement cost of ${unitCost} per kg ` +
+        "can only be set by the Director",
+      403
+    );
+  }
+};
+
+module.exports = {
+  assertPriceFloor,
+  computeDiscountAmount,
+  findPriceTier,
+  findContractPrice,
+  resolveSalePrice
+};
@@ -0,0 +1,178 @@
+const PDFDocument = require("pdfkit");
+const { resolveCreditStatus } = require("./creditStatus");
+const { getSaleLines } = require("./saleLines");
+
+const COMPANY_NAME = "Karibu Groceries LTD";
+// Printed for details older sales never recorded, e.g. the agent of a sale from before attribution.
+const NOT_RECORDED = "-";
+
+const formatMoney = (value) =>
+  `UGX ${Number(value).toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : "");
+
+const formatReceiptNumber = (sale) => String(sale.receiptNumber).padStart(6, "0");
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Collects what a receipt shows for a sale: header, one row per produce line at its list price,
+ * the discount and total, and for credit sales the due date and current outstanding balance.
+ */
+const buildReceipt = (sale) => {
+  const lines = getSaleLines(sale).map((line) => ({
+    produce: `${line.produceName}${line.produceType ? ` (${line.produceType})` : ""}`,
+    tonnage: Number(line.tonnage),
+    unitPrice: Number(line.unitPriceUsed),
+    amount: Number(line.unitPriceUsed) * Number(line.tonnage)
+  }));
+
+  const receipt = {
+    companyName: COMPANY_NAME,
+    receiptNumber: formatReceiptNumber(sale),
+    branch: sale.branch,
+    date: formatDate(sale.date || sale.createdAt),
+    agent: sale.recordedByName || sale.salesAgentName || NOT_RECORDED,
+    buyer: sale.buyerName || NOT_RECORDED,
+    paymentType: sale.saleType,
+    voided: sale.status === "Voided",
+    lines,
+    discountAmount: Number(sale.discountAmount || 0),
+    total: Number(sale.totalExpected)
+  };
+
+  if (sale.saleType === "Credit") {
+    receipt.dueDate = formatDate(sale.dueDate) || NOT_RECORDED;
+    receipt.outstandingBalance = resolveCreditStatus({
+      amountDue: sale.amountDue,
+      amountCollected: sale.amountCollected,
+      dueDate: sale.dueDate
+    }).outstandingBalance;
+  }
+
+  return receipt;
+};
+
+// Label/value rows shown under the produce lines, in print order.
+const summaryRows = (receipt) => {
+  const rows = [];
+  if (receipt.discountAmount > 0) {
+    rows.push(["Discount", `- ${formatMoney(receipt.discountAmount)}`]);
+  }
+  rows.push(["Total", formatMoney(receipt.total)]);
+  rows.push(["Payment type", receipt.paymentType]);
+  if (receipt.paymentType === "Credit") {
+    rows.push(["Due date", receipt.dueDate]);
+    rows.push(["Outstanding balance", formatMoney(receipt.outstandingBalance)]);
+  }
+
+  return rows;
+};
+
+const headerRows = (receipt) => [
+  ["Receipt No.", receipt.receiptNumber],
+  ["Branch", receipt.branch],
+  ["Date", receipt.date],
+  ["Sales agent", receipt.agent],
+  ["Buyer", receipt.buyer]
+];
+
+const renderReceiptHtml = (receipt) => {
+  const pairs = (rows) =>
+    rows
+      .map(
+        ([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`
+      )
+      .join("\n");
+  const produceRows = receipt.lines
+    .map(
+      (line) =>
+        `<tr><td>${escapeHtml(line.produce)}</td><td>${line.tonnage}</td>` +
+        `<td>${escapeHtml(formatMoney(line.unitPrice))}</td>` +
+        `<td>${escapeHtml(formatMoney(line.amount))}</td></tr>`
+    )
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${escapeHtml(receipt.receiptNumber)} - ${escapeHtml(receipt.companyName)}</title>
+<style>
+body { font-family: Arial, sans-serif; max-width: 640px; margin: 24px auto; }
+table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #ddd; }
+.voided { color: #b00020; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(receipt.companyName)}</h1>
+<h2>Sales Receipt</h2>
+${receipt.voided ? "<p class=\"voided\">VOIDED</p>" : ""}
+<table>
+${pairs(headerRows(receipt))}
+</table>
+<table>
+<tr><th>Produce</th><th>Kg</th><th>Unit price</th><th>Amount</th></tr>
+${produceRows}
+</table>
+<table>
+${pairs(summaryRows(receipt))}
+</table>
+</body>
+</html>
+`;
+};
+
+// Resolves with the receipt as a single-page A5 PDF.
+const renderReceiptPdf = (receipt) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A5", margin: 36 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(16).font("Helvetica-Bold").text(receipt.companyName, { align: "center" });
+    doc.fontSize(11).font("Helvetica").text("Sales Receipt", { align: "center" });
+    if (receipt.voided) {
+      doc.moveDown(0.5).fillColor("#b00020").text("VOIDED", { align: "center" });
+      doc.fillColor("black");
+    }
+    doc.moveDown();
+
+    doc.fontSize(9);
+    for (const [label, value] of headerRows(receipt)) {
+      doc.text(`${label}: ${value}`);
+    }
+    doc.moveDown();
+
+    for (const line of receipt.lines) {
+      doc.font("Helvetica-Bold").text(line.produce);
+      doc
+        .font("Helvetica")
+        .text(
+          `${line.tonnage} kg x ${formatMoney(line.unitPrice)} = ${formatMoney(line.amount)}`
+        );
+    }
+    doc.moveDown();
+
+    for (const [label, value] of summaryRows(receipt)) {
+      doc.text(`${label}: ${value}`);
+    }
+
+    doc.end();
+  });
+
+module.exports = {
+  COMPANY_NAME,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf
+};
@@ -0,0 +1,77 @@
+const Inventory = require("../models/inventory");
+const StockMovement = require("../models/stockMovement");
+
+/**
+ * Applies a stock delta to one inventory record and appends the matching movement entry.
+ * Every stockKg change must go through here so the ledger can explain any stock figure.
+ * Pass the caller's transaction session so the stock change and its movement commit together.
+ *
+ * Returns the updated inventory, or null when no record matched (missing key, or not
+ * enough stock when requireStock is set).
+ */
+const changeStock = async ({
+  filter,
+  deltaKg,
+  set,
+  setOnInsert,
+  upsert = false,
+  requireStock = false,
+  movement,
+  session
+}) => {
+  const delta = Number(deltaKg);
+  const query = { ...filter };
+  if (requireStock && delta < 0) {
+    query.stockKg = { $gte: Math.abs(delta) };
+  }
+
+  const update = { $inc: { stockKg: delta } };
+  if (set) {
+    update.$set = set;
+  }
+  if (setOnInsert) {
+    update.$setOnInsert = setOnInsert;
+  }
+
+  const inventory = await Inventory.findOneAndUpdate(query, update, {
+    new: true,
+    upsert,
+    setDefaultsOnInsert: upsert,
+    session
+  });
+  if (!inventory) {
+    return null;
+  }
+
+  if (delta === 0) {
+    return inventory;
+  }
+
+  const actor = movement.actor || {};
+  await StockMovement.create(
+    [
+      {
+        inventory: inventory._id,
+        produceName: inventory.produceName,
+        produceType: inventory.produceType,
+        branch: inventory.branch,
+        movementType: movement.movementType,
+        quantityBeforeKg: Number(inventory.stockKg) - delta,
+        quantityAfterKg: Number(inventory.stockKg),
+        deltaKg: delta,
+        sourceType: movement.sourceType,
+        sourceId: movement.sourceId,
+        performedBy: actor.id,
+        performedByName: actor.username,
+        note: movement.note
+      }
+    ],
+    { session }
+  );
+
+  return inventory;
+};
+
+module.exports = {
+  changeStock
+};
@@ -0,0 +1,209 @@
+const Inventory = require("../models/inventory");
+const StockLot = require("../models/stockLot");
+const { getLatestUnitCost } = require("./procurementCost");
+const { roundMoney, roundKg, buildError } = require("./helpers");
+
+// Lot quantities are summed from decimal tonnages; smaller gaps are rounding noise.
+const LOT_TOLERANCE_KG = 0.001;
+
+const createLot = async ({
+  inventory,
+  sourceType,
+  sourceId,
+  supplier,
+  originLots,
+  quantityKg,
+  unitCost,
+  receivedAt,
+  session
+}) => {
+  const [lot] = await StockLot.create(
+    [
+      {
+        inventory: inventory._id,
+        produceName: inventory.produceName,
+        produceType: inventory.produceType,
+        branch: inventory.branch,
+        sourceType,
+        sourceId,
+        supplier,
+        originLots,
+        quantityKg: Number(quantityKg),
+        remainingKg: Number(quantityKg),
+        unitCost: Number(unitCost) || 0,
+        receivedAt: receivedAt || new Date()
+      }
+    ],
+    { session }
+  );
+
+  return lot;
+};
+
+/**
+ * Records stock that has no lot yet (stock that predates lot tracking) as one Opening lot, so
+ * the open lots of an inventory key always add up to its stockKg. The Opening lot is dated to
+ * the inventory record, which makes FIFO draw it first.
+ *
+ * Call this inside the transaction before it changes stock for a key it will draw lots from.
+ */
+const reconcileOpeningLot = async ({ key, session }) => {
+  const inventory = await Inventory.findOne(key).session(session);
+  if (!inventory) {
+    return null;
+  }
+
+  const [tracked] = await StockLot.aggregate([
+    {
+      $match: {
+        produceName: inventory.produceName,
+        produceType: inventory.produceType,
+        branch: inventory.branch,
+        remainingKg: { $gt: 0 }
+      }
+    },
+    { $group: { _id: null, remainingKg: { $sum: "$remainingKg" } } }
+  ]).session(session);
+
+  const untrackedKg = roundKg(Number(inventory.stockKg) - (tracked ? tracked.remainingKg : 0));
+  if (untrackedKg < LOT_TOLERANCE_KG) {
+    return null;
+  }
+
+  return createLot({
+    inventory,
+    sourceType: "Opening",
+    quantityKg: untrackedKg,
+    unitCost: await getLatestUnitCost(key, session),
+    receivedAt: inventory.createdAt,
+    session
+  });
+};
+
+/**
+ * Draws quantityKg from the open lots of an inventory key, oldest first, or from one lot when
+ * lotId is given. Returns the allocations ({ lot, quantityKg, unitCost }) the consuming record
+ * keeps so the exact lots can be restored later.
+ */
+const consumeLotsFifo = async ({ key, quantityKg, lotId, session }) => {
+  const query = {
+    produceName: key.produceName,
+    produceType: key.produceType,
+    branch: key.branch,
+    remainingKg: { $gt: 0 }
+  };
+  if (lotId) {
+    query._id = lotId;
+  }
+
+  const lots = await StockLot.find(query)
+    .sort({ receivedAt: 1, _id: 1 })
+    .session(session);
+
+  const allocations = [];
+  let neededKg = Number(quantityKg);
+  for (const lot of lots) {
+    if (neededKg < LOT_TOLERANCE_KG) {
+      break;
+    }
+
+    const takeKg = roundKg(Math.min(Number(lot.remainingKg), neededKg));
+    const drawn = await StockLot.findOneAndUpdate(
+      { _id: lot._id, remainingKg: { $gte: takeKg } },
+      { $inc: { remainingKg: -takeKg } },
+      { new: true, session }
+    );
+    if (!drawn) {
+      throw buildError("Stock lots changed while drawing stock; retry the request", 409);
+    }
+
+    allocations.push({ lot: lot._id, quantityKg: takeKg, unitCost: lot.unitCost });
+    neededKg = roundKg(neededKg - takeKg);
+  }
+
+  if (neededKg >= LOT_TOLERANCE_KG) {
+    throw buildError("Insufficient stock lots for requested quantity", 409);
+  }
+
+  return allocations;
+};
+
+// Puts allocations back on the lots they were drawn from.
+const restoreLots = async ({ allocations, session }) => {
+  for (const allocation of allocations) {
+    const restored = await StockLot.findOneAndUpdate(
+      { _id: allocation.lot },
+      { $inc: { remainingKg: Number(allocation.quantityKg) } },
+      { new: true, session }
+    );
+    if (!restored) {
+      throw buildError("Stock lot to restore no longer exists", 409);
+    }
+  }
+};
+
+// Returns stock a record drew from lots. Records from before lot tracking have no allocations,
+// so their stock comes back as an Opening lot on the inventory key instead.
+const returnStockToLots = async ({ allocations, key, quantityKg, session }) => {
+  if (allocations && allocations.length > 0) {
+    await restoreLots({ allocations, session });
+    return;
+  }
+
+  const inventory = await Inventory.findOne(key).session(session);
+  if (!inventory) {
+    return;
+  }
+
+  await createLot({
+    inventory,
+    sourceType: "Opening",
+    quantityKg,
+    unitCost: await getLatestUnitCost(key, session),
+    session
+  });
+};
+
+/**
+ * Splits quantityKg off a record's allocations, most recently drawn lots first, for a partial
+ * return. Returns the allocations taken and those the record keeps.
+ */
+const splitAllocations = (allocations, quantityKg) => {
+  const kept = (allocations || []).map((allocation) => ({
+    lot: allocation.lot,
+    quantityKg: Number(allocation.quantityKg),
+    unitCost: Number(allocation.unitCost)
+  }));
+  const taken = [];
+  let neededKg = Number(quantityKg);
+  for (let index = kept.length - 1; index >= 0 && neededKg >= LOT_TOLERANCE_KG; index -= 1) {
+    const allocation = kept[index];
+    const takeKg = roundKg(Math.min(allocation.quantityKg, neededKg));
+    taken.push({ lot: allocation.lot, quantityKg: takeKg, unitCost: allocation.unitCost });
+    allocation.quantityKg = roundKg(allocation.quantityKg - takeKg);
+    neededKg = roundKg(neededKg - takeKg);
+  }
+
+  return {
+    taken,
+    kept: kept.filter((allocation) => allocation.quantityKg >= LOT_TOLERANCE_KG)
+  };
+};
+
+const allocationCost = (allocations) =>
+  roundMoney(
+    allocations.reduce(
+      (sum, allocation) => sum + Number(allocation.quantityKg) * Number(allocation.unitCost),
+      0
+    )
+  );
+
+module.exports = {
+  LOT_TOLERANCE_KG,
+  reconcileOpeningLot,
+  createLot,
+  consumeLotsFifo,
+  returnStockToLots,
+  splitAllocations,
+  allocationCost
+};
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+const TillSession = require("../models/tillSession");
+const Sale = require("../models/sales");
+const SaleReturn = require("../models/saleReturn");
+const { roundMoney } = require("./helpers");
+
+const startOfDay = (value) => {
+  const day = new Date(value);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const formatDay = (value) => startOfDay(value).toISOString().slice(0, 10);
+
+/**
+ * Cash that went through the user's drawer on the day: their cash sales dated that day (voided
+ * ones excluded) in, and the cash refunds for returns they recorded that day out.
+ */
+const summarizeTillCash = async ({ agent, businessDate, session }) => {
+  const start = startOfDay(businessDate);
+  const end = new Date(start);
+  end.setUTCHours(23, 59, 59, 999);
+  const agentId = new mongoose.Types.ObjectId(String(agent));
+
+  const [sales] = await Sale.aggregate([
+    {
+      $match: {
+        saleType: "Cash",
+        recordedBy: agentId,
+        status: { $ne: "Voided" },
+        date: { $gte: start, $lte: end }
+      }
+    },
+    { $group: { _id: null, count: { $sum: 1 }, total: { $sum: "$amountPaid" } } }
+  ]).session(session || null);
+  const [refunds] = await SaleReturn.aggregate([
+    {
+      $match: {
+        settlement: "CashRefund",
+        settledAmount: { $gt: 0 },
+        recordedBy: agentId,
+        createdAt: { $gte: start, $lte: end }
+      }
+    },
+    { $group: { _id: null, count: { $sum: 1 }, total: { $sum: "$settledAmount" } } }
+  ]).session(session || null);
+
+  const cashSalesTotal = sales ? roundMoney(sales.total) : 0;
+  const cashRefundsTotal = refunds ? roundMoney(refunds.total) : 0;
+  return {
+    cashSalesCount: sales ? sales.count : 0,
+    cashSalesTotal,
+    cashRefundsCount: refunds ? refunds.count : 0,
+    cashRefundsTotal,
+    netCash: roundMoney(cashSalesTotal - cashRefundsTotal)
+  };
+};
+
+/**
+ * Rejects cash sales dated on, and cash refunds paid on, a day whose till the user has already
+ * closed, since the count for that day is final. Throws an error with statusCode 409; days
+ * without a till pass. Pass the session of the transaction writing the sale or refund so the
+ * check reads alongside that write.
+ */
+const assertTillDayOpen = async ({ agent, date, session }) => {
+  if (!agent || !date) {
+    return;
+  }
+
+  const closed = await TillSession.exists({
+    agent,
+    businessDate: startOfDay(date),
+    status: { $ne: "Open" }
+  }).session(session || null);
+  if (closed) {
+    const error = new Error(
+      `Till for ${formatDay(date)} is closed; ` +
+        "cash sales and refunds for that day cannot be recorded, changed or voided"
+    );
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+module.exports = {
+  startOfDay,
+  formatDay,
+  summarizeTillCash,
+  assertTillDayOpen
+};
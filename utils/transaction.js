@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+const MAX_TRANSACTION_ATTEMPTS = 3;
+const MAX_COMMIT_ATTEMPTS = 3;
+const RETRY_BACKOFF_MS = 50;
+
+const REPLICA_SET_REQUIRED_MESSAGE =
+  "This operation requires MongoDB transactions. Run MongoDB as a replica set " +
+  "(e.g. mongod --replSet rs0) and point DATABASE_URI at it";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const hasErrorLabel = (error, label) =>
+  Boolean(error) && typeof error.hasErrorLabel === "function" && error.hasErrorLabel(label);
+
+// Standalone mongod rejects sessions with IllegalOperation (code 20).
+const isReplicaSetRequiredError = (error) =>
+  Boolean(error) &&
+  (error.code === 20 ||
+    /Transaction numbers are only allowed on a replica set member or mongos/i.test(
+      error.message || ""
+    ));
+
+const commitWithRetry = async (session) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (error) {
+      if (hasErrorLabel(error, "UnknownTransactionCommitResult") && attempt < MAX_COMMIT_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * Runs work(session) inside a MongoDB transaction so every write passed the session commits
+ * or aborts together. Transient transaction errors (write conflicts, elections) re-run the
+ * whole callback with a fresh session, so work must re-read anything it relies on.
+ *
+ * Errors thrown by work abort the transaction and are rethrown unchanged; a deployment
+ * without transaction support surfaces as a 503 with REPLICA_SET_REQUIRED_MESSAGE.
+ */
+const runInTransaction = async (work) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+      const result = await work(session);
+      await commitWithRetry(session);
+      return result;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction().catch(() => {});
+      }
+
+      if (isReplicaSetRequiredError(error)) {
+        const unsupported = new Error(REPLICA_SET_REQUIRED_MESSAGE);
+        unsupported.statusCode = 503;
+        throw unsupported;
+      }
+
+      if (hasErrorLabel(error, "TransientTransactionError") && attempt < MAX_TRANSACTION_ATTEMPTS) {
+        await delay(RETRY_BACKOFF_MS * attempt);
+        continue;
+      }
+
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+};
+
+module.exports = {
+  REPLICA_SET_REQUIRED_MESSAGE,
+  runInTransaction
+};